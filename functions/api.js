@@ -0,0 +1,250 @@
+// REST API over machine status for other tools in the building (lobby signage, home
+// dashboards). Takes a namespaced database like expire.js, so the Cloud Function, the
+// self-hosted server and the emulator tests all run the same code.
+//
+//   GET  /api/machines?room=annex       { room, machines: [...], timestamp }
+//   GET  /api/machines/:id?room=annex   one machine
+//   POST /api/machines/:id/start        body { "minutes": 29, "cycle_name": "Heavy" }
+//   POST /api/machines/:id/stop
+//
+// Machines have the shape FirebaseService.processMachineData gives the board (both come from
+// machine-state.js), and POSTs answer with the machine as it is afterwards. Every request needs
+// `Authorization: Bearer <API key>`, since the board is only shown to signed-in residents;
+// rooms with publicApi in room-config.json can be read without one. The API acts as one
+// resident, API_UID: it owns the timers it starts, and can stop those or any that have
+// finished or been abandoned.
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { createHistoryEntry, roomConfig } from './expire.js';
+import { MAX_TIMER_MINUTES, canTakeOver, isOwnedBy, processMachine } from './machine-state.js';
+
+// owner_uid of timers started through the API
+const API_UID = 'rest-api';
+
+// /api/machines, /api/machines/:id, /api/machines/:id/start|stop
+const MACHINE_ROUTE = /^\/api\/machines(?:\/([^/]+))?(?:\/(start|stop))?\/?$/;
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Same checks as FirebaseService.validateMachineId / validateDuration
+const isValidMachineId = (machineId, roomId) => roomConfig.rooms[roomId].includes(machineId);
+
+const isValidDuration = (minutes) => {
+  const duration = parseInt(minutes);
+  return !isNaN(duration) && duration >= 1 && duration <= MAX_TIMER_MINUTES;
+};
+
+const sanitizeString = (input) =>
+  typeof input === 'string' ? input.replace(/[<>"'&]/g, '').trim() : '';
+
+const isOwnedByApi = (machine) => isOwnedBy(machine, API_UID);
+
+const isInUse = (machine) =>
+  Boolean(machine) && (machine.status === 'active' || machine.status === 'paused');
+
+// One machine as a board signed in as API_UID shows it
+const showMachine = (machineId, machine, now) => processMachine(machineId, machine, now, API_UID);
+
+const createOwnershipError = (machine) => {
+  const messages = {
+    reserved: 'This machine is being held for the next resident in the queue.',
+    out_of_order: 'This machine is out of order until a manager puts it back in service.',
+  };
+  return new ApiError(
+    409,
+    'not-owner',
+    messages[machine.status] ||
+      'This machine was started by a resident. It can be taken over once it has finished.'
+  );
+};
+
+const getMachinePath = (roomId, machineId) => `rooms/${roomId}/machines/${machineId}`;
+
+async function listMachines(db, roomId, now) {
+  const snapshot = await db.ref(`rooms/${roomId}/machines`).once('value');
+  const data = snapshot.val() || {};
+
+  return {
+    room: roomId,
+    machines: roomConfig.rooms[roomId].map((machineId) =>
+      showMachine(machineId, data[machineId], now)
+    ),
+    timestamp: new Date(now).toISOString(),
+  };
+}
+
+async function getMachine(db, roomId, machineId, now) {
+  const snapshot = await db.ref(getMachinePath(roomId, machineId)).once('value');
+  return showMachine(machineId, snapshot.val(), now);
+}
+
+// Swap the record in a transaction, so a board writing at the same moment is never silently
+// overwritten, then log the cycle it replaced. buildNext throws to refuse. Admin transactions
+// start from an empty cache, so it may be called with null before the stored record arrives
+async function writeMachine(db, roomId, machineId, endReason, buildNext, now) {
+  let previous = null;
+  let refusal = null;
+  const result = await db.ref(getMachinePath(roomId, machineId)).transaction((currentData) => {
+    previous = currentData;
+    refusal = null;
+    try {
+      return buildNext(currentData);
+    } catch (error) {
+      refusal = error;
+      return undefined;
+    }
+  });
+
+  if (refusal) throw refusal;
+  if (!result.committed) {
+    throw new ApiError(409, 'write-rejected', 'Someone else just changed this machine.');
+  }
+
+  if (endReason && isInUse(previous)) {
+    await db
+      .ref(`rooms/${roomId}/history`)
+      .push()
+      .set(createHistoryEntry(machineId, previous, now, endReason, API_UID));
+  }
+
+  return { previous, next: result.snapshot.val() };
+}
+
+async function startMachine(db, roomId, machineId, body, now) {
+  const minutes = body?.minutes;
+  if (!isValidDuration(minutes)) {
+    throw new ApiError(400, 'invalid-argument', 'Invalid timer duration');
+  }
+
+  const cycleName = sanitizeString(body.cycle_name).slice(0, 32);
+  const { next } = await writeMachine(
+    db,
+    roomId,
+    machineId,
+    'override',
+    (currentData) => {
+      if (currentData && !isOwnedByApi(currentData) && !canTakeOver(currentData, now)) {
+        throw createOwnershipError(currentData);
+      }
+
+      const record = {
+        machine_id: machineId,
+        status: 'active',
+        end_time: now + parseInt(minutes) * 60 * 1000,
+        updated_at: now,
+        duration_minutes: parseInt(minutes),
+        started_at: now,
+        owner_uid: API_UID,
+      };
+      if (cycleName) record.cycle_name = cycleName;
+      return record;
+    },
+    now
+  );
+
+  return showMachine(machineId, next, now);
+}
+
+// Leaves an 'available' record, like FirebaseService.executeRelease
+async function stopMachine(db, roomId, machineId, now) {
+  const { previous, next } = await writeMachine(
+    db,
+    roomId,
+    machineId,
+    'stopped',
+    (currentData) => {
+      if (currentData === null) return null;
+
+      if (!isOwnedByApi(currentData) && !canTakeOver(currentData, now)) {
+        throw createOwnershipError(currentData);
+      }
+
+      return {
+        machine_id: machineId,
+        status: 'available',
+        updated_at: now,
+        owner_uid: API_UID,
+      };
+    },
+    now
+  );
+
+  if (!previous) {
+    throw new ApiError(404, 'not-found', 'Machine not found or not running');
+  }
+  return showMachine(machineId, next, now);
+}
+
+const digest = (value) => createHash('sha256').update(String(value)).digest();
+
+// Compared as hashes, so the comparison takes the same time whatever was sent
+function checkApiKey(authorization, apiKey) {
+  if (!apiKey) {
+    throw new ApiError(403, 'api-disabled', 'No API key is set up, so the API is closed');
+  }
+
+  const [scheme, token] = String(authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !timingSafeEqual(digest(token), digest(apiKey))) {
+    throw new ApiError(401, 'unauthorized', 'Missing or wrong API key');
+  }
+}
+
+async function route(db, request, apiKey, now) {
+  const { method, path, query = {}, body = null, authorization = null } = request;
+  const match = MACHINE_ROUTE.exec(path);
+  if (!match) {
+    throw new ApiError(404, 'not-found', 'Not found');
+  }
+
+  const [, machineId, action] = match;
+  const roomId = query.room ?? roomConfig.defaultRoom;
+  if (typeof roomId !== 'string' || !Object.hasOwn(roomConfig.rooms, roomId)) {
+    throw new ApiError(404, 'unknown-room', `Unknown laundry room: ${roomId}`);
+  }
+
+  if (method !== (action ? 'POST' : 'GET')) {
+    throw new ApiError(405, 'method-not-allowed', `${method} is not supported here`);
+  }
+
+  if (action || !roomConfig.publicApiRooms.includes(roomId)) {
+    checkApiKey(authorization, apiKey);
+  }
+
+  if (machineId === undefined) return listMachines(db, roomId, now);
+
+  if (!isValidMachineId(machineId, roomId)) {
+    throw new ApiError(400, 'invalid-argument', 'Invalid machine ID');
+  }
+
+  if (!action) return getMachine(db, roomId, machineId, now);
+
+  return action === 'start'
+    ? startMachine(db, roomId, machineId, body, now)
+    : stopMachine(db, roomId, machineId, now);
+}
+
+// request: { method, path, query, body, authorization }. Always resolves with
+// { status, body }; failures have a body of { error: { code, message } }
+async function handleApiRequest(db, request, { apiKey = null, now = Date.now() } = {}) {
+  try {
+    return { status: 200, body: await route(db, request, apiKey, now) };
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return {
+        status: error.status,
+        body: { error: { code: error.code, message: error.message } },
+      };
+    }
+
+    console.error('API request failed:', error);
+    return { status: 500, body: { error: { code: 'internal', message: 'Something went wrong' } } };
+  }
+}
+
+export { handleApiRequest, showMachine, API_UID };
@@ -0,0 +1,197 @@
+// Server-side timer expiry - the same steps as FirebaseService.atomicExpireTimer, without
+// needing a board to be open. Takes a namespaced database (firebase-admin, or the emulator
+// test SDK) so it can run in the scheduled function and in tests alike.
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { hasFinished } from './machine-state.js';
+
+const roomConfig = JSON.parse(
+  readFileSync(join(dirname(fileURLToPath(import.meta.url)), 'room-config.json'), 'utf8')
+);
+
+// How long an expired machine is held for the head of the queue (keep in sync with the rules)
+const CLAIM_WINDOW_MS = 3 * 60 * 1000;
+
+const SERVER_TIMESTAMP = { '.sv': 'timestamp' };
+
+// Tries for the history entry and queue offer that follow an expiry, spaced like webhooks.js
+const FOLLOW_UP_ATTEMPTS = 3;
+
+const getRoomIds = () => Object.keys(roomConfig.rooms);
+
+const getServedTypes = (machineId) => {
+  const type = machineId.replace(/_\d+$/, '');
+  return roomConfig.serves[type] || [type];
+};
+
+// Records from before started_at existed: assume the cycle ran uninterrupted
+const getStartedAt = (machine) =>
+  typeof machine.started_at === 'number'
+    ? machine.started_at
+    : machine.end_time - (machine.duration_minutes || 0) * 60 * 1000;
+
+// Same as FirebaseService.createHistoryEntry: a running timer that had already run out counts
+// as expired, whatever ended it. Expiry logs the cycle under the uid that ran it; the REST API
+// passes its own uid, as a board does
+const createHistoryEntry = (
+  machineId,
+  machine,
+  now,
+  endReason = 'expired',
+  ownerUid = machine.owner_uid
+) => {
+  const expired = machine.status === 'active' && machine.end_time <= now;
+  const startedAt = getStartedAt(machine);
+  const endedAt = expired ? machine.end_time : now;
+
+  return {
+    machine_id: machineId,
+    started_at: startedAt,
+    ended_at: endedAt,
+    duration_minutes: Math.max(0, Math.round((endedAt - startedAt) / (1000 * 60))),
+    end_reason: expired ? 'expired' : endReason,
+    // Records from before sign-in have no owner - leave it out rather than write undefined
+    ...(ownerUid && { owner_uid: ownerUid }),
+  };
+};
+
+// Longest-waiting entry not yet offered a machine, across every queue the machine serves
+async function findQueueHead(db, roomId, machineId) {
+  const heads = await Promise.all(
+    getServedTypes(machineId).map(async (type) => {
+      const snapshot = await db.ref(`rooms/${roomId}/queue/${type}`).once('value');
+      const waiting = Object.entries(snapshot.val() || {})
+        .filter(([, entry]) => !entry.offered_at)
+        .sort(([idA, a], [idB, b]) => a.joined_at - b.joined_at || idA.localeCompare(idB));
+
+      if (waiting.length === 0) return null;
+      const [entryId, entry] = waiting[0];
+      return { type, entryId, uid: entry.uid, joinedAt: entry.joined_at };
+    })
+  );
+
+  return heads.filter(Boolean).sort((a, b) => a.joinedAt - b.joinedAt)[0] || null;
+}
+
+// History entry and queue offer for a committed expiry, with retries
+async function writeFollowUp(db, updates) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await db.ref().update(updates);
+      return;
+    } catch (error) {
+      if (attempt >= FOLLOW_UP_ATTEMPTS) throw error;
+      // Exponential backoff
+      await new Promise((resolve) => setTimeout(resolve, Math.pow(2, attempt) * 100));
+    }
+  }
+}
+
+// Put the run-out timer back while the machine is still as the expiry left it, so the next
+// run logs and offers it again instead of leaving a hold nobody was told about
+async function undoExpiry(machineRef, expiredRecord, reservation) {
+  await machineRef.transaction((currentData) => {
+    const untouched = reservation
+      ? currentData?.status === 'reserved' &&
+        currentData.queue_entry === reservation.queue_entry &&
+        currentData.reserved_until === reservation.reserved_until
+      : currentData === null;
+    return untouched ? expiredRecord : undefined;
+  });
+}
+
+// Free (or hand to the queue) one machine if its timer is still the one we saw run out.
+// Boards may expire the same machine at the same moment, so the record is swapped in a
+// transaction and only the side that committed logs the cycle. The log and the offer are a
+// separate write; if that keeps failing, the swap is undone.
+async function expireMachine(db, roomId, machineId, expectedEndTime, now) {
+  const queueHead = await findQueueHead(db, roomId, machineId);
+  const machineRef = db.ref(`rooms/${roomId}/machines/${machineId}`);
+  const reservation = queueHead && {
+    machine_id: machineId,
+    status: 'reserved',
+    reserved_for: queueHead.uid,
+    reserved_until: now + CLAIM_WINDOW_MS,
+    queue_type: queueHead.type,
+    queue_entry: queueHead.entryId,
+    updated_at: now,
+  };
+
+  let expiredRecord = null;
+  const result = await machineRef.transaction((currentData) => {
+    expiredRecord = null;
+
+    // First pass runs on an empty local cache - let the server send the real record
+    if (currentData === null) return null;
+
+    if (currentData.end_time !== expectedEndTime || !hasFinished(currentData, now)) {
+      return undefined; // Restarted, extended or already freed - leave it alone
+    }
+
+    expiredRecord = currentData;
+    return reservation;
+  });
+
+  if (!result.committed || !expiredRecord) {
+    return { success: false, machineId, reason: 'timer_modified_or_expired' };
+  }
+
+  const historyPath = `rooms/${roomId}/history`;
+  const updates = {
+    [`${historyPath}/${db.ref(historyPath).push().key}`]: createHistoryEntry(
+      machineId,
+      expiredRecord,
+      now
+    ),
+  };
+  if (queueHead) {
+    const entryPath = `rooms/${roomId}/queue/${queueHead.type}/${queueHead.entryId}`;
+    updates[`${entryPath}/offered_at`] = SERVER_TIMESTAMP;
+    updates[`${entryPath}/offered_machine`] = machineId;
+  }
+
+  try {
+    await writeFollowUp(db, updates);
+  } catch (error) {
+    await undoExpiry(machineRef, expiredRecord, reservation).catch((undoError) => {
+      console.warn(`Could not put back ${roomId}/${machineId}:`, undoError.message);
+    });
+    throw error;
+  }
+
+  return {
+    success: true,
+    machineId,
+    reason: queueHead ? 'reserved_for_queue' : 'atomic_expiration',
+  };
+}
+
+// Expire every run-out timer in one room; one failing machine does not stop the rest
+async function expireRoom(db, roomId, now = Date.now()) {
+  const snapshot = await db.ref(`rooms/${roomId}/machines`).once('value');
+  const expired = Object.entries(snapshot.val() || {}).filter(([, machine]) =>
+    hasFinished(machine, now)
+  );
+
+  const results = [];
+  for (const [machineId, machine] of expired) {
+    try {
+      results.push(await expireMachine(db, roomId, machineId, machine.end_time, now));
+    } catch (error) {
+      console.warn(`Timer expiration failed for ${roomId}/${machineId}:`, error.message);
+      results.push({ success: false, machineId, reason: 'operation_failed', error: error.message });
+    }
+  }
+  return results;
+}
+
+async function expireAllRooms(db, now = Date.now()) {
+  const results = {};
+  for (const roomId of getRoomIds()) {
+    results[roomId] = await expireRoom(db, roomId, now);
+  }
+  return results;
+}
+
+export { expireRoom, expireAllRooms, getRoomIds, createHistoryEntry, roomConfig, CLAIM_WINDOW_MS };
@@ -0,0 +1,73 @@
+// Cloud Functions for the laundry timer. Deploy with `firebase deploy --only functions`.
+import { initializeApp } from 'firebase-admin/app';
+import { getDatabase } from 'firebase-admin/database';
+import { onValueWritten } from 'firebase-functions/v2/database';
+import { defineSecret } from 'firebase-functions/params';
+import { onRequest } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { handleApiRequest } from './api.js';
+import { expireAllRooms } from './expire.js';
+import { notifyWebhooks } from './webhooks.js';
+
+initializeApp();
+
+// Key for the REST API: `firebase functions:secrets:set LAUNDRY_API_KEY`
+const apiKey = defineSecret('LAUNDRY_API_KEY');
+
+const summarize = (results) =>
+  Object.entries(results)
+    .map(([roomId, rooms]) => `${roomId}: ${rooms.filter((r) => r.success).length}/${rooms.length}`)
+    .join(', ');
+
+// Expire run-out timers in every room, whether or not anyone has the board open
+export const expireTimers = onSchedule('every 1 minutes', async () => {
+  const results = await expireAllRooms(getDatabase());
+  console.log(`Expired timers - ${summarize(results)}`);
+});
+
+// The emulator never fires schedules, so it gets a URL to run the same pass by hand
+export const expireTimersNow = onRequest(async (req, res) => {
+  if (process.env.FUNCTIONS_EMULATOR !== 'true') {
+    res.status(404).send('Not found');
+    return;
+  }
+
+  res.json(await expireAllRooms(getDatabase()));
+});
+
+// Machine status for other tools in the building - /api/** on the hosting site (see api.js)
+export const api = onRequest({ secrets: [apiKey], cors: true }, async (req, res) => {
+  const { status, body } = await handleApiRequest(
+    getDatabase(),
+    {
+      method: req.method,
+      path: req.path,
+      query: req.query,
+      body: req.body,
+      authorization: req.get('authorization'),
+    },
+    { apiKey: apiKey.value() }
+  );
+  res.status(status).json(body);
+});
+
+// POST machine events to each room's webhooks - every write counts, including the expiry pass
+export const machineWebhooks = onValueWritten(
+  '/rooms/{roomId}/machines/{machineId}',
+  async (event) => {
+    const { roomId, machineId } = event.params;
+    const results = await notifyWebhooks(
+      getDatabase(),
+      roomId,
+      machineId,
+      event.data.before.val(),
+      event.data.after.val(),
+      Date.parse(event.time)
+    );
+
+    const failed = results.filter((result) => !result.success);
+    if (failed.length > 0) {
+      console.warn(`Webhooks failed for ${roomId}/${machineId}:`, failed);
+    }
+  }
+);
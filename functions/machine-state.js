@@ -0,0 +1,120 @@
+// What a machine record means to whoever is looking at it: the boards (js/firebase-service.js),
+// the REST API and the webhooks all read records through these, so they agree on when a timer
+// has finished and who may take it over. Pure functions only - the boards import this file
+// straight from functions/.
+
+// Longest a timer may run (keep in sync with end_time and duration_minutes in database.rules.json)
+const MAX_TIMER_MINUTES = 120;
+
+// Paused timers count as abandoned after this long (keep in sync with database.rules.json)
+const PAUSED_TAKEOVER_GRACE_MS = 30 * 60 * 1000;
+
+// Ownership - the user who started a timer controls it
+function isOwnedBy(machine, uid) {
+  // Nobody runs loads on a broken machine - only a manager can put it back in service
+  if (machine.status === 'out_of_order') return false;
+  // A reserved machine belongs to the resident it is held for
+  if (machine.status === 'reserved') return machine.reserved_for === uid;
+  // Records written before sign-in existed belong to everyone
+  return !machine.owner_uid || machine.owner_uid === uid;
+}
+
+// Finished or abandoned machines can be taken over by anyone
+function canTakeOver(machine, now) {
+  if (!machine || machine.status === 'available') return true;
+  if (machine.status === 'active') return hasFinished(machine, now);
+  if (machine.status === 'reserved') return machine.reserved_until <= now;
+  if (machine.status === 'paused') return machine.updated_at + PAUSED_TAKEOVER_GRACE_MS <= now;
+  return false;
+}
+
+// A running timer is done once its end time has passed - the rules go by the same moment
+function hasFinished(machine, now) {
+  return machine?.status === 'active' && machine.end_time <= now;
+}
+
+// Exact paused time, falling back to rounded minutes for records written by older clients
+function getPausedTimeRemainingMs(machine) {
+  if (typeof machine.paused_time_remaining_ms === 'number') {
+    return machine.paused_time_remaining_ms;
+  }
+  return (machine.paused_time_remaining || 0) * 60 * 1000;
+}
+
+// One machine as the board shows it to uid
+function processMachine(machineId, machine, now, uid) {
+  // Stopped machines keep an 'available' record (see executeRelease), and a reservation
+  // nobody claimed opens up to everyone
+  if (
+    !machine ||
+    machine.status === 'available' ||
+    (machine.status === 'reserved' && machine.reserved_until <= now)
+  ) {
+    return { machine_id: machineId, status: 'available', time_remaining_minutes: 0 };
+  }
+
+  const ownership = {
+    owned_by_me: isOwnedBy(machine, uid),
+    can_take_over: canTakeOver(machine, now),
+  };
+
+  if (machine.status === 'out_of_order') {
+    return {
+      machine_id: machineId,
+      status: 'out_of_order',
+      time_remaining_minutes: 0,
+      issue_category: machine.issue_category,
+      reported_at: machine.updated_at,
+      ...ownership,
+    };
+  }
+
+  if (machine.status === 'reserved') {
+    return {
+      machine_id: machineId,
+      status: 'reserved',
+      time_remaining_minutes: 0,
+      reserved_until: machine.reserved_until,
+      queue_type: machine.queue_type,
+      pipeline_from: machine.pipeline_from,
+      ...ownership,
+    };
+  }
+
+  if (machine.status === 'paused') {
+    const pausedTimeRemainingMs = getPausedTimeRemainingMs(machine);
+
+    return {
+      machine_id: machineId,
+      status: 'paused',
+      time_remaining_minutes: Math.ceil(pausedTimeRemainingMs / (1000 * 60)),
+      time_remaining_ms: pausedTimeRemainingMs,
+      paused_at: machine.paused_at,
+      next_type: machine.next_type,
+      cycle_name: machine.cycle_name,
+      ...ownership,
+    };
+  }
+
+  const finished = hasFinished(machine, now);
+
+  return {
+    machine_id: machineId,
+    status: finished ? 'available' : 'active',
+    time_remaining_minutes: finished ? 0 : Math.ceil((machine.end_time - now) / (1000 * 60)),
+    server_end_time: machine.end_time, // Lets boards count down between snapshots
+    next_type: machine.next_type,
+    cycle_name: machine.cycle_name,
+    ...ownership,
+  };
+}
+
+export {
+  MAX_TIMER_MINUTES,
+  PAUSED_TAKEOVER_GRACE_MS,
+  canTakeOver,
+  getPausedTimeRemainingMs,
+  hasFinished,
+  isOwnedBy,
+  processMachine,
+};
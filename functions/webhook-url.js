@@ -0,0 +1,117 @@
+// Where webhooks may go: https only, and never to the network the server runs in - loopback,
+// private and link-local ranges, or the cloud metadata service. The manager console checks
+// URLs with this on save, and webhooks.js checks every address a host resolves to as it
+// connects. Pure functions only - the boards import this file straight from functions/.
+
+const MAX_URL_LENGTH = 2048; // Keep in sync with webhooks/$webhookId/url in database.rules.json
+
+const PRIVATE_HOST_PROBLEM = 'Webhooks can only go to public addresses';
+
+const BLOCKED_HOSTNAMES = ['localhost', 'metadata', 'metadata.google.internal'];
+const BLOCKED_SUFFIXES = ['.localhost', '.internal', '.local'];
+
+// [a, b, c, d] for a dotted IPv4 address, or null
+function parseIPv4(address) {
+  const parts = address.split('.');
+  if (parts.length !== 4 || !parts.every((part) => /^\d{1,3}$/.test(part))) return null;
+  const octets = parts.map(Number);
+  return octets.every((octet) => octet <= 255) ? octets : null;
+}
+
+// Eight 16-bit groups for an IPv6 address (zone and dotted IPv4 tail allowed), or null
+function parseIPv6(address) {
+  let text = address.replace(/%.*$/, '');
+  const tail = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (tail) {
+    const octets = parseIPv4(tail[1]);
+    if (!octets) return null;
+    const high = ((octets[0] << 8) | octets[1]).toString(16);
+    const low = ((octets[2] << 8) | octets[3]).toString(16);
+    text = `${text.slice(0, -tail[1].length)}${high}:${low}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const toGroups = (half) => (half ? half.split(':') : []);
+  const head = toGroups(halves[0]);
+  const rest = halves.length === 2 ? toGroups(halves[1]) : [];
+  const missing = 8 - head.length - rest.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...rest];
+  if (!groups.every((group) => /^[0-9a-f]{1,4}$/i.test(group))) return null;
+  return groups.map((group) => parseInt(group, 16));
+}
+
+function isPrivateIPv4([a, b]) {
+  return (
+    a === 0 || // "This network"
+    a === 10 ||
+    a === 127 || // Loopback
+    (a === 100 && b >= 64 && b <= 127) || // Carrier-grade NAT
+    (a === 169 && b === 254) || // Link-local, and the cloud metadata service
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    a >= 224 // Multicast and reserved
+  );
+}
+
+function isPrivateIPv6(groups) {
+  const embeddedIPv4 = () => [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff];
+  const zeroUpTo = (count) => groups.slice(0, count).every((group) => group === 0);
+
+  if (zeroUpTo(7) && groups[7] <= 1) return true; // Unspecified and loopback
+  if (zeroUpTo(5) && groups[5] === 0xffff) return isPrivateIPv4(embeddedIPv4()); // IPv4-mapped
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every((g) => g === 0)) {
+    return isPrivateIPv4(embeddedIPv4()); // NAT64
+  }
+  return (
+    (groups[0] & 0xfe00) === 0xfc00 || // Unique local
+    (groups[0] & 0xffc0) === 0xfe80 || // Link-local
+    (groups[0] & 0xff00) === 0xff00 // Multicast
+  );
+}
+
+// True for an IP address (as URL or DNS gives it) inside a private, loopback or link-local range
+function isPrivateAddress(address) {
+  const ipv4 = parseIPv4(address);
+  if (ipv4) return isPrivateIPv4(ipv4);
+  if (!address.includes(':')) return false;
+
+  // Anything that looks like IPv6 but doesn't parse is refused
+  const ipv6 = parseIPv6(address);
+  return !ipv6 || isPrivateIPv6(ipv6);
+}
+
+// True for hostnames that name the local network by themselves, without asking DNS
+function isBlockedHost(hostname) {
+  const host = hostname
+    .toLowerCase()
+    .replace(/^\[|\]$/g, '')
+    .replace(/\.$/, '');
+  return (
+    BLOCKED_HOSTNAMES.includes(host) ||
+    BLOCKED_SUFFIXES.some((suffix) => host.endsWith(suffix)) ||
+    isPrivateAddress(host)
+  );
+}
+
+// Why a webhook URL can't be used, or null if it can
+function getWebhookUrlProblem(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    parsed = null;
+  }
+
+  if (!parsed || parsed.protocol !== 'https:' || url.length > MAX_URL_LENGTH) {
+    return 'Please enter a full https:// URL';
+  }
+  if (isBlockedHost(parsed.hostname)) {
+    return PRIVATE_HOST_PROBLEM;
+  }
+  return null;
+}
+
+export { PRIVATE_HOST_PROBLEM, getWebhookUrlProblem, isBlockedHost, isPrivateAddress };
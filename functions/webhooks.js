@@ -0,0 +1,178 @@
+// Outbound webhooks: a JSON POST to every URL registered for a room whenever one of its
+// machines starts, pauses, resumes, stops or expires. Driven by writes to
+// rooms/{roomId}/machines on the server side - the machineWebhooks trigger, or the self-hosted
+// server's store - so they go out with no board open. Takes a namespaced database like
+// expire.js.
+//
+//   { "event": "started", "room": "main", "machine_id": "washer_1",
+//     "machine": { ...as GET /api/machines/:id shows it after the write }, "timestamp": "..." }
+import { lookup } from 'node:dns/promises';
+import { Agent, fetch } from 'undici';
+import { showMachine } from './api.js';
+import { hasFinished } from './machine-state.js';
+import { PRIVATE_HOST_PROBLEM, getWebhookUrlProblem, isPrivateAddress } from './webhook-url.js';
+
+// Tries per delivery, spaced like FirebaseService.executeWithCircuitBreaker
+const MAX_ATTEMPTS = 3;
+
+// A receiver that hangs counts as a failed attempt
+const DELIVERY_TIMEOUT_MS = 5000;
+
+// Failures kept per webhook for the manager console
+const MAX_FAILURES = 20;
+
+const isRunning = (machine) => machine?.status === 'active' || machine?.status === 'paused';
+
+// A new started_at or owner on a running record means a new load replaced the old one
+const isSameCycle = (before, after) =>
+  before.started_at === after.started_at && before.owner_uid === after.owner_uid;
+
+// What one write did to a machine, in order: [], ['paused'], ['expired', 'started'], ...
+// Reservations, out-of-order marks and added time are not events.
+function getMachineEvents(before, after, now) {
+  const events = [];
+  const replaced = isRunning(before) && isRunning(after) && !isSameCycle(before, after);
+
+  // Same rule as history: a running timer that had run out counts as expired, whoever ended it
+  if (isRunning(before) && (!isRunning(after) || replaced)) {
+    events.push(hasFinished(before, now) ? 'expired' : 'stopped');
+  }
+
+  if (isRunning(after) && (!isRunning(before) || replaced)) {
+    events.push('started');
+  } else if (before?.status === 'active' && after?.status === 'paused') {
+    events.push('paused');
+  } else if (before?.status === 'paused' && after?.status === 'active') {
+    events.push('resumed');
+  }
+
+  return events;
+}
+
+const refuse = (message) => Object.assign(new Error(message), { refused: true });
+
+// dns.lookup for the connection itself, refusing hosts that resolve into the local network.
+// The address checked is the one connected to, so a DNS answer that changes between a check
+// and the request can't slip through. resolve is dns.promises.lookup (swapped in tests).
+function createPublicLookup(resolve = lookup) {
+  return (hostname, options, callback) => {
+    resolve(hostname, { ...options, all: true }).then((addresses) => {
+      if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+        callback(refuse(PRIVATE_HOST_PROBLEM));
+      } else if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    }, callback);
+  };
+}
+
+const publicAgent = new Agent({ connect: { lookup: createPublicLookup() } });
+
+// POST with retries. Throws the last error, with the number of attempts made.
+// allowPrivateHosts lets plain http and local receivers through (the self-hosted server's tests)
+async function deliver(url, payload, { allowPrivateHosts = false } = {}) {
+  let attempts = 0;
+
+  while (attempts < MAX_ATTEMPTS) {
+    try {
+      // Same check as the manager console; the agent checks what the host resolves to
+      const problem = allowPrivateHosts ? null : getWebhookUrlProblem(url);
+      if (problem) throw refuse(problem);
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'laundry-timer-webhooks' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+        // A redirect could point anywhere
+        redirect: 'manual',
+        dispatcher: allowPrivateHosts ? undefined : publicAgent,
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return attempts + 1;
+    } catch (caught) {
+      // fetch reports connection errors, a refused address among them, as the cause
+      const error = caught.cause?.refused ? caught.cause : caught;
+      attempts++;
+
+      // Trying again won't make a refused URL any safer
+      if (attempts >= MAX_ATTEMPTS || error.refused) {
+        error.attempts = attempts;
+        throw error;
+      }
+
+      // Exponential backoff
+      const delay = Math.pow(2, attempts) * 100;
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Logged for the manager console, oldest dropped past MAX_FAILURES (push keys sort by time)
+async function recordFailure(db, roomId, webhookId, failure) {
+  const failuresRef = db.ref(`rooms/${roomId}/webhook_failures/${webhookId}`);
+  await failuresRef.push().set(failure);
+
+  const snapshot = await failuresRef.once('value');
+  const stale = Object.keys(snapshot.val() || {})
+    .sort()
+    .slice(0, -MAX_FAILURES);
+  if (stale.length > 0) {
+    await failuresRef.update(Object.fromEntries(stale.map((failureId) => [failureId, null])));
+  }
+}
+
+// Send what one write to a machine record did to every webhook in the room. One receiver being
+// down does not hold up the others; each gets its events in order. options go to deliver().
+async function notifyWebhooks(db, roomId, machineId, before, after, now = Date.now(), options) {
+  const events = getMachineEvents(before, after, now);
+  if (events.length === 0) return [];
+
+  const snapshot = await db.ref(`rooms/${roomId}/webhooks`).once('value');
+  const webhooks = Object.entries(snapshot.val() || {});
+
+  const deliveries = await Promise.all(
+    webhooks.map(async ([webhookId, webhook]) => {
+      const results = [];
+      for (const event of events) {
+        const payload = {
+          event,
+          room: roomId,
+          machine_id: machineId,
+          machine: showMachine(machineId, after, now),
+          timestamp: new Date(now).toISOString(),
+        };
+
+        try {
+          const attempts = await deliver(webhook.url, payload, options);
+          results.push({ webhookId, event, success: true, attempts });
+        } catch (error) {
+          results.push({
+            webhookId,
+            event,
+            success: false,
+            attempts: error.attempts,
+            error: error.message,
+          });
+          await recordFailure(db, roomId, webhookId, {
+            event,
+            machine_id: machineId,
+            url: webhook.url,
+            error: error.message,
+            attempts: error.attempts,
+            failed_at: Date.now(),
+          });
+        }
+      }
+      return results;
+    })
+  );
+
+  return deliveries.flat();
+}
+
+export { createPublicLookup, getMachineEvents, notifyWebhooks, MAX_ATTEMPTS, MAX_FAILURES };
@@ -0,0 +1,414 @@
+import FirebaseService from './firebase-service.js';
+import ModalManager from './modal.js';
+import MaintenanceManager from './maintenance.js';
+import { ensureSignedIn } from './firebase-auth.js';
+import {
+  getActiveRoomId,
+  getConfiguredDuration,
+  getMachineIds,
+  getMachineLabel,
+  getMachineType,
+  getMachineTypeLabel,
+  getRooms,
+  isValidRoomId,
+} from './room-config.js';
+
+const ACTIVITY_LIMIT = 20; // Writers and finished cycles shown in the activity panel
+const HISTORY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const formatDateTime = (timestamp) =>
+  new Date(timestamp).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+
+// Same toasts as the board, without pulling in the whole app
+function notify(message, type = 'info') {
+  const container = document.getElementById('notification-container');
+  if (!container) return;
+
+  const notification = document.createElement('div');
+  notification.className = `notification notification--${type}`;
+  notification.textContent = message;
+  notification.addEventListener('click', () => notification.remove());
+  container.appendChild(notification);
+  setTimeout(() => notification.remove(), 5000);
+}
+
+// Building manager console (/admin) - raw machine records, force-stop, maintenance, defaults
+class AdminConsole {
+  static service = new FirebaseService(getActiveRoomId());
+  static machines = {}; // Raw machines/ node
+  static issues = {}; // Raw maintenance/ node
+  static durations = {}; // settings/durations overrides
+  static webhooks = {}; // Raw webhooks/ node
+  static webhookFailures = {}; // { [webhookId]: { [failureId]: failure } }
+  static unsubscribers = [];
+
+  static async initialize() {
+    this.renderRoomPicker();
+
+    try {
+      const uid = await ensureSignedIn();
+      document.getElementById('admin-uid').textContent = uid;
+      this.service.listenToServerTimeOffset();
+
+      if (!(await this.service.isManager())) {
+        document.getElementById('admin-gate').hidden = false;
+        return;
+      }
+
+      document.getElementById('admin-content').hidden = false;
+      this.start(this.service.roomId);
+    } catch (error) {
+      console.error('Manager console failed to start:', error);
+      notify('Could not connect to the database. Please refresh the page.', 'error');
+    }
+  }
+
+  static renderRoomPicker() {
+    const select = document.getElementById('admin-room');
+    select.replaceChildren(
+      ...getRooms().map((room) => {
+        const option = document.createElement('option');
+        option.value = room.id;
+        option.textContent = room.name;
+        return option;
+      })
+    );
+    select.value = this.service.roomId;
+    select.addEventListener('change', () => {
+      if (isValidRoomId(select.value)) this.start(select.value);
+    });
+  }
+
+  static start(roomId) {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.service.setRoom(roomId);
+    this.machines = {};
+    this.issues = {};
+    this.durations = {};
+    this.webhooks = {};
+    this.webhookFailures = {};
+
+    this.unsubscribers = [
+      this.service.listenToRawMachines((machines) => {
+        this.machines = machines;
+        this.renderMachines();
+      }),
+      this.service.listenToMaintenance((issues) => {
+        this.issues = issues;
+        this.renderMachines();
+      }),
+      this.service.listenToSettings((settings) => {
+        this.durations = settings.durations || {};
+        this.renderDurations();
+      }),
+      this.service.listenToWebhooks((webhooks) => {
+        this.webhooks = webhooks;
+        this.renderWebhooks();
+      }),
+      this.service.listenToWebhookFailures((failures) => {
+        this.webhookFailures = failures;
+        this.renderWebhooks();
+      }),
+    ];
+
+    this.renderDurations();
+    this.renderWebhooks();
+    this.refreshActivity();
+  }
+
+  static getRoomMachineIds() {
+    return getMachineIds(this.service.roomId);
+  }
+
+  // Configured machines in layout order, then any stray records the config no longer knows
+  static renderMachines() {
+    const machineIds = this.getRoomMachineIds();
+    const strays = Object.keys(this.machines).filter(
+      (machineId) => !machineIds.includes(machineId)
+    );
+
+    const rows = [...machineIds, ...strays].map((machineId) => {
+      const record = this.machines[machineId] || null;
+      const row = document.createElement('tr');
+
+      const name = document.createElement('td');
+      name.textContent = getMachineLabel(machineId);
+      row.appendChild(name);
+
+      const status = document.createElement('td');
+      status.className = `admin-status ${record?.status || 'available'}`;
+      status.textContent = record?.status || 'no record';
+      row.appendChild(status);
+
+      const fields = document.createElement('td');
+      const raw = document.createElement('pre');
+      raw.className = 'admin-raw';
+      raw.textContent = record ? JSON.stringify(record, null, 2) : '-';
+      fields.appendChild(raw);
+      const issue = record?.issue_id && this.issues[machineId]?.[record.issue_id];
+      if (issue) {
+        const issueText = document.createElement('div');
+        issueText.className = 'admin-issue';
+        const note = issue.note ? ` - "${issue.note}"` : '';
+        issueText.textContent = `Issue: ${MaintenanceManager.getIssueLabel(issue.category)}${note}`;
+        fields.appendChild(issueText);
+      }
+      row.appendChild(fields);
+
+      const actions = document.createElement('td');
+      actions.className = 'admin-actions';
+      if (record && record.status !== 'out_of_order') {
+        actions.appendChild(this.createButton('force-stop', 'btn-danger', 'Force stop', machineId));
+      }
+      if (record?.status === 'out_of_order') {
+        actions.appendChild(
+          this.createButton('clear-maintenance', 'btn-success', 'Clear maintenance', machineId)
+        );
+      }
+      row.appendChild(actions);
+
+      return row;
+    });
+
+    document.getElementById('admin-machines').replaceChildren(...rows);
+  }
+
+  static renderDurations() {
+    const types = [...new Set(this.getRoomMachineIds().map(getMachineType))];
+
+    const rows = types.map((type) => {
+      const row = document.createElement('div');
+      row.className = 'admin-duration';
+
+      const label = document.createElement('label');
+      label.htmlFor = `duration-${type}`;
+      label.textContent = getMachineTypeLabel(type);
+      row.appendChild(label);
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.id = `duration-${type}`;
+      input.min = '1';
+      input.max = '120';
+      input.value = String(this.durations[type] ?? getConfiguredDuration(type));
+      row.appendChild(input);
+
+      const hint = document.createElement('small');
+      hint.textContent =
+        this.durations[type] === undefined
+          ? 'min (config default)'
+          : `min (config: ${getConfiguredDuration(type)})`;
+      row.appendChild(hint);
+
+      row.appendChild(this.createButton('save-duration', 'btn-primary', 'Save', type));
+      if (this.durations[type] !== undefined) {
+        row.appendChild(this.createButton('reset-duration', 'btn-secondary', 'Use config', type));
+      }
+      return row;
+    });
+
+    document.getElementById('admin-durations').replaceChildren(...rows);
+  }
+
+  // Registered URLs, each with how many deliveries gave up and the latest reason
+  static renderWebhooks() {
+    const rows = Object.entries(this.webhooks).map(([webhookId, webhook]) => {
+      const row = document.createElement('li');
+      row.className = 'admin-webhook';
+
+      const url = document.createElement('code');
+      url.textContent = webhook.url;
+      row.appendChild(url);
+
+      const failures = Object.values(this.webhookFailures[webhookId] || {}).sort(
+        (a, b) => a.failed_at - b.failed_at
+      );
+      if (failures.length > 0) {
+        row.appendChild(
+          this.createButton('clear-webhook-failures', 'btn-secondary', 'Clear failures', webhookId)
+        );
+      }
+      row.appendChild(this.createButton('remove-webhook', 'btn-danger', 'Remove', webhookId));
+
+      const latest = failures[failures.length - 1];
+      if (latest) {
+        const failureText = document.createElement('div');
+        failureText.className = 'admin-webhook-failures';
+        failureText.textContent =
+          `${failures.length} failed ${failures.length === 1 ? 'delivery' : 'deliveries'} - ` +
+          `last ${formatDateTime(latest.failed_at)}, ${latest.event} ` +
+          `${getMachineLabel(latest.machine_id)}: ${latest.error} (${latest.attempts} tries)`;
+        row.appendChild(failureText);
+      }
+
+      return row;
+    });
+
+    if (rows.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'admin-caption';
+      empty.textContent = 'No webhooks for this room yet.';
+      rows.push(empty);
+    }
+
+    document.getElementById('admin-webhooks').replaceChildren(...rows);
+  }
+
+  // Who wrote last (last_write stamps) and the latest finished cycles
+  static async refreshActivity() {
+    try {
+      const [writes, history] = await Promise.all([
+        this.service.getRecentWrites(ACTIVITY_LIMIT),
+        this.service.getHistory(Date.now() - HISTORY_WINDOW_MS),
+      ]);
+
+      const writeRows = writes.map(({ uid, at }) => {
+        const holding = Object.entries(this.machines)
+          .filter(([, machine]) =>
+            [machine.owner_uid, machine.reserved_for, machine.reported_by].includes(uid)
+          )
+          .map(([machineId]) => getMachineLabel(machineId));
+
+        const item = document.createElement('li');
+        item.textContent =
+          `${formatDateTime(at)} - ${uid}` + (holding.length ? ` (${holding.join(', ')})` : '');
+        return item;
+      });
+
+      const cycleRows = history
+        .slice(-ACTIVITY_LIMIT)
+        .reverse()
+        .map((entry) => {
+          const item = document.createElement('li');
+          item.textContent =
+            `${formatDateTime(entry.ended_at)} - ${getMachineLabel(entry.machine_id)}, ` +
+            `${entry.duration_minutes} min, ${entry.end_reason}`;
+          return item;
+        });
+
+      document.getElementById('admin-writes').replaceChildren(...writeRows);
+      document.getElementById('admin-cycles').replaceChildren(...cycleRows);
+    } catch (error) {
+      console.error('Failed to load activity:', error);
+      notify('Could not load recent activity.', 'warning');
+    }
+  }
+
+  static createButton(action, classes, label, target) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn btn-small ${classes}`;
+    button.dataset.action = action;
+    button.dataset.target = target;
+    button.textContent = label;
+    return button;
+  }
+
+  static async forceStop(machineId) {
+    const confirmed = await ModalManager.confirm({
+      title: 'Force Stop',
+      message: `Free ${getMachineLabel(machineId)} now? Any running load is logged as overridden.`,
+      confirmLabel: 'Force Stop',
+    });
+    if (!confirmed) return;
+
+    await this.service.forceStop(machineId);
+    notify(`${getMachineLabel(machineId)} is now available`, 'success');
+  }
+
+  static async clearMaintenance(machineId) {
+    await this.service.clearOutOfOrder(machineId);
+    notify(`${getMachineLabel(machineId)} is back in service`, 'success');
+  }
+
+  static async resetRoom() {
+    const confirmed = await ModalManager.confirm({
+      title: 'Reset Whole Room',
+      message:
+        'Free every machine in this room, including running loads and out-of-order machines? ' +
+        'This cannot be undone.',
+      confirmLabel: 'Reset Room',
+    });
+    if (!confirmed) return;
+
+    const result = await this.service.resetRoom();
+    if (result.success) {
+      notify(`Room reset - ${result.cleared} machine records cleared`, 'success');
+    } else {
+      notify(`Reset incomplete - could not clear ${result.failed.join(', ')}`, 'warning');
+    }
+    this.refreshActivity();
+  }
+
+  static async saveDuration(type) {
+    const minutes = parseInt(document.getElementById(`duration-${type}`).value);
+    if (!(minutes >= 1 && minutes <= 120)) {
+      notify('Please enter between 1 and 120 minutes', 'error');
+      return;
+    }
+
+    await this.service.setDefaultDuration(type, minutes);
+    notify(`${getMachineTypeLabel(type)} default set to ${minutes} min`, 'success');
+  }
+
+  static async resetDuration(type) {
+    await this.service.setDefaultDuration(type, null);
+    notify(`${getMachineTypeLabel(type)} default restored`, 'success');
+  }
+
+  static async addWebhook() {
+    const input = document.getElementById('admin-webhook-url');
+    await this.service.addWebhook(input.value.trim());
+    input.value = '';
+    notify('Webhook added', 'success');
+  }
+
+  static async removeWebhook(webhookId) {
+    const confirmed = await ModalManager.confirm({
+      title: 'Remove Webhook',
+      message: `Stop sending this room's machine events to ${this.webhooks[webhookId]?.url}?`,
+      confirmLabel: 'Remove',
+    });
+    if (!confirmed) return;
+
+    await this.service.removeWebhook(webhookId);
+    notify('Webhook removed', 'success');
+  }
+
+  static async clearWebhookFailures(webhookId) {
+    await this.service.clearWebhookFailures(webhookId);
+  }
+}
+
+// Event delegation for the console - every action is refused by the rules for non-managers
+document.addEventListener('click', (e) => {
+  const action = e.target.getAttribute('data-action');
+  const { target } = e.target.dataset;
+  const handlers = {
+    'force-stop': () => AdminConsole.forceStop(target),
+    'clear-maintenance': () => AdminConsole.clearMaintenance(target),
+    'reset-room': () => AdminConsole.resetRoom(),
+    'save-duration': () => AdminConsole.saveDuration(target),
+    'reset-duration': () => AdminConsole.resetDuration(target),
+    'refresh-activity': () => AdminConsole.refreshActivity(),
+    'add-webhook': () => AdminConsole.addWebhook(),
+    'remove-webhook': () => AdminConsole.removeWebhook(target),
+    'clear-webhook-failures': () => AdminConsole.clearWebhookFailures(target),
+  };
+  if (!handlers[action]) return;
+
+  handlers[action]().catch((error) => {
+    console.error(`Manager action ${action} failed:`, error);
+    notify(error.message || 'Something went wrong. Please try again.', 'error');
+  });
+});
+
+AdminConsole.initialize();
+
+export default AdminConsole;
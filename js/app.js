@@ -1,11 +1,34 @@
 import FirebaseService from './firebase-service.js';
 import TimerManager from './timer.js';
 import ModalManager from './modal.js';
+import ReminderManager from './reminder.js';
+import OfflineQueue from './offline-queue.js';
+import StatsManager from './stats.js';
+import ForecastManager from './forecast.js';
+import QueueManager from './queue.js';
+import BookingManager from './booking.js';
+import PipelineManager from './pipeline.js';
+import MaintenanceManager from './maintenance.js';
+import Clock from './clock.js';
+import {
+  getActiveRoomId,
+  setActiveRoomId,
+  getRooms,
+  getLayout,
+  getMachineIds,
+  getMachineLabel,
+  getMachineType,
+  getMachineTypeLabel,
+  getServedTypes,
+  getDefaultCycle,
+  setDurationOverrides,
+} from './room-config.js';
 
 // Create global instances for backwards compatibility
-window.FirebaseService = new FirebaseService();
+window.FirebaseService = new FirebaseService(getActiveRoomId());
 window.TimerManager = TimerManager;
 window.ModalManager = ModalManager;
+window.StatsManager = StatsManager;
 
 class ErrorHandler {
   static handleFrontendError(error, context) {
@@ -83,6 +106,13 @@ class LaundryApp {
     this.retryCount = 0;
     this.maxRetries = 3;
     this.firebaseListener = null;
+    this.connectionListener = null;
+    this.clockListener = null; // .info/serverTimeOffset -> Clock
+    this.isConnected = null; // Firebase connection state, null until first reported
+    this.isReplayingQueue = false;
+    this.realtimeSyncFailed = false; // Retried when the connection comes back
+    this.lastLiveUpdate = null; // Time of the last snapshot straight from Firebase
+    this.staleBannerTimeout = null;
     this.pendingTimerStarts = new Set(); // Prevent rapid-fire timer starts
 
     this.init();
@@ -104,14 +134,26 @@ class LaundryApp {
       this.setupThemeToggle();
       this.setupVisibilityHandler();
       this.setupDisclaimerToggle();
+      this.setupRoomPicker();
+      ReminderManager.initialize();
+      ForecastManager.initialize();
+      QueueManager.initialize();
+      BookingManager.initialize();
+      this.renderMachineCards();
       // Timers self-manage - no health checks needed
       this.bindEvents();
+      this.registerServiceWorker();
 
       // Wait for Firebase service to initialize
       while (!window.FirebaseService || !window.FirebaseService.database) {
         await new Promise((resolve) => setTimeout(resolve, 100));
       }
 
+      // Show the last-known board right away, then go live
+      this.renderCachedSnapshot();
+      this.restorePendingActions();
+      this.watchConnection();
+
       // Start real-time listening (no more polling!)
       this.startRealtimeSync();
     } catch (error) {
@@ -119,29 +161,99 @@ class LaundryApp {
     }
   }
 
-  bindEvents() {
-    try {
-      // Start timer buttons
-      document.querySelectorAll('.start-timer').forEach((btn) => {
-        btn.addEventListener('click', (e) => {
-          const machineId = e.target.dataset.machine;
-          if (machineId) {
-            const minutes = TimerManager.getStandardDuration(machineId);
-            this.setTimer(machineId, minutes);
-          }
-        });
-      });
+  // Build machine cards from the room config, in physical layout order
+  renderMachineCards() {
+    const layout = getLayout();
 
-      // Custom timer buttons
-      document.querySelectorAll('.custom-timer').forEach((btn) => {
-        btn.addEventListener('click', (e) => {
-          const machineId = e.target.dataset.machine;
-          if (machineId) {
-            ModalManager.showCustomTimer(machineId);
-          }
-        });
+    ['left', 'right'].forEach((side) => {
+      const container = document.getElementById(`machines-${side}`);
+      if (!container) {
+        console.error(`Machine column not found: ${side}`);
+        return;
+      }
+
+      const heading = container.querySelector('h2');
+      if (heading) {
+        heading.textContent = layout[side].heading;
+      }
+
+      container.querySelectorAll('.machine-card, .queue-bar').forEach((el) => el.remove());
+
+      // Waitlist for whatever the first machine in the column is (washer or dryer)
+      const queueBar = document.createElement('div');
+      queueBar.className = 'queue-bar';
+      queueBar.dataset.queueType = getServedTypes(layout[side].machines[0])[0];
+      queueBar.hidden = true;
+      container.appendChild(queueBar);
+
+      layout[side].machines.forEach((machineId) => {
+        container.appendChild(this.createMachineCard(machineId));
       });
+    });
+  }
+
+  createMachineCard(machineId) {
+    const card = document.createElement('div');
+    card.id = `machine-${machineId}`;
+    card.className = `machine-card ${getMachineType(machineId)}-card available`;
+
+    const title = document.createElement('h3');
+    title.textContent = getMachineLabel(machineId);
+    card.appendChild(title);
+
+    const timerDisplay = document.createElement('div');
+    timerDisplay.className = 'timer-display';
+    timerDisplay.textContent = 'Available';
+    card.appendChild(timerDisplay);
+
+    const runningStatus = document.createElement('div');
+    runningStatus.className = 'running-status';
+    runningStatus.style.display = 'none';
+    runningStatus.textContent = 'Running...';
+    card.appendChild(runningStatus);
+
+    const actionButtons = document.createElement('div');
+    actionButtons.className = 'action-buttons';
+
+    const startBtn = document.createElement('button');
+    startBtn.className = 'btn btn-primary start-timer';
+    startBtn.setAttribute('data-machine', machineId);
+    startBtn.textContent = 'Start';
+    actionButtons.appendChild(startBtn);
+
+    const customBtn = document.createElement('button');
+    customBtn.className = 'btn btn-secondary custom-timer';
+    customBtn.setAttribute('data-machine', machineId);
+    customBtn.textContent = 'Custom';
+    actionButtons.appendChild(customBtn);
+
+    // Washers can chain straight into a dryer (only if this room has one)
+    if (getMachineType(machineId) === 'washer' && this.roomServes('dryer')) {
+      const washDryBtn = document.createElement('button');
+      washDryBtn.className = 'btn btn-secondary wash-dry-timer';
+      washDryBtn.setAttribute('data-machine', machineId);
+      washDryBtn.textContent = 'Wash + Dry';
+      actionButtons.appendChild(washDryBtn);
+    }
 
+    card.appendChild(actionButtons);
+
+    const reportBtn = document.createElement('button');
+    reportBtn.type = 'button';
+    reportBtn.className = 'report-problem';
+    reportBtn.setAttribute('data-machine', machineId);
+    reportBtn.textContent = 'Report problem';
+    card.appendChild(reportBtn);
+
+    return card;
+  }
+
+  roomServes(type) {
+    return getMachineIds().some((machineId) => getServedTypes(machineId).includes(type));
+  }
+
+  bindEvents() {
+    try {
       // How to Use buttons
       const howToUseBtn = document.getElementById('how-to-use-toggle');
       const howToUseBtnMobile = document.getElementById('how-to-use-toggle-mobile');
@@ -169,17 +281,50 @@ class LaundryApp {
         e.preventDefault();
       });
 
-      // Control button handlers (delegated to handle dynamically created buttons)
+      // Card button handlers (delegated - cards are re-rendered when the room changes)
       document.addEventListener('click', (e) => {
-        if (e.target.classList.contains('pause-timer')) {
+        if (e.target.classList.contains('start-timer')) {
+          const machineId = e.target.dataset.machine;
+          if (machineId) {
+            const minutes = TimerManager.getStandardDuration(machineId);
+            this.setTimer(machineId, minutes, { cycleName: getDefaultCycle(machineId)?.name });
+          }
+        } else if (e.target.classList.contains('wash-dry-timer')) {
+          const machineId = e.target.dataset.machine;
+          if (machineId) {
+            const minutes = TimerManager.getStandardDuration(machineId);
+            this.setTimer(machineId, minutes, {
+              nextType: 'dryer',
+              cycleName: getDefaultCycle(machineId)?.name,
+            });
+          }
+        } else if (e.target.classList.contains('custom-timer')) {
+          const machineId = e.target.dataset.machine;
+          if (machineId) {
+            ModalManager.showCustomTimer(machineId);
+          }
+        } else if (e.target.classList.contains('pause-timer')) {
           const machineId = e.target.dataset.machine;
           this.controlTimer(machineId, 'pause');
         } else if (e.target.classList.contains('resume-timer')) {
           const machineId = e.target.dataset.machine;
           this.controlTimer(machineId, 'resume');
+        } else if (e.target.classList.contains('extend-timer')) {
+          this.showExtendTimer(e.target.dataset.machine);
         } else if (e.target.classList.contains('stop-timer')) {
           const machineId = e.target.dataset.machine;
           this.controlTimer(machineId, 'stop');
+        } else if (e.target.classList.contains('takeover-timer')) {
+          const machineId = e.target.dataset.machine;
+          this.takeOverMachine(machineId);
+        } else if (e.target.classList.contains('report-problem')) {
+          MaintenanceManager.open(e.target.dataset.machine);
+        } else if (e.target.classList.contains('clear-out-of-order')) {
+          this.clearOutOfOrder(e.target.dataset.machine);
+        } else if (e.target.classList.contains('join-queue')) {
+          this.updateQueue(e.target.dataset.queueType, 'join');
+        } else if (e.target.classList.contains('leave-queue')) {
+          this.updateQueue(e.target.dataset.queueType, 'leave');
         }
       });
     } catch (error) {
@@ -256,6 +401,292 @@ class LaundryApp {
     });
   }
 
+  setupRoomPicker() {
+    const rooms = getRooms();
+    const roomSelects = document.querySelectorAll('.room-select');
+
+    roomSelects.forEach((select) => {
+      select.replaceChildren(
+        ...rooms.map((room) => {
+          const option = document.createElement('option');
+          option.value = room.id;
+          option.textContent = room.name;
+          return option;
+        })
+      );
+      select.value = getActiveRoomId();
+
+      // Nothing to pick in single-room deployments
+      select.closest('.room-picker')?.classList.toggle('single-room', rooms.length < 2);
+
+      select.addEventListener('change', () => {
+        this.switchRoom(select.value);
+      });
+    });
+
+    this.syncRoomUrl();
+  }
+
+  switchRoom(roomId) {
+    if (roomId === getActiveRoomId()) return;
+
+    try {
+      setActiveRoomId(roomId);
+
+      // Tear down the old room before rendering the new one
+      this.stopRealtimeSync();
+      TimerManager.cleanupAllTimers();
+      QueueManager.reset();
+      BookingManager.reset();
+      PipelineManager.reset();
+      setDurationOverrides({});
+      window.FirebaseService.setRoom(roomId);
+
+      document.querySelectorAll('.room-select').forEach((select) => {
+        select.value = roomId;
+      });
+      this.syncRoomUrl();
+      this.renderMachineCards();
+      this.lastLiveUpdate = null;
+      TimerManager.clearPendingSync();
+      this.renderCachedSnapshot();
+      this.restorePendingActions();
+      this.startRealtimeSync();
+    } catch (error) {
+      ErrorHandler.handleFrontendError(error, 'switchRoom');
+    }
+  }
+
+  // Keep ?room= in the address bar so the current board can be bookmarked or shared
+  syncRoomUrl() {
+    const url = new URL(window.location.href);
+    if (url.searchParams.get('room') === getActiveRoomId()) return;
+
+    url.searchParams.set('room', getActiveRoomId());
+    window.history.replaceState(null, '', url);
+  }
+
+  registerServiceWorker() {
+    const manager = window.BrowserCompatibilityManager?.getInstance();
+    // sw.js only exists in production builds
+    if (!import.meta.env.PROD || !manager?.capabilities.supportsServiceWorker) return;
+
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.warn('Service worker registration failed:', error.message);
+    });
+  }
+
+  // Render the last-known snapshot so the board isn't blank while offline or reconnecting
+  renderCachedSnapshot() {
+    const snapshot = window.FirebaseService.getLastSnapshot();
+    if (!snapshot) return;
+
+    const machines = window.FirebaseService.processMachineData(snapshot.data, Clock.now());
+    TimerManager.updateAllMachines(machines);
+
+    // Only flag it as stale if live data doesn't arrive promptly
+    const STALE_GRACE_MS = navigator.onLine === false ? 0 : 3000;
+    clearTimeout(this.staleBannerTimeout);
+    this.staleBannerTimeout = setTimeout(() => {
+      if (!this.lastLiveUpdate) {
+        this.showStaleBanner(snapshot.saved_at);
+      }
+    }, STALE_GRACE_MS);
+  }
+
+  watchConnection() {
+    if (this.connectionListener) return;
+
+    this.clockListener = window.FirebaseService.listenToServerTimeOffset();
+
+    this.connectionListener = window.FirebaseService.listenToConnection((connected) => {
+      this.isConnected = connected;
+
+      if (connected) {
+        this.hideStaleBanner();
+        // First visit offline - sign-in (and so the listener) had to wait for the network
+        if (this.realtimeSyncFailed) {
+          this.startRealtimeSync();
+        }
+        this.replayOfflineQueue();
+      } else if (this.lastLiveUpdate) {
+        this.showStaleBanner(this.lastLiveUpdate);
+      }
+    });
+  }
+
+  showStaleBanner(since) {
+    const banner = document.getElementById('stale-banner');
+    if (!banner) return;
+
+    const timeStr = new Date(since).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    banner.textContent = `Offline - board is stale since ${timeStr}. Reconnecting...`;
+    banner.hidden = false;
+  }
+
+  hideStaleBanner() {
+    clearTimeout(this.staleBannerTimeout);
+    const banner = document.getElementById('stale-banner');
+    if (banner) {
+      banner.hidden = true;
+    }
+  }
+
+  isOffline() {
+    return navigator.onLine === false || this.isConnected === false;
+  }
+
+  // Save an action for replay and show it on the card right away
+  async queueOfflineAction(machineId, action, details = {}) {
+    const snapshot = window.FirebaseService.getLastSnapshot();
+
+    await OfflineQueue.enqueue({
+      roomId: getActiveRoomId(),
+      machineId,
+      action,
+      ...details,
+      // What this device last saw - a newer updated_at at replay time means someone else acted
+      baseUpdatedAt: snapshot?.data?.[machineId]?.updated_at ?? null,
+    });
+
+    this.applyOptimisticAction({ machineId, action, ...details, queuedAt: Clock.now() });
+    ErrorHandler.showUserNotification(
+      "You're offline - saved on this device, will sync when reconnected",
+      'warning'
+    );
+  }
+
+  applyOptimisticAction(entry) {
+    TimerManager.setPendingSync(entry.machineId, true);
+
+    switch (entry.action) {
+      case 'start':
+        TimerManager.startTimer(entry.machineId, entry.queuedAt + entry.minutes * 60 * 1000);
+        break;
+      case 'stop':
+        TimerManager.stopTimer(entry.machineId);
+        break;
+      case 'pause':
+        TimerManager.pauseTimer(entry.machineId);
+        break;
+      case 'resume':
+        TimerManager.resumeTimer(entry.machineId);
+        break;
+    }
+  }
+
+  // Re-show queued actions for this room after a reload or room switch
+  async restorePendingActions() {
+    try {
+      const entries = await OfflineQueue.getAll();
+      entries
+        .filter((entry) => entry.roomId === getActiveRoomId())
+        .forEach((entry) => this.applyOptimisticAction(entry));
+    } catch (error) {
+      console.warn('Failed to load offline actions:', error.message);
+    }
+  }
+
+  async replayOfflineQueue() {
+    if (this.isReplayingQueue) return;
+    this.isReplayingQueue = true;
+
+    let processedCount = 0; // Removed from the queue, whether or not the write went through
+    let syncedCount = 0;
+
+    try {
+      const entries = await OfflineQueue.getAll();
+      // Only the first action per machine is checked - later ones build on our own writes
+      const replayedMachines = new Set();
+
+      for (const entry of entries) {
+        const machineKey = `${entry.roomId}/${entry.machineId}`;
+
+        try {
+          await this.replayOfflineAction(entry, !replayedMachines.has(machineKey));
+          replayedMachines.add(machineKey);
+          syncedCount++;
+        } catch (error) {
+          // Dropped again mid-replay - keep the rest for the next reconnect
+          if (this.isOffline()) break;
+          ErrorHandler.handleFrontendError(error, 'replayOfflineQueue');
+        }
+
+        await OfflineQueue.remove(entry.id);
+        processedCount++;
+      }
+    } catch (error) {
+      console.error('Offline queue replay failed:', error);
+    } finally {
+      this.isReplayingQueue = false;
+    }
+
+    // Failed actions are gone from the queue too, so their cards must stop showing them
+    if (processedCount > 0) {
+      TimerManager.clearPendingSync();
+      await this.restorePendingActions(); // Anything left over stays pending
+      await this.refreshStatus();
+    }
+    if (syncedCount > 0) {
+      ErrorHandler.showUserNotification('Offline changes synced', 'success');
+    }
+  }
+
+  async replayOfflineAction(entry, checkConflict) {
+    const service =
+      entry.roomId === window.FirebaseService.roomId
+        ? window.FirebaseService
+        : new FirebaseService(entry.roomId);
+    const current = await service.getMachine(entry.machineId);
+
+    if (checkConflict && current && (current.updated_at || 0) > (entry.baseUpdatedAt || 0)) {
+      const state = current.status === 'paused' ? 'paused' : 'started';
+      const override = await ModalManager.confirm({
+        title: 'Changed While You Were Offline',
+        message:
+          `${getMachineLabel(entry.machineId)} was ${state} by someone else while you were offline. ` +
+          `Apply your "${entry.action}" anyway?`,
+        confirmLabel: 'Use Mine',
+        cancelLabel: 'Keep Theirs',
+      });
+      if (!override) return;
+    }
+
+    // Someone else's running timer (or a broken machine) can't be overridden from here
+    if (current && !service.canModify(current, Clock.now())) {
+      const reason =
+        current.status === 'out_of_order'
+          ? 'was reported out of order'
+          : 'is now in use by someone else';
+      ErrorHandler.showUserNotification(
+        `${getMachineLabel(entry.machineId)} ${reason} - ` +
+          `your offline "${entry.action}" was discarded.`,
+        'warning'
+      );
+      return;
+    }
+
+    switch (entry.action) {
+      case 'start': {
+        // Keep the original end time - the machine has been running since the tap
+        const remainingMs = entry.queuedAt + entry.minutes * 60 * 1000 - Clock.now();
+        if (remainingMs <= 0) return; // Cycle finished while offline
+        await service.setTimer(entry.machineId, Math.ceil(remainingMs / (1000 * 60)), {
+          nextType: entry.nextType,
+          cycleName: entry.cycleName,
+        });
+        break;
+      }
+      case 'stop':
+        if (current) {
+          await service.controlTimer(entry.machineId, 'stop');
+        }
+        break;
+      default:
+        await service.controlTimer(entry.machineId, entry.action);
+    }
+  }
+
   setupDisclaimerToggle() {
     // Set up disclaimer toggle for both mobile and desktop
     const disclaimerToggles = document.querySelectorAll('#disclaimer-toggle, .disclaimer-toggle');
@@ -329,30 +760,17 @@ class LaundryApp {
 
   getActiveMachines() {
     const activeMachines = [];
-    // Order machines 4,3,2,1 to match physical room layout (4 at back/top, 1 at front/bottom)
-    const allMachineIds = [
-      'washer_4',
-      'washer_3',
-      'washer_2',
-      'washer_1',
-      'dryer_4',
-      'dryer_3',
-      'dryer_2',
-      'dryer_1',
-    ];
-
-    allMachineIds.forEach((machineId) => {
+    // Room config lists machines in physical layout order (back/top to front/bottom)
+    getMachineIds().forEach((machineId) => {
       const machineCard = document.getElementById(`machine-${machineId}`);
       if (machineCard && machineCard.classList.contains('active')) {
-        const timerDisplay = machineCard.querySelector('.timer-display');
-        const timeText = timerDisplay ? timerDisplay.textContent : '';
-        const timeMatch = timeText.match(/(\d+)\s*min/);
-        const timeRemaining = timeMatch ? parseInt(timeMatch[1]) : 0;
+        // The card shows "4:05 left" near the end, so ask the timer rather than the text
+        const timeRemaining = TimerManager.timers.get(machineId)?.getTimeRemaining() || 0;
 
         if (timeRemaining > 0) {
           activeMachines.push({
             id: machineId,
-            name: machineId.replace('_', ' ').replace(/\b\w/g, (l) => l.toUpperCase()),
+            name: getMachineLabel(machineId),
             timeRemaining,
           });
         }
@@ -362,7 +780,9 @@ class LaundryApp {
     return activeMachines;
   }
 
-  async setTimer(machineId, minutes) {
+  // options.nextType: follow this load with another one (wash + dry)
+  // options.cycleName: named cycle the minutes came from ("Heavy")
+  async setTimer(machineId, minutes, { nextType = null, cycleName = null } = {}) {
     // Prevent rapid-fire timer starts for the same machine
     if (this.pendingTimerStarts.has(machineId)) {
       console.warn(`Timer start already pending for ${machineId}, ignoring duplicate request`);
@@ -382,6 +802,16 @@ class LaundryApp {
       }
       const validatedMinutes = parseInt(minutes);
 
+      if (this.isOffline()) {
+        await this.queueOfflineAction(machineId, 'start', {
+          minutes: validatedMinutes,
+          nextType,
+          cycleName,
+        });
+        ReminderManager.claimMachine(machineId, validatedMinutes);
+        return;
+      }
+
       TimerManager.showLoadingState(machineId);
 
       // Aggressive retry logic with force cleanup
@@ -389,7 +819,13 @@ class LaundryApp {
 
       for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
-          await window.FirebaseService.setTimer(machineId, validatedMinutes);
+          const started = await this.startTimerRespectingBookings(machineId, validatedMinutes, {
+            nextType,
+            cycleName,
+          });
+          if (!started) return;
+          ReminderManager.claimMachine(machineId, validatedMinutes); // Remember as "mine"
+          QueueManager.onMachineStarted(machineId);
           break; // Success, exit retry loop
         } catch (error) {
           if (error.message === 'Machine is currently in use' && attempt < maxRetries) {
@@ -401,7 +837,10 @@ class LaundryApp {
             try {
               // Clear Firebase data directly
               const { ref, remove } = window.FirebaseService.getFirebaseFunctions();
-              const machineRef = ref(window.FirebaseService.database, `machines/${machineId}`);
+              const machineRef = ref(
+                window.FirebaseService.database,
+                window.FirebaseService.getMachinePath(machineId)
+              );
               await remove(machineRef);
 
               // Clear any client-side timer
@@ -423,7 +862,7 @@ class LaundryApp {
 
       this.retryCount = 0; // Reset retry count on success
     } catch (error) {
-      ErrorHandler.handleFrontendError(error, 'setTimer');
+      ErrorHandler.handleFrontendError(this.toUserFacingError(error), 'setTimer');
     } finally {
       TimerManager.hideLoadingState(machineId);
 
@@ -434,47 +873,264 @@ class LaundryApp {
     }
   }
 
+  // Starting into someone's upcoming booking needs a confirmation; resolves false if declined
+  async startTimerRespectingBookings(machineId, minutes, options = {}) {
+    try {
+      await window.FirebaseService.setTimer(machineId, minutes, options);
+      return true;
+    } catch (error) {
+      if (error.code !== 'booking-conflict' || error.booking.inProgress) throw error;
+
+      const confirmed = await ModalManager.confirm({
+        title: 'Machine Booked Later',
+        message: `${error.message} Start anyway and make sure it's emptied in time?`,
+        confirmLabel: 'Start Anyway',
+      });
+      if (!confirmed) return false;
+
+      await window.FirebaseService.setTimer(machineId, minutes, {
+        ...options,
+        allowUpcomingBooking: true,
+      });
+      return true;
+    }
+  }
+
   async controlTimer(machineId, action) {
     try {
       if (!TimerManager.validateMachineId(machineId)) {
         throw new Error('Invalid machine ID');
       }
 
+      if (this.isOffline()) {
+        if (action === 'stop') {
+          ReminderManager.releaseMachine(machineId);
+        }
+        await this.queueOfflineAction(machineId, action);
+        return;
+      }
+
       TimerManager.showLoadingState(machineId);
 
-      // Handle timer control actions
+      // Handle timer control actions - pause/resume go through Firebase so every viewer sees them
       if (action === 'pause') {
+        await window.FirebaseService.controlTimer(machineId, 'pause');
         TimerManager.pauseTimer(machineId);
       } else if (action === 'resume') {
+        await window.FirebaseService.controlTimer(machineId, 'resume');
         TimerManager.resumeTimer(machineId);
       } else if (action === 'stop') {
+        // Firebase first - it refuses to stop another device's timer
+        await window.FirebaseService.controlTimer(machineId, 'stop');
         TimerManager.stopTimer(machineId);
-        // Also remove from Firebase
-        if (window.FirebaseService) {
-          await window.FirebaseService.controlTimer(machineId, 'stop');
-        }
+        ReminderManager.releaseMachine(machineId);
+      }
+    } catch (error) {
+      ErrorHandler.handleFrontendError(this.toUserFacingError(error), 'controlTimer');
+    } finally {
+      TimerManager.hideLoadingState(machineId);
+    }
+  }
+
+  async showExtendTimer(machineId) {
+    try {
+      if (this.isOffline()) {
+        throw new ValidationError('Reconnect to add time to a timer', 'machine_id');
+      }
+
+      // Check the cap against the server copy, not a possibly stale local timer
+      const service = window.FirebaseService;
+      const current = await service.getMachine(machineId);
+      if (!current || current.status !== 'active') {
+        throw new ValidationError('Can only add time to running timers', 'machine_id');
+      }
+
+      const maxMinutes = service.getExtendableMinutes(current, Clock.now());
+      if (maxMinutes < 1) {
+        throw service.createExtendLimitError(0);
       }
+
+      ModalManager.showExtendTimer(machineId, getMachineLabel(machineId), maxMinutes);
     } catch (error) {
-      ErrorHandler.handleFrontendError(error, 'controlTimer');
+      ErrorHandler.handleFrontendError(this.toUserFacingError(error), 'showExtendTimer');
+    }
+  }
+
+  async extendTimer(machineId, minutes) {
+    try {
+      if (this.isOffline()) {
+        throw new ValidationError('Reconnect to add time to a timer', 'machine_id');
+      }
+
+      TimerManager.showLoadingState(machineId);
+      const result = await window.FirebaseService.extendTimer(machineId, minutes);
+      TimerManager.startTimer(machineId, result.end_time);
+      ReminderManager.claimMachine(machineId, Math.ceil((result.end_time - Clock.now()) / 60000));
+      ErrorHandler.showUserNotification(
+        `Added ${minutes} min to ${getMachineLabel(machineId)}`,
+        'success'
+      );
+    } catch (error) {
+      ErrorHandler.handleFrontendError(this.toUserFacingError(error), 'extendTimer');
     } finally {
       TimerManager.hideLoadingState(machineId);
     }
   }
 
+  // Free a machine someone else left behind (finished, or paused and abandoned)
+  async takeOverMachine(machineId) {
+    try {
+      if (!TimerManager.validateMachineId(machineId)) {
+        throw new Error('Invalid machine ID');
+      }
+
+      if (this.isOffline()) {
+        throw new ValidationError('Reconnect to take over a machine', 'machine_id');
+      }
+
+      const confirmed = await ModalManager.confirm({
+        title: 'Take Over Machine',
+        message:
+          `${getMachineLabel(machineId)} was started on another device and looks abandoned. ` +
+          'Mark it as available so you can use it?',
+        confirmLabel: 'Take Over',
+      });
+      if (!confirmed) return;
+
+      TimerManager.showLoadingState(machineId);
+      await window.FirebaseService.controlTimer(machineId, 'takeover');
+      TimerManager.stopTimer(machineId);
+      ErrorHandler.showUserNotification(
+        `${getMachineLabel(machineId)} is now available`,
+        'success'
+      );
+    } catch (error) {
+      ErrorHandler.handleFrontendError(this.toUserFacingError(error), 'takeOverMachine');
+    } finally {
+      TimerManager.hideLoadingState(machineId);
+    }
+  }
+
+  // Resident report from the card - files the issue and takes the machine out of service
+  async reportProblem(machineId, category, note) {
+    try {
+      if (this.isOffline()) {
+        throw new ValidationError('Reconnect to report a problem', 'machine_id');
+      }
+
+      TimerManager.showLoadingState(machineId);
+      const result = await window.FirebaseService.reportProblem(machineId, category, note);
+      if (result.outOfOrder) {
+        ReminderManager.releaseMachine(machineId);
+      }
+      ErrorHandler.showUserNotification(
+        result.outOfOrder
+          ? `Thanks - ${getMachineLabel(machineId)} is marked out of order`
+          : `Thanks - the problem with ${getMachineLabel(machineId)} has been reported`,
+        'success'
+      );
+    } catch (error) {
+      ErrorHandler.handleFrontendError(this.toUserFacingError(error), 'reportProblem');
+    } finally {
+      TimerManager.hideLoadingState(machineId);
+    }
+  }
+
+  // Managers only - the card only shows the button to them, and the rules check again
+  async clearOutOfOrder(machineId) {
+    try {
+      if (this.isOffline()) {
+        throw new ValidationError('Reconnect to put a machine back in service', 'machine_id');
+      }
+
+      const confirmed = await ModalManager.confirm({
+        title: 'Back in Service',
+        message: `Mark ${getMachineLabel(machineId)} as fixed and available to everyone?`,
+        confirmLabel: 'Back in Service',
+      });
+      if (!confirmed) return;
+
+      TimerManager.showLoadingState(machineId);
+      await window.FirebaseService.clearOutOfOrder(machineId);
+      ErrorHandler.showUserNotification(
+        `${getMachineLabel(machineId)} is back in service`,
+        'success'
+      );
+    } catch (error) {
+      ErrorHandler.handleFrontendError(this.toUserFacingError(error), 'clearOutOfOrder');
+    } finally {
+      TimerManager.hideLoadingState(machineId);
+    }
+  }
+
+  // Join or leave the waitlist for the next free washer / dryer
+  async updateQueue(type, action) {
+    try {
+      if (this.isOffline()) {
+        throw new ValidationError('Reconnect to join or leave the queue', 'queue');
+      }
+
+      if (action === 'join') {
+        await QueueManager.join(type);
+        ErrorHandler.showUserNotification(
+          `You're in the ${getMachineTypeLabel(type).toLowerCase()} queue - we'll hold the next free one for you`,
+          'success'
+        );
+      } else {
+        await QueueManager.leave(type);
+      }
+    } catch (error) {
+      ErrorHandler.handleFrontendError(this.toUserFacingError(error), 'updateQueue');
+    }
+  }
+
+  // Ownership and rules refusals are expected - show their message instead of the generic one
+  toUserFacingError(error) {
+    const expectedCodes = ['not-owner', 'write-rejected', 'booking-conflict', 'extend-limit'];
+    if (expectedCodes.includes(error?.code)) {
+      return new ValidationError(error.message, 'machine_id');
+    }
+    return error;
+  }
+
   async startRealtimeSync() {
+    this.realtimeSyncFailed = false;
+
     try {
+      // Managers get "Back in service" on broken machines, so know the role before rendering
+      await MaintenanceManager.loadRole();
+
       // Set up real-time listener
       this.firebaseListener = await window.FirebaseService.listenToMachines((data) => {
         if (data && data.machines) {
+          PipelineManager.setMachines(data.machines); // Before the cards render their finish times
           TimerManager.updateAllMachines(data.machines, data.timestamp);
+          QueueManager.setMachines(data.machines);
+          this.lastLiveUpdate = Date.now();
+          this.hideStaleBanner();
           this.updateLastUpdatedTime();
           this.retryCount = 0;
         } else {
           console.warn('Invalid data received from Firebase');
         }
       });
+
+      this.queueListener = window.FirebaseService.listenToQueue((queues) =>
+        QueueManager.setQueues(queues)
+      );
+      this.bookingListener = window.FirebaseService.listenToBookings(
+        ...BookingManager.getDateRange(),
+        (bookings) => BookingManager.setBookings(bookings)
+      );
+      this.settingsListener = window.FirebaseService.listenToSettings((settings) =>
+        setDurationOverrides(settings.durations)
+      );
+
+      // Forecast for this room (sign-in has completed by now)
+      ForecastManager.refresh();
     } catch (error) {
       console.error('Failed to start real-time sync:', error);
+      this.realtimeSyncFailed = true;
       ErrorHandler.showUserNotification(
         'Unable to connect to real-time updates. Please refresh the page.',
         'warning'
@@ -487,6 +1143,18 @@ class LaundryApp {
       this.firebaseListener();
       this.firebaseListener = null;
     }
+    if (this.queueListener) {
+      this.queueListener();
+      this.queueListener = null;
+    }
+    if (this.bookingListener) {
+      this.bookingListener();
+      this.bookingListener = null;
+    }
+    if (this.settingsListener) {
+      this.settingsListener();
+      this.settingsListener = null;
+    }
   }
 
   // Force Firebase refresh for health check recovery
@@ -494,12 +1162,15 @@ class LaundryApp {
     try {
       // Force a one-time Firebase read to update stale timers
       const { ref, get } = window.FirebaseService.getFirebaseFunctions();
-      const machinesRef = ref(window.FirebaseService.database, 'machines');
+      const machinesRef = ref(
+        window.FirebaseService.database,
+        window.FirebaseService.getMachinesPath()
+      );
       const snapshot = await get(machinesRef);
       const data = snapshot.val() || {};
 
       // Process and sync the fresh data through the normal pipeline
-      const machines = window.FirebaseService.processMachineData(data, Date.now());
+      const machines = window.FirebaseService.processMachineData(data, Clock.now());
       TimerManager.updateAllMachines(machines);
     } catch (error) {
       console.error('Failed to refresh Firebase status:', error);
@@ -527,6 +1198,14 @@ class LaundryApp {
   // Cleanup method for page unload
   cleanup() {
     this.stopRealtimeSync();
+    if (this.connectionListener) {
+      this.connectionListener();
+      this.connectionListener = null;
+    }
+    if (this.clockListener) {
+      this.clockListener();
+      this.clockListener = null;
+    }
     // Timers are automatically stopped in cleanupAllTimers()
 
     // Clean up all timers
@@ -540,6 +1219,7 @@ class LaundryApp {
   // Get current status for debugging
   getStatus() {
     return {
+      roomId: getActiveRoomId(),
       hasRealtimeSync: !!this.firebaseListener,
       isPageVisible: this.isPageVisible,
       retryCount: this.retryCount,
@@ -0,0 +1,281 @@
+import { BOOKING_SLOT_MS } from './firebase-service.js';
+import { getCurrentUid } from './firebase-auth.js';
+import { getMachineIds, getMachineLabel, getRoom } from './room-config.js';
+import Clock from './clock.js';
+
+const BOOKING_DAYS = 7; // Today plus the next six days
+const BADGE_LOOKAHEAD_MS = 12 * 60 * 60 * 1000; // Cards only show bookings starting this soon
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Bookings for one machine, soonest first
+ * @param {Object} bookings - reservations/ node ({ [dateKey]: { [machineId]: { [hour]: booking } } })
+ * @param {string} machineId
+ * @param {Function} slotStart - (dateKey, hour) => local start timestamp of the slot
+ * @returns {Array} [{ dateKey, hour, uid, startsAt }]
+ */
+function listBookings(bookings, machineId, slotStart) {
+  return Object.entries(bookings || {})
+    .flatMap(([dateKey, machines]) =>
+      Object.entries((machines && machines[machineId]) || {})
+        .filter(([, booking]) => booking)
+        .map(([hour, booking]) => ({
+          dateKey,
+          hour: Number(hour),
+          uid: booking.uid,
+          startsAt: slotStart(dateKey, hour),
+        }))
+    )
+    .sort((a, b) => a.startsAt - b.startsAt);
+}
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+const formatDay = (timestamp, daysAhead) => {
+  if (daysAhead === 0) return 'Today';
+  if (daysAhead === 1) return 'Tomorrow';
+  return new Date(timestamp).toLocaleDateString([], {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+// Hourly booking calendar, plus "Reserved 7:00 PM" badges on the machine cards
+class BookingManager {
+  static bookings = {}; // Raw reservations/ node for the booking window
+
+  static initialize() {
+    setInterval(() => this.renderBadges(), REFRESH_INTERVAL_MS);
+
+    document.getElementById('booking-machine')?.addEventListener('change', () => {
+      this.renderSlots();
+    });
+    document.getElementById('booking-day')?.addEventListener('change', () => {
+      this.renderSlots();
+    });
+  }
+
+  // Noon avoids daylight saving shifts landing on the wrong day
+  static getDayStarts(now = Clock.now()) {
+    const today = new Date(now);
+    return Array.from({ length: BOOKING_DAYS }, (_, day) =>
+      new Date(today.getFullYear(), today.getMonth(), today.getDate() + day, 12).getTime()
+    );
+  }
+
+  // First and last date keys the board listens to
+  static getDateRange() {
+    const service = window.FirebaseService;
+    const days = this.getDayStarts();
+    return [service.getDateKey(days[0]), service.getDateKey(days[days.length - 1])];
+  }
+
+  static setBookings(bookings) {
+    this.bookings = bookings || {};
+    this.renderBadges();
+    if (this.isOpen()) this.renderSlots();
+  }
+
+  static reset() {
+    this.bookings = {};
+    this.close();
+  }
+
+  static getMachineBookings(machineId) {
+    const service = window.FirebaseService;
+    return listBookings(this.bookings, machineId, (dateKey, hour) =>
+      service.getBookingSlotStart(dateKey, hour)
+    );
+  }
+
+  static renderBadges() {
+    const now = Clock.now();
+    const uid = getCurrentUid();
+
+    getMachineIds(window.FirebaseService.roomId).forEach((machineId) => {
+      const card = document.getElementById(`machine-${machineId}`);
+      if (!card) return;
+
+      const next = this.getMachineBookings(machineId).find(
+        (booking) =>
+          booking.startsAt + BOOKING_SLOT_MS > now && booking.startsAt - now <= BADGE_LOOKAHEAD_MS
+      );
+
+      let badge = card.querySelector('.booking-badge');
+      if (!next) {
+        badge?.remove();
+        return;
+      }
+
+      if (!badge) {
+        badge = document.createElement('div');
+        badge.className = 'booking-badge';
+        card.appendChild(badge);
+      }
+
+      const mine = uid && next.uid === uid;
+      badge.classList.toggle('mine', Boolean(mine));
+      badge.textContent = `${mine ? 'Your booking' : 'Reserved'} ${formatTime(next.startsAt)}`;
+      badge.title = `Booked ${formatTime(next.startsAt)}-${formatTime(next.startsAt + BOOKING_SLOT_MS)}`;
+    });
+  }
+
+  static isOpen() {
+    return Boolean(document.getElementById('booking-modal')?.classList.contains('show'));
+  }
+
+  static open() {
+    const modal = document.getElementById('booking-modal');
+    const machineSelect = document.getElementById('booking-machine');
+    const daySelect = document.getElementById('booking-day');
+    if (!modal || !machineSelect || !daySelect) return;
+
+    const service = window.FirebaseService;
+    document.getElementById('booking-room').textContent = getRoom(service.roomId).name;
+
+    const previousMachine = machineSelect.value;
+    machineSelect.replaceChildren(
+      ...getMachineIds(service.roomId).map((machineId) => {
+        const option = document.createElement('option');
+        option.value = machineId;
+        option.textContent = getMachineLabel(machineId);
+        return option;
+      })
+    );
+    if (getMachineIds(service.roomId).includes(previousMachine)) {
+      machineSelect.value = previousMachine;
+    }
+
+    daySelect.replaceChildren(
+      ...this.getDayStarts().map((dayStart, index) => {
+        const option = document.createElement('option');
+        option.value = service.getDateKey(dayStart);
+        option.textContent = formatDay(dayStart, index);
+        return option;
+      })
+    );
+
+    this.renderSlots();
+    modal.classList.add('show');
+  }
+
+  static close() {
+    document.getElementById('booking-modal')?.classList.remove('show');
+  }
+
+  static renderSlots() {
+    const container = document.getElementById('booking-slots');
+    const machineId = document.getElementById('booking-machine')?.value;
+    const dateKey = document.getElementById('booking-day')?.value;
+    if (!container || !machineId || !dateKey) return;
+
+    const service = window.FirebaseService;
+    const uid = getCurrentUid();
+    const now = Clock.now();
+    const booked = new Map(
+      this.getMachineBookings(machineId)
+        .filter((booking) => booking.dateKey === dateKey)
+        .map((booking) => [booking.hour, booking])
+    );
+
+    const rows = [];
+    for (let hour = 0; hour < 24; hour++) {
+      const startsAt = service.getBookingSlotStart(dateKey, hour);
+      if (startsAt + BOOKING_SLOT_MS <= now) continue; // Already over
+
+      const row = document.createElement('div');
+      row.className = 'booking-slot';
+
+      const time = document.createElement('span');
+      time.className = 'booking-time';
+      time.textContent = `${formatTime(startsAt)} - ${formatTime(startsAt + BOOKING_SLOT_MS)}`;
+      row.appendChild(time);
+
+      const booking = booked.get(hour);
+      const status = document.createElement('span');
+      status.className = 'booking-status';
+      row.appendChild(status);
+
+      if (!booking) {
+        status.textContent = 'Free';
+        row.appendChild(
+          this.createSlotButton('book-slot', 'btn-primary', 'Book', machineId, dateKey, hour)
+        );
+      } else if (uid && booking.uid === uid) {
+        row.classList.add('mine');
+        status.textContent = 'Booked by you';
+        row.appendChild(
+          this.createSlotButton('cancel-booking', 'btn-danger', 'Cancel', machineId, dateKey, hour)
+        );
+      } else {
+        row.classList.add('taken');
+        status.textContent = 'Booked';
+      }
+
+      rows.push(row);
+    }
+
+    if (rows.length === 0) {
+      const message = document.createElement('p');
+      message.className = 'booking-message';
+      message.textContent = 'No more slots today - pick another day.';
+      rows.push(message);
+    }
+
+    container.replaceChildren(...rows);
+  }
+
+  static createSlotButton(action, classes, label, machineId, dateKey, hour) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn btn-small ${classes}`;
+    button.dataset.action = action;
+    button.dataset.machine = machineId;
+    button.dataset.date = dateKey;
+    button.dataset.hour = String(hour);
+    button.textContent = label;
+    return button;
+  }
+
+  static async updateSlot(action, { machine, date, hour }) {
+    const service = window.FirebaseService;
+
+    try {
+      if (action === 'book-slot') {
+        await service.bookSlot(machine, date, hour);
+        window.ErrorHandler?.showUserNotification(
+          `${getMachineLabel(machine)} booked for ${formatTime(service.getBookingSlotStart(date, hour))}`,
+          'success'
+        );
+      } else {
+        await service.cancelBooking(machine, date, hour);
+      }
+    } catch (error) {
+      console.error(`Failed to ${action}:`, error);
+      window.ErrorHandler?.showUserNotification(
+        error.code === 'slot-taken'
+          ? error.message
+          : 'Could not update your booking. Please try again.',
+        'warning'
+      );
+    }
+  }
+}
+
+// Event delegation for the booking calendar
+document.addEventListener('click', (e) => {
+  const action = e.target.getAttribute('data-action');
+
+  if (action === 'open-bookings') {
+    BookingManager.open();
+  } else if (action === 'close-bookings') {
+    BookingManager.close();
+  } else if (action === 'book-slot' || action === 'cancel-booking') {
+    BookingManager.updateSlot(action, e.target.dataset);
+  }
+});
+
+export { listBookings };
+export default BookingManager;
@@ -28,10 +28,18 @@ class BrowserCompatibilityManager {
       // Storage capabilities
       supportsLocalStorage: this.testLocalStorage(),
       supportsSessionStorage: this.testSessionStorage(),
+      supportsIndexedDB: 'indexedDB' in window,
 
       // Network capabilities
       supportsOnlineStatus: 'onLine' in navigator,
 
+      // Reminder capabilities (iOS only exposes Notification to installed web apps)
+      supportsNotifications: 'Notification' in window,
+      supportsWebAudio: 'AudioContext' in window || 'webkitAudioContext' in window,
+
+      // Offline app shell
+      supportsServiceWorker: 'serviceWorker' in navigator,
+
       // Performance capabilities
       supportsRequestIdleCallback: 'requestIdleCallback' in window,
       supportsIntersectionObserver: 'IntersectionObserver' in window,
@@ -73,7 +81,9 @@ class BrowserCompatibilityManager {
   getFeatureSupport() {
     return {
       realTimeUpdates: true,
-      offlineMode: this.capabilities.supportsLocalStorage,
+      offlineMode:
+        this.capabilities.supportsLocalStorage && this.capabilities.supportsServiceWorker,
+      systemNotifications: this.capabilities.supportsNotifications,
     };
   }
 
@@ -0,0 +1,17 @@
+// Server-corrected time. Firebase reports how far this device's clock is off
+// (.info/serverTimeOffset, see FirebaseService.listenToServerTimeOffset); countdowns and
+// written timestamps read the time from here, so a phone set a few minutes wrong still
+// writes the right end_time and shows the same countdown as everyone else.
+class Clock {
+  static offsetMs = 0;
+
+  static setOffset(offsetMs) {
+    this.offsetMs = Number.isFinite(offsetMs) ? offsetMs : 0;
+  }
+
+  static now() {
+    return Date.now() + this.offsetMs;
+  }
+}
+
+export default Clock;
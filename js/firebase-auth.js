@@ -0,0 +1,46 @@
+import {
+  getAuth,
+  onAuthStateChanged,
+  signInAnonymously,
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
+import { app } from './firebase-config.js';
+
+// Anonymous sign-in - gives each browser a stable uid the database rules can check
+const auth = getAuth(app);
+
+let signInPromise = null;
+
+// Resolves with the uid, signing in on first use. The session persists across reloads
+// (and is restored offline); only a first visit needs the network.
+function ensureSignedIn() {
+  if (auth.currentUser) {
+    return Promise.resolve(auth.currentUser.uid);
+  }
+
+  if (!signInPromise) {
+    signInPromise = auth
+      .authStateReady()
+      .then(() => auth.currentUser || signInAnonymously(auth).then(({ user }) => user))
+      .then((user) => user.uid)
+      .catch((error) => {
+        signInPromise = null; // Allow a retry once back online
+        throw error;
+      });
+  }
+
+  return signInPromise;
+}
+
+// Null until sign-in has completed
+function getCurrentUid() {
+  return auth.currentUser ? auth.currentUser.uid : null;
+}
+
+// Session lost (e.g. storage cleared in another tab) - sign in again on next use
+onAuthStateChanged(auth, (user) => {
+  if (!user) {
+    signInPromise = null;
+  }
+});
+
+export { auth, ensureSignedIn, getCurrentUid };
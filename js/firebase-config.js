@@ -7,7 +7,17 @@ import {
   runTransaction,
   get,
   set,
+  update,
   remove,
+  push,
+  query,
+  orderByChild,
+  orderByKey,
+  orderByValue,
+  startAt,
+  endAt,
+  limitToLast,
+  serverTimestamp,
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js';
 
 // Secure Firebase configuration using environment variables
@@ -38,4 +48,24 @@ if (missingVars.length > 0) {
 const app = initializeApp(firebaseConfig);
 const database = getDatabase(app);
 
-export { app, database, ref, onValue, off, runTransaction, get, set, remove };
+export {
+  app,
+  database,
+  ref,
+  onValue,
+  off,
+  runTransaction,
+  get,
+  set,
+  update,
+  remove,
+  push,
+  query,
+  orderByChild,
+  orderByKey,
+  orderByValue,
+  startAt,
+  endAt,
+  limitToLast,
+  serverTimestamp,
+};
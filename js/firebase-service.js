@@ -6,17 +6,108 @@ import {
   runTransaction,
   get,
   set,
+  update,
   remove,
+  push,
+  query,
+  orderByChild,
+  orderByKey,
+  orderByValue,
+  startAt,
+  endAt,
+  limitToLast,
+  serverTimestamp,
 } from './firebase-config.js';
+import { ensureSignedIn, getCurrentUid } from './firebase-auth.js';
+import Clock from './clock.js';
+import {
+  MAX_TIMER_MINUTES,
+  canTakeOver,
+  getPausedTimeRemainingMs,
+  hasFinished,
+  isOwnedBy,
+  processMachine,
+} from '../functions/machine-state.js';
+import { getWebhookUrlProblem } from '../functions/webhook-url.js';
+import {
+  getActiveRoomId,
+  getMachineIds,
+  getMachineType,
+  getServedTypes,
+  isValidMachineId,
+  isValidRoomId,
+} from './room-config.js';
+
+// Minimum gap between one user's writes (keep in sync with last_write in database.rules.json)
+const WRITE_COOLDOWN_MS = 1000;
+
+// Occupancy is sampled at most once per slot (12 per hour) for the forecast
+const OCCUPANCY_SLOT_MINUTES = 5;
+
+// How long an expired machine is held for the head of the queue (keep in sync with the rules)
+const CLAIM_WINDOW_MS = 3 * 60 * 1000;
+
+// Bookings are whole hours; one slot per machine per hour, so they can never overlap
+const BOOKING_SLOT_MS = 60 * 60 * 1000;
+
+// Boards free run-out timers themselves unless the expireTimers Cloud Function is deployed
+// and VITE_CLIENT_CLEANUP=false is set
+const CLIENT_CLEANUP = import.meta.env.VITE_CLIENT_CLEANUP !== 'false';
+
+// Problem reports (keep in sync with maintenance and issue_category in database.rules.json)
+const ISSUE_CATEGORIES = ['not_starting', 'no_heat', 'leaking', 'door', 'payment', 'other'];
+const MAX_ISSUE_NOTE_LENGTH = 280;
 
 class FirebaseService {
-  constructor() {
+  constructor(roomId = getActiveRoomId()) {
     this.database = database;
+    this.roomId = roomId;
     this.listeners = new Map();
     this.pendingTransactions = new Map(); // Prevent duplicate transactions
+    this.lastWriteAt = 0;
+    this.lastOccupancySample = null; // Slot path of the last sample written
+    this.occupancyTimeout = null; // Next slot-boundary occupancy sample
+    this.managerCheck = null; // Promise<boolean> once isManager() has been asked
   }
 
-  async setTimer(machineId, minutes) {
+  // Switch rooms - callers restart listenToMachines afterwards
+  setRoom(roomId) {
+    if (!isValidRoomId(roomId)) {
+      throw new Error(`Unknown laundry room: ${roomId}`);
+    }
+
+    // Everything but the connection listener is room-specific
+    [
+      'machines',
+      'queue',
+      'bookings',
+      'settings',
+      'rawMachines',
+      'maintenance',
+      'webhooks',
+      'webhookFailures',
+    ].forEach((name) => {
+      const roomListener = this.listeners.get(name);
+      if (roomListener) {
+        off(roomListener.ref, roomListener.listener);
+        this.listeners.delete(name);
+      }
+    });
+    this.roomId = roomId;
+  }
+
+  getMachinesPath() {
+    return `rooms/${this.roomId}/machines`;
+  }
+
+  getMachinePath(machineId) {
+    return `${this.getMachinesPath()}/${machineId}`;
+  }
+
+  // options.allowUpcomingBooking: start even if the load runs into someone's booking
+  // options.nextType: a follow-on load (e.g. 'dryer') planned for when this one finishes
+  // options.cycleName: named cycle (e.g. 'Heavy') shown to everyone while it runs
+  async setTimer(machineId, minutes, options = {}) {
     if (!this.database) {
       throw new Error('Firebase not initialized');
     }
@@ -33,10 +124,8 @@ class FirebaseService {
       }
     }
 
-    const machineRef = ref(this.database, `machines/${machineId}`);
-
     // Track pending transaction
-    const transactionPromise = this.executeSetTimerTransaction(machineRef, machineId, minutes);
+    const transactionPromise = this.executeSetTimer(machineId, minutes, options);
     this.pendingTransactions.set(pendingKey, transactionPromise);
 
     try {
@@ -47,64 +136,210 @@ class FirebaseService {
     }
   }
 
-  async executeSetTimerTransaction(machineRef, machineId, minutes) {
-    // Race condition protection with atomic transactions
-    const result = await runTransaction(machineRef, (currentData) => {
-      const now = Date.now();
-
-      // Input validation and sanitization
-      if (!this.validateMachineId(machineId)) {
-        throw new Error('Invalid machine ID');
-      }
-
-      if (!this.validateDuration(minutes)) {
-        throw new Error('Invalid timer duration');
-      }
+  async executeSetTimer(
+    machineId,
+    minutes,
+    { allowUpcomingBooking = false, nextType = null, cycleName = null } = {}
+  ) {
+    // Input validation and sanitization
+    if (!this.validateMachineId(machineId)) {
+      throw new Error('Invalid machine ID');
+    }
 
-      // Aggressive force-override for user experience
-      if (currentData && currentData.status === 'active') {
-        const timeRemaining = currentData.end_time - now;
+    if (!this.validateDuration(minutes)) {
+      throw new Error('Invalid timer duration');
+    }
 
-        // ALWAYS allow override - users should have control
-        // Only warn if significant time remaining
-        if (timeRemaining > 60000) {
-          // 1 minute buffer
-          console.warn(
-            `Force-overriding timer for ${machineId} (${Math.round(timeRemaining / 1000)}s remaining)`
-          );
-        }
+    // Someone booked this machine - block during their slot, warn if we'd run into it
+    const uid = await ensureSignedIn();
+    const startTime = Clock.now();
+    const booking = await this.findBookingConflict(
+      machineId,
+      startTime,
+      startTime + minutes * 60 * 1000,
+      uid
+    );
+    if (booking && (booking.inProgress || !allowUpcomingBooking)) {
+      throw this.createBookingConflictError(booking);
+    }
 
-        // NEVER block - always allow user to override existing timers
-        // This provides better UX and eliminates "Machine is currently in use" errors
+    await this.writeMachine(machineId, 'override', (currentData, now, uid) => {
+      // Someone else's running load - only replaceable once it's finished or abandoned
+      if (currentData && !this.canModify(currentData, now)) {
+        throw this.createOwnershipError(currentData);
       }
 
-      // Set new timer data atomically with validated inputs
       const endTime = now + minutes * 60 * 1000;
-      return {
+      const next = {
         machine_id: this.sanitizeString(machineId),
         status: 'active',
         end_time: endTime,
-        updated_at: now,
+        updated_at: serverTimestamp(),
         duration_minutes: parseInt(minutes),
+        started_at: now,
+        owner_uid: uid,
       };
+      if (nextType) next.next_type = nextType;
+      if (cycleName) next.cycle_name = this.sanitizeString(cycleName).slice(0, 32);
+      return next;
     });
 
-    if (!result.committed) {
-      throw new Error('Failed to start timer - machine may be in use');
+    return { success: true, machine_id: machineId, duration: minutes };
+  }
+
+  // Read, build the next record, then write it together with this user's last_write stamp.
+  // The rules check ownership against the server copy and rate-limit on last_write, so a
+  // write racing someone else's is rejected rather than silently overwriting it.
+  // endReason: logs the cycle being replaced to history ('stopped' or 'override', null for none)
+  // buildNext gets Clock.now(); records stamp updated_at with the server's own time
+  async writeMachine(machineId, endReason, buildNext) {
+    const uid = await ensureSignedIn();
+    await this.waitForWriteSlot();
+
+    const machinePath = this.getMachinePath(machineId);
+    const snapshot = await get(ref(this.database, machinePath));
+    const current = snapshot.exists() ? snapshot.val() : null;
+    const now = Clock.now();
+    const next = buildNext(current, now, uid);
+
+    const updates = {
+      [machinePath]: next,
+      [`last_write/${uid}`]: serverTimestamp(),
+    };
+    if (endReason && this.isInUse(current)) {
+      updates[this.getNewHistoryPath()] = this.createHistoryEntry(
+        machineId,
+        current,
+        now,
+        endReason
+      );
     }
 
-    return { success: true, machine_id: machineId, duration: minutes };
+    await this.commitWrite(updates);
+    return next;
+  }
+
+  // Change a running timer in place (pause, resume, add time) in a transaction on its record, so
+  // two boards doing it at once can't undo each other and a freed machine is never brought
+  // back. The rules let the owner skip the last_write stamp here, so it follows on its own.
+  // buildNext throws to refuse
+  async transactMachine(machineId, buildNext) {
+    const uid = await ensureSignedIn();
+    await this.waitForWriteSlot();
+
+    const machineRef = ref(this.database, this.getMachinePath(machineId));
+    let refusal = null;
+
+    try {
+      const result = await runTransaction(machineRef, (currentData) => {
+        refusal = null;
+        // Local cache may be empty on first run - write nothing and let the server retry us
+        if (currentData === null) return currentData;
+
+        try {
+          return buildNext(currentData, Clock.now());
+        } catch (error) {
+          refusal = error;
+          return undefined; // Abort
+        }
+      });
+
+      if (refusal) throw refusal;
+      if (!result.committed) throw this.createWriteRejectedError();
+      // The server had nothing either
+      if (!result.snapshot.exists()) throw new Error('Machine not found or not running');
+    } catch (error) {
+      if (error.code === 'PERMISSION_DENIED' || /permission.denied/i.test(error.message)) {
+        throw this.createWriteRejectedError();
+      }
+      throw error;
+    } finally {
+      this.lastWriteAt = Clock.now();
+    }
+
+    // Keeps the per-user rate limit counting this write; the change itself has gone through
+    try {
+      await update(ref(this.database), { [`last_write/${uid}`]: serverTimestamp() });
+    } catch (error) {
+      console.warn('Could not stamp last_write:', error.message);
+    }
+  }
+
+  // Multi-path update that carries a last_write stamp - refusals become 'write-rejected'
+  async commitWrite(updates) {
+    try {
+      await update(ref(this.database), updates);
+    } catch (error) {
+      if (error.code === 'PERMISSION_DENIED' || /permission.denied/i.test(error.message)) {
+        throw this.createWriteRejectedError();
+      }
+      throw error;
+    } finally {
+      this.lastWriteAt = Clock.now();
+    }
+  }
+
+  // Stay under the per-user rate limit in database.rules.json instead of being rejected
+  async waitForWriteSlot() {
+    const wait = this.lastWriteAt + WRITE_COOLDOWN_MS - Clock.now();
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  }
+
+  // Ownership and takeover are worked out in functions/machine-state.js, shared with the API
+  isOwnedByMe(machine) {
+    return isOwnedBy(machine, getCurrentUid());
+  }
+
+  canTakeOver(machine, currentTime) {
+    return canTakeOver(machine, currentTime);
+  }
+
+  canModify(machine, currentTime) {
+    return this.isOwnedByMe(machine) || this.canTakeOver(machine, currentTime);
+  }
+
+  createOwnershipError(machine) {
+    const messages = {
+      reserved: 'This machine is being held for the next resident in the queue.',
+      out_of_order: 'This machine is out of order until a manager puts it back in service.',
+    };
+    const error = new Error(
+      messages[machine?.status] ||
+        'This machine was started on another device. You can take it over once it has finished.'
+    );
+    error.code = 'not-owner';
+    return error;
+  }
+
+  createBookingConflictError(booking) {
+    const formatTime = (timestamp) =>
+      new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    const error = new Error(
+      booking.inProgress
+        ? `This machine is booked by another resident until ${formatTime(booking.startsAt + BOOKING_SLOT_MS)}.`
+        : `This machine is booked by another resident from ${formatTime(booking.startsAt)} - your load would still be running.`
+    );
+    error.code = 'booking-conflict';
+    error.booking = booking;
+    return error;
+  }
+
+  createWriteRejectedError() {
+    const error = new Error('Someone else just changed this machine. Please try again.');
+    error.code = 'write-rejected';
+    return error;
   }
 
   // Input validation methods
   validateMachineId(machineId) {
-    if (!machineId || typeof machineId !== 'string') return false;
-    return /^(washer|dryer)_[1-4]$/.test(machineId);
+    return isValidMachineId(machineId, this.roomId);
   }
 
   validateDuration(minutes) {
     const duration = parseInt(minutes);
-    return !isNaN(duration) && duration >= 1 && duration <= 120;
+    return !isNaN(duration) && duration >= 1 && duration <= MAX_TIMER_MINUTES;
   }
 
   sanitizeString(input) {
@@ -117,65 +352,560 @@ class FirebaseService {
       throw new Error('Firebase not initialized');
     }
 
-    const machineRef = ref(this.database, `machines/${machineId}`);
-    const snapshot = await get(machineRef);
+    switch (action) {
+      case 'stop':
+      case 'takeover': {
+        const result = await this.executeRelease(machineId, action);
+        return { ...result, machine_id: machineId };
+      }
+
+      case 'pause':
+      case 'resume': {
+        // Server-checked so every viewer agrees on the paused state and remaining time
+        const result = await this.executePauseResume(machineId, action);
+        return { ...result, machine_id: machineId };
+      }
+
+      default:
+        throw new Error(`Unknown timer action: ${action}`);
+    }
+  }
+
+  // Add time to a running timer. Counted towards duration_minutes, so the cycle still ends up
+  // as one history entry, and capped like a new timer would be.
+  async extendTimer(machineId, minutes) {
+    if (!this.validateMachineId(machineId)) {
+      throw new Error('Invalid machine ID');
+    }
 
-    if (!snapshot.exists()) {
-      throw new Error('Machine not found or not running');
+    if (!this.validateDuration(minutes)) {
+      throw new Error('Invalid extension');
     }
 
-    const machine = snapshot.val();
-    const now = Date.now();
+    const extraMinutes = parseInt(minutes);
+    let endTime = null;
 
-    switch (action) {
-      case 'stop':
-        // Remove the machine (makes it available)
-        await remove(machineRef);
-        return { success: true, action: 'stop', machine_id: machineId };
+    await this.transactMachine(machineId, (currentData, now) => {
+      if (currentData.status !== 'active' || currentData.end_time <= now) {
+        throw new Error('Can only add time to running timers');
+      }
 
-      case 'pause': {
-        if (machine.status !== 'active') {
-          throw new Error('Can only pause active timers');
-        }
+      if (!this.isOwnedByMe(currentData)) {
+        throw this.createOwnershipError(currentData);
+      }
+
+      const allowed = this.getExtendableMinutes(currentData, now);
+      if (extraMinutes > allowed) {
+        throw this.createExtendLimitError(allowed);
+      }
+
+      endTime = currentData.end_time + extraMinutes * 60 * 1000;
+      return {
+        ...currentData,
+        end_time: endTime,
+        duration_minutes: (currentData.duration_minutes || 0) + extraMinutes,
+        updated_at: serverTimestamp(),
+      };
+    });
+
+    return { success: true, machine_id: machineId, end_time: endTime };
+  }
+
+  // Most minutes a running timer can still be extended by
+  getExtendableMinutes(machine, currentTime) {
+    const byDuration = MAX_TIMER_MINUTES - (machine.duration_minutes || 0);
+    const byEndTime = Math.floor(
+      (currentTime + MAX_TIMER_MINUTES * 60 * 1000 - machine.end_time) / (60 * 1000)
+    );
+    return Math.max(0, Math.min(byDuration, byEndTime));
+  }
+
+  createExtendLimitError(allowed) {
+    const error = new Error(
+      allowed > 0
+        ? `Timers can run for at most ${MAX_TIMER_MINUTES} minutes - you can add up to ${allowed} more.`
+        : `This timer is already at the ${MAX_TIMER_MINUTES}-minute limit.`
+    );
+    error.code = 'extend-limit';
+    return error;
+  }
+
+  // Stop (owner) or take over (anyone, once finished/abandoned) - leaves an 'available' record
+  // stamped with this user's uid, since the rules can't check ownership on a plain delete
+  async executeRelease(machineId, action) {
+    const releaseReason = action === 'takeover' ? 'override' : 'stopped';
+
+    await this.writeMachine(machineId, releaseReason, (currentData, now, uid) => {
+      if (!currentData) {
+        throw new Error('Machine not found or not running');
+      }
+
+      const allowed =
+        action === 'takeover'
+          ? this.canTakeOver(currentData, now)
+          : this.canModify(currentData, now);
 
-        const timeRemainingMs = machine.end_time - now;
-        const timeRemainingMinutes = Math.ceil(timeRemainingMs / (1000 * 60));
+      if (!allowed) {
+        throw this.createOwnershipError(currentData);
+      }
+
+      return {
+        machine_id: this.sanitizeString(machineId),
+        status: 'available',
+        updated_at: serverTimestamp(),
+        owner_uid: uid,
+      };
+    });
 
-        const pausedData = {
-          ...machine,
+    return { success: true, action };
+  }
+
+  async executePauseResume(machineId, action) {
+    const requiredStatus = action === 'pause' ? 'active' : 'paused';
+
+    await this.transactMachine(machineId, (currentData, now) => {
+      if (currentData.status !== requiredStatus) {
+        throw new Error(`Can only ${action} ${requiredStatus} timers`);
+      }
+
+      if (!this.isOwnedByMe(currentData)) {
+        throw this.createOwnershipError(currentData);
+      }
+
+      if (action === 'pause') {
+        // Keep EXACT milliseconds; minutes are kept for older clients
+        const timeRemainingMs = Math.max(0, currentData.end_time - now);
+
+        return {
+          ...currentData,
           status: 'paused',
           paused_at: now,
-          paused_time_remaining: timeRemainingMinutes,
-          updated_at: now,
+          paused_time_remaining: Math.ceil(timeRemainingMs / (1000 * 60)),
+          paused_time_remaining_ms: timeRemainingMs,
+          updated_at: serverTimestamp(),
         };
+      }
+
+      const resumedData = {
+        ...currentData,
+        status: 'active',
+        end_time: now + this.getPausedTimeRemainingMs(currentData),
+        resumed_at: now,
+        updated_at: serverTimestamp(),
+      };
+
+      // Remove pause-specific fields
+      delete resumedData.paused_at;
+      delete resumedData.paused_time_remaining;
+      delete resumedData.paused_time_remaining_ms;
+
+      return resumedData;
+    });
+
+    return { success: true, action };
+  }
+
+  // Wash -> dry: hold a free machine for the owner of a load that just finished. The finished
+  // load ends in the same update and points at the held machine (pipeline_to), so the rules
+  // let one load hold one machine
+  async holdForPipeline(machineId, fromMachineId) {
+    const uid = await ensureSignedIn();
+    await this.waitForWriteSlot();
+
+    const machinePath = this.getMachinePath(machineId);
+    const fromPath = this.getMachinePath(fromMachineId);
+    const [snapshot, fromSnapshot] = await Promise.all([
+      get(ref(this.database, machinePath)),
+      get(ref(this.database, fromPath)),
+    ]);
+    const current = snapshot.exists() ? snapshot.val() : null;
+    const from = fromSnapshot.exists() ? fromSnapshot.val() : null;
+    const now = Clock.now();
+
+    const free =
+      !current ||
+      current.status === 'available' ||
+      hasFinished(current, now) ||
+      (current.status === 'reserved' && current.reserved_until <= now);
+    if (!free) {
+      throw this.createOwnershipError(current);
+    }
+    // Already freed (or restarted) by someone else - there is no load left to continue
+    if (!hasFinished(from, now) || from.owner_uid !== uid) {
+      throw this.createWriteRejectedError();
+    }
+
+    const updates = {
+      [machinePath]: {
+        machine_id: this.sanitizeString(machineId),
+        status: 'reserved',
+        reserved_for: uid,
+        reserved_until: now + CLAIM_WINDOW_MS,
+        pipeline_from: this.sanitizeString(fromMachineId),
+        updated_at: serverTimestamp(),
+      },
+      [fromPath]: {
+        machine_id: this.sanitizeString(fromMachineId),
+        status: 'available',
+        updated_at: serverTimestamp(),
+        owner_uid: uid,
+        pipeline_to: this.sanitizeString(machineId),
+      },
+      [this.getNewHistoryPath()]: this.createHistoryEntry(fromMachineId, from, now, 'expired'),
+      [`last_write/${uid}`]: serverTimestamp(),
+    };
+    // An expired timer being replaced is logged like any override (as 'expired')
+    if (this.isInUse(current)) {
+      updates[this.getNewHistoryPath()] = this.createHistoryEntry(
+        machineId,
+        current,
+        now,
+        'override'
+      );
+    }
+
+    await this.commitWrite(updates);
+    return { success: true, machineId };
+  }
+
+  // Maintenance - maintenance/{machineId}/{issueId} = { uid, category, note?, created_at, resolved_* }
+  getMaintenancePath(machineId) {
+    return `rooms/${this.roomId}/maintenance/${machineId}`;
+  }
+
+  // File an issue and, unless someone else's load is still running, take the machine out of
+  // service in the same update. Either way the report reaches the managers.
+  async reportProblem(machineId, category, note = '') {
+    if (!this.validateMachineId(machineId)) {
+      throw new Error('Invalid machine ID');
+    }
+
+    if (!ISSUE_CATEGORIES.includes(category)) {
+      throw new Error('Invalid issue category');
+    }
+
+    const uid = await ensureSignedIn();
+    await this.waitForWriteSlot();
+
+    const machinePath = this.getMachinePath(machineId);
+    const snapshot = await get(ref(this.database, machinePath));
+    const current = snapshot.exists() ? snapshot.val() : null;
+    const now = Clock.now();
+
+    const issueId = push(ref(this.database, this.getMaintenancePath(machineId))).key;
+    const issue = { uid, category, created_at: serverTimestamp() };
+    const cleanNote = this.sanitizeString(note).slice(0, MAX_ISSUE_NOTE_LENGTH);
+    if (cleanNote) issue.note = cleanNote;
 
-        await set(machineRef, pausedData);
-        return { success: true, action: 'pause', machine_id: machineId };
+    const updates = {
+      [`${this.getMaintenancePath(machineId)}/${issueId}`]: issue,
+      [`last_write/${uid}`]: serverTimestamp(),
+    };
+
+    // Managers may also stop a running load that turns out to be on a broken machine
+    const markOutOfOrder =
+      !current ||
+      (current.status !== 'out_of_order' &&
+        (this.canModify(current, now) || (await this.isManager())));
+    if (markOutOfOrder) {
+      updates[machinePath] = {
+        machine_id: this.sanitizeString(machineId),
+        status: 'out_of_order',
+        issue_id: issueId,
+        issue_category: category,
+        reported_by: uid,
+        updated_at: serverTimestamp(),
+      };
+      if (this.isInUse(current)) {
+        updates[this.getNewHistoryPath()] = this.createHistoryEntry(
+          machineId,
+          current,
+          now,
+          'stopped'
+        );
       }
+    }
 
-      case 'resume': {
-        if (machine.status !== 'paused') {
-          throw new Error('Can only resume paused timers');
-        }
+    await this.commitWrite(updates);
+    return { success: true, machineId, issueId, outOfOrder: markOutOfOrder };
+  }
 
-        const resumeEndTime = now + machine.paused_time_remaining * 60 * 1000;
+  // Managers only (managers/{uid} in the database) - the rules refuse everyone else
+  async clearOutOfOrder(machineId) {
+    if (!this.validateMachineId(machineId)) {
+      throw new Error('Invalid machine ID');
+    }
 
-        const resumedData = {
-          ...machine,
-          status: 'active',
-          end_time: resumeEndTime,
-          resumed_at: now,
-          updated_at: now,
-        };
+    const uid = await ensureSignedIn();
+    await this.waitForWriteSlot();
+
+    const machinePath = this.getMachinePath(machineId);
+    const snapshot = await get(ref(this.database, machinePath));
+    const current = snapshot.exists() ? snapshot.val() : null;
+    if (!current || current.status !== 'out_of_order') {
+      throw new Error('Machine is not out of order');
+    }
+
+    const updates = {
+      [machinePath]: null,
+      [`last_write/${uid}`]: serverTimestamp(),
+    };
+    if (current.issue_id) {
+      const issuePath = `${this.getMaintenancePath(machineId)}/${current.issue_id}`;
+      updates[`${issuePath}/resolved_at`] = serverTimestamp();
+      updates[`${issuePath}/resolved_by`] = uid;
+    }
+
+    await this.commitWrite(updates);
+    return { success: true, machineId };
+  }
+
+  // Cached for the session - the role is granted in the Firebase console, not from the app
+  async isManager() {
+    if (!this.managerCheck) {
+      this.managerCheck = ensureSignedIn()
+        .then((uid) => get(ref(this.database, `managers/${uid}`)))
+        .then((snapshot) => snapshot.val() === true)
+        .catch(() => false);
+    }
+    return this.managerCheck;
+  }
+
+  // Manager console (admin.html) - the rules refuse all of these to everyone else
+
+  // Raw machine records, without the board's cleanup and sampling
+  listenToRawMachines(callback) {
+    return this.listenToPath('rawMachines', this.getMachinesPath(), callback);
+  }
+
+  // Every issue filed for the room: { [machineId]: { [issueId]: issue } }
+  listenToMaintenance(callback) {
+    return this.listenToPath('maintenance', `rooms/${this.roomId}/maintenance`, callback);
+  }
 
-        // Remove pause-specific fields
-        delete resumedData.paused_at;
-        delete resumedData.paused_time_remaining;
+  // Whole-node listener, removed again by cleanup() or a room switch
+  listenToPath(name, path, callback) {
+    if (!this.database) {
+      throw new Error('Firebase not initialized');
+    }
+
+    const pathRef = ref(this.database, path);
+    const listener = onValue(
+      pathRef,
+      (snapshot) => callback(snapshot.val() || {}),
+      (error) => console.warn(`Listening to ${name} failed:`, error.message)
+    );
+    this.listeners.set(name, { ref: pathRef, listener });
 
-        await set(machineRef, resumedData);
-        return { success: true, action: 'resume', machine_id: machineId };
+    return () => {
+      off(pathRef, listener);
+      this.listeners.delete(name);
+    };
+  }
+
+  // Free a machine whatever its state - a running load is logged as 'override'
+  async forceStop(machineId) {
+    if (!this.validateMachineId(machineId)) {
+      throw new Error('Invalid machine ID');
+    }
+
+    await this.writeMachine(machineId, 'override', () => null);
+    return { success: true, machineId };
+  }
+
+  // Free every machine in the room. Like batchCleanupExpiredTimers this works through the
+  // machines a few at a time, but each batch is one multi-path update with a single
+  // last_write stamp, so the per-user write limit is respected.
+  async resetRoom() {
+    const uid = await ensureSignedIn();
+    const snapshot = await get(ref(this.database, this.getMachinesPath()));
+    const data = snapshot.val() || {};
+    const machineIds = Object.keys(data);
+
+    const BATCH_SIZE = 4;
+    let cleared = 0;
+    const failed = [];
+
+    for (let i = 0; i < machineIds.length; i += BATCH_SIZE) {
+      const batch = machineIds.slice(i, i + BATCH_SIZE);
+      await this.waitForWriteSlot();
+
+      const now = Clock.now();
+      const updates = { [`last_write/${uid}`]: serverTimestamp() };
+      batch.forEach((machineId) => {
+        updates[this.getMachinePath(machineId)] = null;
+        if (this.isInUse(data[machineId])) {
+          updates[this.getNewHistoryPath()] = this.createHistoryEntry(
+            machineId,
+            data[machineId],
+            now,
+            'override'
+          );
+        }
+      });
+
+      try {
+        await this.commitWrite(updates);
+        cleared += batch.length;
+      } catch (error) {
+        // Keep going - one bad batch shouldn't leave the rest of the room stuck
+        console.error('Room reset batch failed:', error);
+        failed.push(...batch);
       }
     }
+
+    return { success: failed.length === 0, cleared, failed };
+  }
+
+  // Per-room default durations, overriding room-config.json (null goes back to the config)
+  async setDefaultDuration(type, minutes) {
+    if (!getMachineIds(this.roomId).some((machineId) => getMachineType(machineId) === type)) {
+      throw new Error(`No ${type} in this room`);
+    }
+
+    if (minutes !== null && !this.validateDuration(minutes)) {
+      throw new Error('Invalid timer duration');
+    }
+
+    await ensureSignedIn();
+    await set(
+      ref(this.database, `${this.getSettingsPath()}/durations/${type}`),
+      minutes === null ? null : parseInt(minutes)
+    );
+  }
+
+  // Newest last_write stamps first: [{ uid, at }]
+  async getRecentWrites(limit = 20) {
+    await ensureSignedIn();
+    const writesQuery = query(ref(this.database, 'last_write'), orderByValue(), limitToLast(limit));
+    const snapshot = await get(writesQuery);
+
+    const writes = [];
+    snapshot.forEach((child) => {
+      writes.push({ uid: child.key, at: child.val() });
+    });
+    return writes.reverse();
+  }
+
+  // Webhooks - URLs the server POSTs this room's machine events to (functions/webhooks.js)
+  getWebhooksPath() {
+    return `rooms/${this.roomId}/webhooks`;
+  }
+
+  getWebhookFailuresPath() {
+    return `rooms/${this.roomId}/webhook_failures`;
+  }
+
+  listenToWebhooks(callback) {
+    return this.listenToPath('webhooks', this.getWebhooksPath(), callback);
+  }
+
+  // Deliveries that still failed after every retry: { [webhookId]: { [failureId]: failure } }
+  listenToWebhookFailures(callback) {
+    return this.listenToPath('webhookFailures', this.getWebhookFailuresPath(), callback);
+  }
+
+  async addWebhook(url) {
+    // The same check the server makes before each delivery, short of resolving the host
+    const problem = getWebhookUrlProblem(url);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const uid = await ensureSignedIn();
+    const webhookId = push(ref(this.database, this.getWebhooksPath())).key;
+    await set(ref(this.database, `${this.getWebhooksPath()}/${webhookId}`), {
+      url,
+      created_at: serverTimestamp(),
+      created_by: uid,
+    });
+    return webhookId;
+  }
+
+  // Removes the webhook together with its failure log
+  async removeWebhook(webhookId) {
+    await ensureSignedIn();
+    await update(ref(this.database), {
+      [`${this.getWebhooksPath()}/${webhookId}`]: null,
+      [`${this.getWebhookFailuresPath()}/${webhookId}`]: null,
+    });
+  }
+
+  async clearWebhookFailures(webhookId) {
+    await ensureSignedIn();
+    await remove(ref(this.database, `${this.getWebhookFailuresPath()}/${webhookId}`));
+  }
+
+  // History - one entry per finished cycle, used by the stats view
+  getHistoryPath() {
+    return `rooms/${this.roomId}/history`;
+  }
+
+  getNewHistoryPath() {
+    return `${this.getHistoryPath()}/${push(ref(this.database, this.getHistoryPath())).key}`;
+  }
+
+  isInUse(machine) {
+    return Boolean(machine) && (machine.status === 'active' || machine.status === 'paused');
+  }
+
+  // Records from before started_at existed: assume the cycle ran uninterrupted
+  getStartedAt(machine) {
+    if (typeof machine.started_at === 'number') return machine.started_at;
+    return machine.end_time - (machine.duration_minutes || 0) * 60 * 1000;
+  }
+
+  // A running timer that had already run out counts as expired, whoever cleared it. owner_uid
+  // is whoever's write ended the cycle - the rules only take the entry with that write
+  createHistoryEntry(machineId, machine, currentTime, endReason) {
+    const expired = machine.status === 'active' && machine.end_time <= currentTime;
+    const startedAt = this.getStartedAt(machine);
+    const endedAt = expired ? machine.end_time : currentTime;
+
+    return {
+      machine_id: machineId,
+      started_at: startedAt,
+      ended_at: endedAt,
+      duration_minutes: Math.max(0, Math.round((endedAt - startedAt) / (1000 * 60))),
+      end_reason: expired ? 'expired' : endReason,
+      owner_uid: getCurrentUid(),
+    };
+  }
+
+  // Completed cycles that ended after `since`, oldest first
+  async getHistory(since) {
+    if (!this.database) {
+      throw new Error('Firebase not initialized');
+    }
+
+    await ensureSignedIn();
+    const historyQuery = query(
+      ref(this.database, this.getHistoryPath()),
+      orderByChild('ended_at'),
+      startAt(since)
+    );
+    const snapshot = await get(historyQuery);
+
+    const entries = [];
+    snapshot.forEach((child) => {
+      entries.push(child.val());
+    });
+    return entries;
+  }
+
+  getPausedTimeRemainingMs(machine) {
+    return getPausedTimeRemainingMs(machine);
+  }
+
+  // One-off read of a machine's raw record (null when available)
+  async getMachine(machineId) {
+    if (!this.database) {
+      throw new Error('Firebase not initialized');
+    }
+
+    await ensureSignedIn();
+    const snapshot = await get(ref(this.database, this.getMachinePath(machineId)));
+    return snapshot.exists() ? snapshot.val() : null;
   }
 
   async listenToMachines(callback) {
@@ -183,39 +913,49 @@ class FirebaseService {
       throw new Error('Firebase not initialized');
     }
 
-    const machinesRef = ref(this.database, 'machines');
+    // Reads require a signed-in user
+    await ensureSignedIn();
+
+    const machinesRef = ref(this.database, this.getMachinesPath());
 
     // Smart debouncing to prevent cascade operations
     let debounceTimeout = null;
     let lastProcessTime = 0;
+    let latestData = null;
     const MIN_PROCESS_INTERVAL = 2000; // 2 seconds minimum between processing
 
+    // Sample every slot from the last data we had, even when no machine record changes
+    const scheduleOccupancySample = () => {
+      const slotMs = OCCUPANCY_SLOT_MINUTES * 60000;
+      const sample = () => {
+        const now = Clock.now();
+        if (latestData) {
+          this.sampleOccupancy(this.processMachineData(latestData, now), now);
+        }
+        scheduleOccupancySample();
+      };
+      this.occupancyTimeout = setTimeout(sample, slotMs - (Clock.now() % slotMs));
+    };
+
     const processUpdate = async (snapshot) => {
-      const now = Date.now();
+      const now = Clock.now();
       lastProcessTime = now;
 
       const data = snapshot.val() || {};
+      latestData = data;
 
-      // Selective cleanup - only expired timers (disabled during critical final minutes)
-      const expiredTimers = this.identifyExpiredTimers(data, now);
-      const hasShortTimers = Object.values(data).some(
-        (machine) =>
-          machine.status === 'active' &&
-          machine.end_time - now <= 120000 && // 2 minutes
-          machine.end_time - now > 0 // Exclude expired timers from short timer check
-      );
-
-      if (expiredTimers.length > 0 && !hasShortTimers) {
-        // Only do cleanup if no timers are in critical final 2 minutes
+      // Selective cleanup - only expired timers
+      const expiredTimers = CLIENT_CLEANUP ? this.identifyExpiredTimers(data, now) : [];
+      if (expiredTimers.length > 0) {
         this.batchCleanupExpiredTimers(expiredTimers).catch((error) => {
           console.error('Background cleanup failed:', error);
         });
-      } else if (expiredTimers.length > 0 && hasShortTimers) {
-        // Skip cleanup while timers are in critical final minutes
       }
 
       // Process data immediately for UI responsiveness
       const machines = this.processMachineData(data, now);
+      this.saveLastSnapshot(data, now);
+      this.sampleOccupancy(machines, now);
 
       // Just sync timers
       this.syncTimers(machines);
@@ -224,7 +964,7 @@ class FirebaseService {
     };
 
     const listener = onValue(machinesRef, async (snapshot) => {
-      const now = Date.now();
+      const now = Clock.now();
 
       // Clear existing debounce
       if (debounceTimeout) {
@@ -246,21 +986,308 @@ class FirebaseService {
 
     // Store listener for cleanup
     this.listeners.set('machines', { ref: machinesRef, listener });
+    clearTimeout(this.occupancyTimeout);
+    scheduleOccupancySample();
 
     return () => {
       if (debounceTimeout) clearTimeout(debounceTimeout);
+      clearTimeout(this.occupancyTimeout);
       off(machinesRef, listener);
       this.listeners.delete('machines');
     };
   }
 
+  // How far this device's clock is off from the server's - keeps Clock.now() in step
+  listenToServerTimeOffset() {
+    if (!this.database) {
+      throw new Error('Firebase not initialized');
+    }
+
+    const offsetRef = ref(this.database, '.info/serverTimeOffset');
+    const listener = onValue(offsetRef, (snapshot) => {
+      Clock.setOffset(snapshot.val());
+    });
+
+    this.listeners.set('serverTimeOffset', { ref: offsetRef, listener });
+
+    return () => {
+      off(offsetRef, listener);
+      this.listeners.delete('serverTimeOffset');
+    };
+  }
+
+  // Connection state from Firebase (false while offline or reconnecting)
+  listenToConnection(callback) {
+    if (!this.database) {
+      throw new Error('Firebase not initialized');
+    }
+
+    const connectedRef = ref(this.database, '.info/connected');
+    const listener = onValue(connectedRef, (snapshot) => {
+      callback(snapshot.val() === true);
+    });
+
+    this.listeners.set('connection', { ref: connectedRef, listener });
+
+    return () => {
+      off(connectedRef, listener);
+      this.listeners.delete('connection');
+    };
+  }
+
+  // Queue - queue/{type}/{entryId} = { uid, joined_at, offered_at?, offered_machine? }
+  getQueuePath(type) {
+    return `rooms/${this.roomId}/queue/${type}`;
+  }
+
+  listenToQueue(callback) {
+    if (!this.database) {
+      throw new Error('Firebase not initialized');
+    }
+
+    const queueRef = ref(this.database, `rooms/${this.roomId}/queue`);
+    const listener = onValue(queueRef, (snapshot) => {
+      callback(snapshot.val() || {});
+    });
+
+    this.listeners.set('queue', { ref: queueRef, listener });
+
+    return () => {
+      off(queueRef, listener);
+      this.listeners.delete('queue');
+    };
+  }
+
+  async joinQueue(type) {
+    const uid = await ensureSignedIn();
+    const entryRef = push(ref(this.database, this.getQueuePath(type)));
+    await set(entryRef, { uid, joined_at: serverTimestamp() });
+    return entryRef.key;
+  }
+
+  async leaveQueue(type, entryId) {
+    await ensureSignedIn();
+    await remove(ref(this.database, `${this.getQueuePath(type)}/${entryId}`));
+  }
+
+  // Longest-waiting entry not yet offered a machine, across every queue the machine serves
+  async findQueueHead(machineId) {
+    const heads = await Promise.all(
+      getServedTypes(machineId).map(async (type) => {
+        const snapshot = await get(ref(this.database, this.getQueuePath(type)));
+        const waiting = Object.entries(snapshot.val() || {})
+          .filter(([, entry]) => !entry.offered_at)
+          .sort(([idA, a], [idB, b]) => a.joined_at - b.joined_at || idA.localeCompare(idB));
+
+        if (waiting.length === 0) return null;
+        const [entryId, entry] = waiting[0];
+        return { type, entryId, uid: entry.uid, joinedAt: entry.joined_at };
+      })
+    );
+
+    return heads.filter(Boolean).sort((a, b) => a.joinedAt - b.joinedAt)[0] || null;
+  }
+
+  // Occupancy aggregate: occupancy/{YYYY-MM-DD}/{hour}/{slot} = { washers_free, dryers_free, slot_start }
+  // The first board to sample a slot writes it; the rest find it taken, so nothing is double counted
+  getOccupancyPath() {
+    return `rooms/${this.roomId}/occupancy`;
+  }
+
+  // Room settings - settings/durations/{type} = minutes, set from the manager console
+  getSettingsPath() {
+    return `rooms/${this.roomId}/settings`;
+  }
+
+  listenToSettings(callback) {
+    return this.listenToPath('settings', this.getSettingsPath(), callback);
+  }
+
+  // Local calendar date - occupancy and bookings work in the residents' time zone
+  getDateKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  sampleOccupancy(machines, currentTime) {
+    const time = new Date(currentTime);
+    const slot = Math.floor(time.getMinutes() / OCCUPANCY_SLOT_MINUTES);
+    const dateKey = this.getDateKey(currentTime);
+    const slotPath = `${this.getOccupancyPath()}/${dateKey}/${time.getHours()}/${slot}`;
+
+    if (slotPath === this.lastOccupancySample) return;
+    this.lastOccupancySample = slotPath;
+
+    // Combo machines can wash or dry, so they count towards both
+    const countFree = (type) =>
+      machines.filter(
+        (machine) =>
+          machine.status === 'available' && getServedTypes(machine.machine_id).includes(type)
+      ).length;
+
+    set(ref(this.database, slotPath), {
+      washers_free: countFree('washer'),
+      dryers_free: countFree('dryer'),
+      // The rules only take the slot that is running now, by the server clock
+      slot_start: this.getOccupancySlotStart(dateKey, time.getHours(), slot),
+    }).catch((error) => {
+      // Sampling is best-effort - another board may have taken the slot - the board works without it
+      console.warn('Failed to sample occupancy:', error.message);
+    });
+  }
+
+  // Raw aggregate for the given date keys: { [dateKey]: { [hour]: { [slot]: sample } } }
+  async getOccupancy(dateKeys) {
+    if (!this.database) {
+      throw new Error('Firebase not initialized');
+    }
+
+    await ensureSignedIn();
+    const days = await Promise.all(
+      dateKeys.map((dateKey) => get(ref(this.database, `${this.getOccupancyPath()}/${dateKey}`)))
+    );
+
+    return Object.fromEntries(
+      dateKeys.map((dateKey, i) => [dateKey, this.filterOccupancyDay(dateKey, days[i].val())])
+    );
+  }
+
+  // Local start of an occupancy slot
+  getOccupancySlotStart(dateKey, hour, slot) {
+    return this.getBookingSlotStart(dateKey, hour) + Number(slot) * OCCUPANCY_SLOT_MINUTES * 60000;
+  }
+
+  // The rules can't tell which local date and hour a slot is in, so a sample filed under
+  // another slot than the one it was taken in is dropped here
+  filterOccupancyDay(dateKey, day) {
+    const hours = Object.entries(day || {}).map(([hour, slots]) => [
+      hour,
+      Object.fromEntries(
+        Object.entries(slots || {}).filter(
+          ([slot, sample]) =>
+            sample &&
+            (sample.slot_start === undefined || // Sampled before slots were checked
+              sample.slot_start === this.getOccupancySlotStart(dateKey, hour, slot))
+        )
+      ),
+    ]);
+    return Object.fromEntries(hours);
+  }
+
+  // Bookings: reservations/{YYYY-MM-DD}/{machineId}/{hour} = { uid, created_at }
+  getBookingsPath() {
+    return `rooms/${this.roomId}/reservations`;
+  }
+
+  getBookingPath(machineId, dateKey, hour) {
+    return `${this.getBookingsPath()}/${dateKey}/${machineId}/${hour}`;
+  }
+
+  // Local start of a booking slot
+  getBookingSlotStart(dateKey, hour) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day, Number(hour)).getTime();
+  }
+
+  // Bookings for an inclusive range of date keys
+  listenToBookings(fromDateKey, toDateKey, callback) {
+    if (!this.database) {
+      throw new Error('Firebase not initialized');
+    }
+
+    const bookingsRef = query(
+      ref(this.database, this.getBookingsPath()),
+      orderByKey(),
+      startAt(fromDateKey),
+      endAt(toDateKey)
+    );
+    const listener = onValue(bookingsRef, (snapshot) => {
+      callback(snapshot.val() || {});
+    });
+
+    this.listeners.set('bookings', { ref: bookingsRef, listener });
+
+    return () => {
+      off(bookingsRef, listener);
+      this.listeners.delete('bookings');
+    };
+  }
+
+  async bookSlot(machineId, dateKey, hour) {
+    const uid = await ensureSignedIn();
+
+    try {
+      await set(ref(this.database, this.getBookingPath(machineId, dateKey, hour)), {
+        uid,
+        created_at: serverTimestamp(),
+      });
+    } catch (error) {
+      // The rules refuse a slot that already has a booking
+      if (error.code === 'PERMISSION_DENIED' || /permission.denied/i.test(error.message)) {
+        const taken = new Error('Someone else just booked that slot. Please pick another time.');
+        taken.code = 'slot-taken';
+        throw taken;
+      }
+      throw error;
+    }
+  }
+
+  async cancelBooking(machineId, dateKey, hour) {
+    await ensureSignedIn();
+    await remove(ref(this.database, this.getBookingPath(machineId, dateKey, hour)));
+  }
+
+  // Earliest slot booked by someone else that overlaps [startTime, endTime)
+  async findBookingConflict(machineId, startTime, endTime, uid) {
+    const dateKeys = [...new Set([this.getDateKey(startTime), this.getDateKey(endTime)])];
+    const days = await Promise.all(
+      dateKeys.map((dateKey) =>
+        get(ref(this.database, `${this.getBookingsPath()}/${dateKey}/${machineId}`))
+      )
+    );
+
+    const conflicts = dateKeys.flatMap((dateKey, i) =>
+      Object.entries(days[i].val() || {})
+        .filter(([, booking]) => booking && booking.uid !== uid)
+        .map(([hour]) => this.getBookingSlotStart(dateKey, hour))
+        .filter((slotStart) => slotStart < endTime && slotStart + BOOKING_SLOT_MS > startTime)
+    );
+
+    if (conflicts.length === 0) return null;
+    const startsAt = Math.min(...conflicts);
+    return { machineId, startsAt, inProgress: startsAt <= startTime };
+  }
+
+  // Last-known raw machine data per room, so the board can render offline
+  getSnapshotKey() {
+    return `machinesSnapshot:${this.roomId}`;
+  }
+
+  saveLastSnapshot(data, timestamp) {
+    try {
+      localStorage.setItem(this.getSnapshotKey(), JSON.stringify({ data, saved_at: timestamp }));
+    } catch (error) {
+      console.warn('Failed to save machine snapshot:', error.message);
+    }
+  }
+
+  getLastSnapshot() {
+    try {
+      const snapshot = JSON.parse(localStorage.getItem(this.getSnapshotKey()));
+      return snapshot && typeof snapshot.saved_at === 'number' ? snapshot : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   // Identify expired timers without processing
   identifyExpiredTimers(data, currentTime) {
-    const EXPIRATION_THRESHOLD = 30000; // 30 seconds
     const expiredTimers = [];
 
     for (const [machineId, machine] of Object.entries(data)) {
-      if (machine.status === 'active' && machine.end_time - currentTime <= EXPIRATION_THRESHOLD) {
+      if (hasFinished(machine, currentTime)) {
         expiredTimers.push({ machineId, endTime: machine.end_time });
       }
     }
@@ -270,50 +1297,9 @@ class FirebaseService {
 
   // Process machine data for UI (pure function)
   processMachineData(data, currentTime) {
-    const allMachineIds = [
-      'washer_1',
-      'washer_2',
-      'washer_3',
-      'washer_4',
-      'dryer_1',
-      'dryer_2',
-      'dryer_3',
-      'dryer_4',
-    ];
-
-    return allMachineIds.map((machineId) => {
-      const machine = data[machineId];
-
-      if (!machine) {
-        return {
-          machine_id: machineId,
-          status: 'available',
-          time_remaining_minutes: 0,
-        };
-      }
-
-      if (machine.status === 'paused') {
-        return {
-          machine_id: machineId,
-          status: 'paused',
-          time_remaining_minutes: machine.paused_time_remaining || 0,
-          paused_at: machine.paused_at,
-        };
-      }
-
-      const timeRemainingMs = machine.end_time - currentTime;
-      const timeRemainingMinutes = Math.max(0, Math.ceil(timeRemainingMs / (1000 * 60)));
-
-      // Client handles expiration, server data is advisory
-      const shouldBeAvailable = timeRemainingMs <= 30000; // 30 seconds buffer
-
-      return {
-        machine_id: machineId,
-        status: shouldBeAvailable ? 'available' : 'active',
-        time_remaining_minutes: shouldBeAvailable ? 0 : timeRemainingMinutes,
-        server_end_time: machine.end_time, // Pass server timestamp for client sync
-      };
-    });
+    return getMachineIds(this.roomId).map((machineId) =>
+      processMachine(machineId, data[machineId], currentTime, getCurrentUid())
+    );
   }
 
   // Batch cleanup with controlled concurrency
@@ -353,39 +1339,49 @@ class FirebaseService {
     }
   }
 
+  // Free a run-out timer and log it in one update. The rules only take the delete while the
+  // record is still a finished timer, and the history entry only with the write that ends its
+  // cycle, so when several boards race only the first one frees and logs it.
   async atomicExpireTimer(machineId, expectedEndTime) {
-    const machineRef = ref(this.database, `machines/${machineId}`);
+    // Someone waiting? Hold the machine for them instead of freeing it
+    const queueHead = await this.findQueueHead(machineId).catch(() => null);
+    if (queueHead) {
+      return this.reserveForQueue(machineId, expectedEndTime, queueHead);
+    }
+
+    const machinePath = this.getMachinePath(machineId);
 
     try {
-      // Circuit breaker for Firebase operations
-      const result = await this.executeWithCircuitBreaker(() => {
-        return runTransaction(machineRef, (currentData) => {
-          // Verify timer hasn't changed since we started
-          if (!currentData) {
-            return undefined; // Already expired - abort transaction
-          }
-
-          // Verify expected end time (prevent race conditions)
-          if (expectedEndTime && currentData.end_time !== expectedEndTime) {
-            return undefined; // Timer changed - abort transaction
-          }
-
-          // Additional safety: check if timer is actually expired
-          const timeRemaining = currentData.end_time - Date.now();
-          if (timeRemaining > 30000) {
-            return undefined; // Timer still has time - abort transaction
-          }
-
-          // Atomic removal - this guarantees consistency
-          return null;
+      // Circuit breaker for Firebase operations - a retry reads the record again, so a board
+      // that lost the race stops there
+      const expired = await this.executeWithCircuitBreaker(async () => {
+        const snapshot = await get(ref(this.database, machinePath));
+        const currentData = snapshot.val();
+        const now = Clock.now();
+
+        // Verify the timer is still the one we saw run out (prevent race conditions)
+        if (
+          !hasFinished(currentData, now) ||
+          (expectedEndTime && currentData.end_time !== expectedEndTime)
+        ) {
+          return false;
+        }
+
+        await update(ref(this.database), {
+          [machinePath]: null,
+          [this.getNewHistoryPath()]: this.createHistoryEntry(
+            machineId,
+            currentData,
+            now,
+            'expired'
+          ),
         });
+        return true;
       });
 
-      if (result.committed) {
-        return { success: true, machineId, reason: 'atomic_expiration' };
-      } else {
-        return { success: false, machineId, reason: 'timer_modified_or_expired' };
-      }
+      return expired
+        ? { success: true, machineId, reason: 'atomic_expiration' }
+        : { success: false, machineId, reason: 'timer_modified_or_expired' };
     } catch (error) {
       // Non-blocking error handling
       console.warn(`Timer expiration failed for ${machineId}:`, error.message);
@@ -393,6 +1389,48 @@ class FirebaseService {
     }
   }
 
+  // Expired machine -> reservation for the queue head, logged and offered in one update.
+  // The rules only accept it while the machine is still expired and the entry not yet
+  // offered, so when several boards race only the first one wins.
+  async reserveForQueue(machineId, expectedEndTime, queueHead) {
+    const machinePath = this.getMachinePath(machineId);
+    const entryPath = `${this.getQueuePath(queueHead.type)}/${queueHead.entryId}`;
+
+    try {
+      const snapshot = await get(ref(this.database, machinePath));
+      const currentData = snapshot.val();
+      const now = Clock.now();
+
+      if (
+        !hasFinished(currentData, now) ||
+        (expectedEndTime && currentData.end_time !== expectedEndTime)
+      ) {
+        return { success: false, machineId, reason: 'timer_modified_or_expired' };
+      }
+
+      await update(ref(this.database), {
+        [machinePath]: {
+          machine_id: machineId,
+          status: 'reserved',
+          reserved_for: queueHead.uid,
+          reserved_until: now + CLAIM_WINDOW_MS,
+          queue_type: queueHead.type,
+          queue_entry: queueHead.entryId,
+          updated_at: serverTimestamp(),
+        },
+        [`${entryPath}/offered_at`]: serverTimestamp(),
+        [`${entryPath}/offered_machine`]: machineId,
+        [this.getNewHistoryPath()]: this.createHistoryEntry(machineId, currentData, now, 'expired'),
+      });
+
+      return { success: true, machineId, reason: 'reserved_for_queue' };
+    } catch (error) {
+      // Usually another board reserved it first
+      console.warn(`Queue reservation failed for ${machineId}:`, error.message);
+      return { success: false, machineId, reason: 'operation_failed', error: error.message };
+    }
+  }
+
   // Circuit breaker for Firebase operations
   async executeWithCircuitBreaker(operation, maxRetries = 2) {
     let attempts = 0;
@@ -420,6 +1458,7 @@ class FirebaseService {
       off(listenerRef, listener);
     }
     this.listeners.clear();
+    clearTimeout(this.occupancyTimeout);
   }
 
   // Health check for Firebase connection
@@ -427,9 +1466,9 @@ class FirebaseService {
     try {
       const testRef = ref(this.database, '.info/connected');
       const snapshot = await get(testRef);
-      return { connected: snapshot.val() === true, timestamp: Date.now() };
+      return { connected: snapshot.val() === true, timestamp: Clock.now() };
     } catch (error) {
-      return { connected: false, error: error.message, timestamp: Date.now() };
+      return { connected: false, error: error.message, timestamp: Clock.now() };
     }
   }
 
@@ -437,7 +1476,7 @@ class FirebaseService {
   getPerformanceMetrics() {
     return {
       activeListeners: this.listeners.size,
-      timestamp: Date.now(),
+      timestamp: Clock.now(),
     };
   }
 
@@ -455,4 +1494,11 @@ class FirebaseService {
 }
 
 // Export for module usage
+export {
+  BOOKING_SLOT_MS,
+  CLAIM_WINDOW_MS,
+  ISSUE_CATEGORIES,
+  MAX_ISSUE_NOTE_LENGTH,
+  MAX_TIMER_MINUTES,
+};
 export default FirebaseService;
@@ -0,0 +1,113 @@
+const FORECAST_WEEKS = 4; // Same weekday over this many past weeks
+const MIN_SAMPLES = 3; // Fewer slots than this in an hour is too little to predict from
+const REFRESH_INTERVAL_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// RTDB returns objects with numeric keys as (sparse) arrays - treat both the same
+const valuesOf = (node) => Object.values(node || {}).filter(Boolean);
+
+/**
+ * Chance that at least one washer / dryer is free, per remaining hour of the day
+ * @param {Array} days - occupancy aggregates for past days ({ [hour]: { [slot]: sample } })
+ * @param {number} fromHour - first hour to forecast (usually the current hour)
+ * @returns {Array} [{ hour, samples, washerFree, dryerFree }] - probabilities 0..1, or null
+ *   when there isn't enough history for that hour
+ */
+function computeForecast(days, fromHour) {
+  const forecast = [];
+
+  for (let hour = fromHour; hour < 24; hour++) {
+    const samples = days.flatMap((day) => valuesOf(day[hour]));
+
+    if (samples.length < MIN_SAMPLES) {
+      forecast.push({ hour, samples: samples.length, washerFree: null, dryerFree: null });
+      continue;
+    }
+
+    const share = (key) => samples.filter((sample) => sample[key] > 0).length / samples.length;
+    forecast.push({
+      hour,
+      samples: samples.length,
+      washerFree: share('washers_free'),
+      dryerFree: share('dryers_free'),
+    });
+  }
+
+  return forecast;
+}
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// "Best time to do laundry" panel - mobile and desktop headers each have a copy
+class ForecastManager {
+  static initialize() {
+    setInterval(() => this.refresh(), REFRESH_INTERVAL_MS);
+  }
+
+  static async refresh() {
+    const panels = document.querySelectorAll('.forecast-panel');
+    if (panels.length === 0 || !window.FirebaseService) return;
+
+    const service = window.FirebaseService;
+    const now = Date.now();
+
+    try {
+      const dateKeys = [];
+      for (let week = 1; week <= FORECAST_WEEKS; week++) {
+        dateKeys.push(service.getDateKey(now - week * 7 * DAY_MS));
+      }
+
+      const occupancy = await service.getOccupancy(dateKeys);
+      const forecast = computeForecast(Object.values(occupancy), new Date(now).getHours());
+
+      panels.forEach((panel) => this.render(panel, forecast));
+    } catch (error) {
+      // Keep the last forecast - it only changes hourly anyway
+      console.warn('Failed to load occupancy forecast:', error.message);
+    }
+  }
+
+  static render(panel, forecast) {
+    const list = panel.querySelector('.forecast-list');
+    if (!list) return;
+
+    const known = forecast.filter((entry) => entry.washerFree !== null);
+    if (known.length === 0) {
+      const message = document.createElement('p');
+      message.className = 'forecast-message';
+      message.textContent = 'Not enough history yet - check back after a few weeks of use.';
+      list.replaceChildren(message);
+      return;
+    }
+
+    list.replaceChildren(
+      ...known.map((entry) => {
+        const row = document.createElement('div');
+        row.className = 'forecast-row';
+
+        const hour = document.createElement('span');
+        hour.className = 'forecast-hour';
+        hour.textContent = formatHour(entry.hour);
+        row.appendChild(hour);
+
+        row.appendChild(this.createChance('Washer', entry.washerFree));
+        row.appendChild(this.createChance('Dryer', entry.dryerFree));
+        return row;
+      })
+    );
+  }
+
+  static createChance(label, probability) {
+    const percent = Math.round(probability * 100);
+    const chance = document.createElement('span');
+    chance.className = 'forecast-chance';
+    if (percent >= 80) chance.classList.add('likely');
+    else if (percent < 40) chance.classList.add('unlikely');
+    chance.textContent = `${label} ${percent}%`;
+    chance.title = `${percent}% chance at least one ${label.toLowerCase()} is free`;
+    return chance;
+  }
+}
+
+export { computeForecast };
+export default ForecastManager;
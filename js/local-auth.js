@@ -0,0 +1,32 @@
+/**
+ * Local storage backend - the same exports as firebase-auth.js. Each browser gets a random
+ * uid kept in localStorage, so every tab and window of it counts as the same resident.
+ */
+
+const UID_KEY = 'laundry-local-uid';
+
+function loadUid() {
+  let uid = localStorage.getItem(UID_KEY);
+  if (!uid) {
+    uid = crypto.randomUUID();
+    localStorage.setItem(UID_KEY, uid);
+  }
+  return uid;
+}
+
+const auth = {
+  get currentUser() {
+    return { uid: loadUid() };
+  },
+};
+
+// Nothing to sign in to - resolves straight away
+function ensureSignedIn() {
+  return Promise.resolve(loadUid());
+}
+
+function getCurrentUid() {
+  return loadUid();
+}
+
+export { auth, ensureSignedIn, getCurrentUid };
@@ -0,0 +1,185 @@
+/**
+ * Local storage backend - the same exports as firebase-config.js, backed by one JSON tree in
+ * localStorage instead of the Realtime Database. Writes reach other tabs and windows of this
+ * browser over a BroadcastChannel, so a kiosk (or a developer with two tabs open) sees one board.
+ *
+ * Built in with VITE_BACKEND=local (see vite.config.js). There is no server, so nothing in
+ * database.rules.json is enforced: everyone at the kiosk is trusted.
+ */
+import {
+  clone,
+  createSnapshot,
+  endAt,
+  generatePushId,
+  limitToLast,
+  normalize,
+  orderByChild,
+  orderByKey,
+  orderByValue,
+  query,
+  readPath,
+  ref,
+  serverTimestamp,
+  splitPath,
+  startAt,
+  writePath,
+} from './tree.js';
+
+const STORAGE_KEY = 'laundry-local-db';
+const CHANNEL_NAME = 'laundry-local-db';
+
+// Always connected, and the device clock is the server clock
+const INFO = { '.info': { connected: true, serverTimeOffset: 0 } };
+
+const app = { name: 'local' };
+const database = { app };
+
+const listeners = new Set(); // { path, constraints, callback, last }
+const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+// Re-read on every access - another tab may have written since
+function loadTree() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch (error) {
+    console.warn('Local database unreadable, starting empty:', error.message);
+    return null;
+  }
+}
+
+function saveTree(tree) {
+  if (tree === null) {
+    localStorage.removeItem(STORAGE_KEY);
+  } else {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(tree));
+  }
+}
+
+const readValue = (tree, path) =>
+  splitPath(path)[0] === '.info' ? readPath(INFO, path) : readPath(tree, path);
+
+// Applies { path: value } writes as one change, then tells this tab's listeners and the others
+function commit(writes) {
+  const now = Date.now();
+  let tree = loadTree();
+  Object.entries(writes).forEach(([path, value]) => {
+    if (splitPath(path)[0] === '.info') {
+      throw new Error(`Cannot write to ${path}`);
+    }
+    tree = writePath(tree, path, normalize(value, now));
+  });
+
+  saveTree(tree);
+  channel?.postMessage({ type: 'changed' });
+  notify();
+}
+
+const snapshotOf = (target, tree = loadTree()) =>
+  createSnapshot(target.key, readValue(tree, target.path), target.constraints || []);
+
+// Like the SDK, listeners only hear about values that actually changed
+function notify() {
+  const tree = loadTree();
+  for (const listener of [...listeners]) {
+    if (!listeners.has(listener)) continue;
+    const snapshot = snapshotOf(listener, tree);
+    const serialized = JSON.stringify(snapshot.val());
+    if (serialized === listener.last) continue;
+    listener.last = serialized;
+    try {
+      listener.callback(snapshot);
+    } catch (error) {
+      console.error('Local database listener failed:', error);
+    }
+  }
+}
+
+// Another tab wrote - the new tree is already in localStorage
+channel?.addEventListener('message', () => notify());
+
+async function get(target) {
+  return snapshotOf(target);
+}
+
+async function set(target, value) {
+  commit({ [target.path]: value });
+}
+
+async function update(target, updates) {
+  commit(
+    Object.fromEntries(
+      Object.entries(updates).map(([path, value]) => [
+        [target.path, path].filter(Boolean).join('/'),
+        value,
+      ])
+    )
+  );
+}
+
+async function remove(target) {
+  commit({ [target.path]: null });
+}
+
+function push(target) {
+  return ref(database, `${target.path}/${generatePushId()}`);
+}
+
+// Read, update and write happen in one synchronous step, so no other write can interleave
+async function runTransaction(target, transactionUpdate) {
+  const result = transactionUpdate(clone(readValue(loadTree(), target.path)));
+  if (result === undefined) {
+    return { committed: false, snapshot: snapshotOf(target) };
+  }
+
+  commit({ [target.path]: result });
+  return { committed: true, snapshot: snapshotOf(target) };
+}
+
+// First value arrives asynchronously, like the SDK's initial load
+function onValue(target, callback) {
+  const listener = { ...target, callback, last: undefined };
+  const unsubscribe = () => listeners.delete(listener);
+  listener.unsubscribe = unsubscribe;
+  listeners.add(listener);
+
+  Promise.resolve().then(() => {
+    if (!listeners.has(listener)) return;
+    const snapshot = snapshotOf(listener);
+    listener.last = JSON.stringify(snapshot.val());
+    callback(snapshot);
+  });
+
+  return unsubscribe;
+}
+
+// Accepts the callback or the function onValue returned; without either, detaches the whole path
+function off(target, callback) {
+  for (const listener of listeners) {
+    if (listener.path !== target.path) continue;
+    if (!callback || listener.callback === callback || listener.unsubscribe === callback) {
+      listeners.delete(listener);
+    }
+  }
+}
+
+export {
+  app,
+  database,
+  ref,
+  onValue,
+  off,
+  runTransaction,
+  get,
+  set,
+  update,
+  remove,
+  push,
+  query,
+  orderByChild,
+  orderByKey,
+  orderByValue,
+  startAt,
+  endAt,
+  limitToLast,
+  serverTimestamp,
+};
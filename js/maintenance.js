@@ -0,0 +1,79 @@
+import { ISSUE_CATEGORIES, MAX_ISSUE_NOTE_LENGTH } from './firebase-service.js';
+import { getMachineLabel } from './room-config.js';
+
+// Labels for the categories the rules accept (see ISSUE_CATEGORIES)
+const ISSUE_LABELS = {
+  not_starting: "Won't start",
+  no_heat: 'Not heating or drying',
+  leaking: 'Leaking',
+  door: "Door won't open or lock",
+  payment: 'Card reader or payment',
+  other: 'Something else',
+};
+
+let currentReportMachine = null;
+
+// "Report problem" form on every card, and who may put a machine back in service
+class MaintenanceManager {
+  static isManager = false; // managers/{uid} is set for this resident
+
+  static async loadRole() {
+    this.isManager = await window.FirebaseService.isManager();
+  }
+
+  static getIssueLabel(category) {
+    return ISSUE_LABELS[category] || ISSUE_LABELS.other;
+  }
+
+  static open(machineId) {
+    const modal = document.getElementById('report-problem-modal');
+    const categorySelect = document.getElementById('report-category');
+    const note = document.getElementById('report-note');
+    if (!modal || !categorySelect || !note) return;
+
+    currentReportMachine = machineId;
+    document.getElementById('report-machine').textContent = getMachineLabel(machineId);
+
+    categorySelect.replaceChildren(
+      ...ISSUE_CATEGORIES.map((category) => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = this.getIssueLabel(category);
+        return option;
+      })
+    );
+    note.maxLength = MAX_ISSUE_NOTE_LENGTH;
+    note.value = '';
+
+    modal.classList.add('show');
+  }
+
+  static close() {
+    document.getElementById('report-problem-modal')?.classList.remove('show');
+    currentReportMachine = null;
+  }
+
+  static submit() {
+    const machineId = currentReportMachine;
+    if (!machineId) return;
+
+    const category = document.getElementById('report-category').value;
+    const note = document.getElementById('report-note').value;
+    this.close();
+
+    window.LaundryApp?.instance?.reportProblem(machineId, category, note);
+  }
+}
+
+// Event delegation for the report form
+document.addEventListener('click', (e) => {
+  const action = e.target.getAttribute('data-action');
+
+  if (action === 'close-report-problem') {
+    MaintenanceManager.close();
+  } else if (action === 'submit-report-problem') {
+    MaintenanceManager.submit();
+  }
+});
+
+export default MaintenanceManager;
@@ -1,5 +1,11 @@
+import { getCycles, getDefaultDuration } from './room-config.js';
+
+const FALLBACK_PRESETS = [15, 30, 45, 60, 90]; // Machine types without named cycles
+
 let currentCustomTimerMachine = null;
 let isSubmitting = false; // Prevent rapid-fire submissions
+let resolveConfirmPrompt = null;
+let currentExtendMachine = null;
 
 class ModalManager {
   static showCustomTimer(machineId) {
@@ -7,7 +13,8 @@ class ModalManager {
     const modal = document.getElementById('custom-timer-modal');
     const input = document.getElementById('custom-minutes');
 
-    input.value = 30;
+    input.value = getDefaultDuration(machineId);
+    this.renderCyclePresets(machineId);
     modal.classList.add('show');
 
     // Set up event listeners for the new controls
@@ -17,6 +24,28 @@ class ModalManager {
     setTimeout(() => input.focus(), 100);
   }
 
+  // One preset per named cycle of this machine type ("Heavy 42m")
+  static renderCyclePresets(machineId) {
+    const container = document.getElementById('cycle-presets');
+    if (!container) return;
+
+    const cycles = getCycles(machineId);
+    const presets =
+      cycles.length > 0 ? cycles : FALLBACK_PRESETS.map((minutes) => ({ name: null, minutes }));
+
+    container.replaceChildren(
+      ...presets.map(({ name, minutes }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'preset-btn';
+        button.dataset.minutes = String(minutes);
+        if (name) button.dataset.cycle = name;
+        button.textContent = name ? `${name} ${minutes}m` : `${minutes}m`;
+        return button;
+      })
+    );
+  }
+
   static closeCustomTimerModal() {
     const modal = document.getElementById('custom-timer-modal');
     modal.classList.remove('show');
@@ -34,6 +63,9 @@ class ModalManager {
 
     try {
       const minutes = parseInt(document.getElementById('custom-minutes').value);
+      // A highlighted cycle means the minutes match it - record its name with the timer
+      const cycleName =
+        document.querySelector('#cycle-presets .preset-btn.active')?.dataset.cycle || null;
 
       if (minutes < 1 || minutes > 120) {
         if (window.ErrorHandler) {
@@ -50,7 +82,7 @@ class ModalManager {
 
       // Use preserved machine ID, not the global variable
       if (window.LaundryApp && window.LaundryApp.instance && machineId) {
-        await window.LaundryApp.instance.setTimer(machineId, minutes);
+        await window.LaundryApp.instance.setTimer(machineId, minutes, { cycleName });
       }
     } catch (error) {
       console.error('Custom timer submission failed:', error);
@@ -119,7 +151,7 @@ class ModalManager {
       newBtn.addEventListener('click', () => {
         const minutes = parseInt(newBtn.dataset.minutes);
         input.value = minutes;
-        this.updatePresetHighlight(minutes);
+        this.updatePresetHighlight(minutes, newBtn);
         input.focus();
       });
     });
@@ -136,14 +168,95 @@ class ModalManager {
     });
   }
 
-  static updatePresetHighlight(currentValue) {
+  // Add time to a running timer - quick +5/+10/+15 or a custom amount
+  static showExtendTimer(machineId, label, maxMinutes) {
+    currentExtendMachine = machineId;
+    const modal = document.getElementById('extend-timer-modal');
+    const input = document.getElementById('extend-minutes');
+
+    document.getElementById('extend-machine').textContent = label;
+    document.getElementById('extend-limit').textContent =
+      `You can add up to ${maxMinutes} more minutes.`;
+    input.max = String(maxMinutes);
+    input.value = Math.min(20, maxMinutes);
+
+    // Quick options that would pass the cap are disabled rather than rejected later
+    document.querySelectorAll('.extend-btn').forEach((btn) => {
+      btn.disabled = parseInt(btn.dataset.minutes) > maxMinutes;
+    });
+
+    modal.classList.add('show');
+  }
+
+  static closeExtendTimerModal() {
+    document.getElementById('extend-timer-modal').classList.remove('show');
+    currentExtendMachine = null;
+  }
+
+  static async submitExtend(minutes) {
+    const machineId = currentExtendMachine;
+    if (!machineId || isSubmitting) return;
+
+    const maxMinutes = parseInt(document.getElementById('extend-minutes').max);
+    if (!(minutes >= 1 && minutes <= maxMinutes)) {
+      window.ErrorHandler?.showUserNotification(
+        `Please enter between 1 and ${maxMinutes} minutes`,
+        'error'
+      );
+      return;
+    }
+
+    isSubmitting = true;
+    this.closeExtendTimerModal();
+
+    try {
+      await window.LaundryApp?.instance?.extendTimer(machineId, minutes);
+    } finally {
+      setTimeout(() => {
+        isSubmitting = false;
+      }, 1000);
+    }
+  }
+
+  // Yes/no prompt (offline sync conflicts, takeovers); resolves true when confirmed
+  static confirm({ title, message, confirmLabel = 'OK', cancelLabel = 'Cancel' }) {
+    const modal = document.getElementById('confirm-modal');
+
+    // Only one prompt at a time - a pending one is treated as cancelled
+    if (resolveConfirmPrompt) {
+      resolveConfirmPrompt(false);
+    }
+
+    document.getElementById('confirm-title').textContent = title;
+    document.getElementById('confirm-message').textContent = message;
+    document.getElementById('confirm-accept').textContent = confirmLabel;
+    document.getElementById('confirm-cancel').textContent = cancelLabel;
+    modal.classList.add('show');
+
+    return new Promise((resolve) => {
+      resolveConfirmPrompt = resolve;
+    });
+  }
+
+  static resolveConfirm(confirmed) {
+    const modal = document.getElementById('confirm-modal');
+    modal.classList.remove('show');
+
+    if (resolveConfirmPrompt) {
+      const resolve = resolveConfirmPrompt;
+      resolveConfirmPrompt = null;
+      resolve(confirmed);
+    }
+  }
+
+  // Only one preset lights up, even if two cycles share a length - the clicked one if given
+  static updatePresetHighlight(currentValue, clicked = null) {
+    let highlighted = false;
     document.querySelectorAll('.preset-btn').forEach((btn) => {
       const btnValue = parseInt(btn.dataset.minutes);
-      if (btnValue === currentValue) {
-        btn.classList.add('active');
-      } else {
-        btn.classList.remove('active');
-      }
+      const active = clicked ? btn === clicked : !highlighted && btnValue === currentValue;
+      btn.classList.toggle('active', active);
+      highlighted = highlighted || active;
     });
   }
 }
@@ -160,6 +273,18 @@ document.addEventListener('click', (e) => {
     case 'submit-custom-timer':
       ModalManager.submitCustomTimer();
       break;
+    case 'close-extend-timer':
+      ModalManager.closeExtendTimerModal();
+      break;
+    case 'submit-extend':
+      ModalManager.submitExtend(parseInt(e.target.dataset.minutes));
+      break;
+    case 'submit-extend-custom':
+      ModalManager.submitExtend(parseInt(document.getElementById('extend-minutes').value));
+      break;
+    case 'resolve-confirm':
+      ModalManager.resolveConfirm(e.target.dataset.choice === 'confirm');
+      break;
     case 'close-notification-modal':
       if (window.LaundryApp && window.LaundryApp.instance) {
         window.LaundryApp.instance.closeNotificationModal();
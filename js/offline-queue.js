@@ -0,0 +1,78 @@
+import Clock from './clock.js';
+
+const DB_NAME = 'laundry-timer';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingActions';
+
+let dbPromise = null;
+let memoryQueue = []; // Fallback when IndexedDB is unavailable (lost on reload)
+let nextMemoryId = 1;
+
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Timer actions taken while offline, persisted until they can be replayed through Firebase
+class OfflineQueue {
+  static isPersistent() {
+    const manager = window.BrowserCompatibilityManager?.getInstance();
+    return Boolean(manager?.capabilities.supportsIndexedDB);
+  }
+
+  static openDatabase() {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      };
+      dbPromise = promisifyRequest(request).catch((error) => {
+        dbPromise = null; // Allow a retry on the next call
+        throw error;
+      });
+    }
+    return dbPromise;
+  }
+
+  static async withStore(mode, operation) {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(STORE_NAME, mode);
+    return promisifyRequest(operation(transaction.objectStore(STORE_NAME)));
+  }
+
+  // action: { roomId, machineId, action: 'start'|'stop'|'pause'|'resume', minutes?, baseUpdatedAt }
+  static async enqueue(action) {
+    const entry = { ...action, queuedAt: Clock.now() };
+
+    if (!this.isPersistent()) {
+      const memoryEntry = { ...entry, id: nextMemoryId++ };
+      memoryQueue.push(memoryEntry);
+      return memoryEntry;
+    }
+
+    const id = await this.withStore('readwrite', (store) => store.add(entry));
+    return { ...entry, id };
+  }
+
+  // Oldest first - replay order matters (start before stop)
+  static async getAll() {
+    if (!this.isPersistent()) {
+      return [...memoryQueue];
+    }
+
+    const entries = await this.withStore('readonly', (store) => store.getAll());
+    return entries.sort((a, b) => a.queuedAt - b.queuedAt || a.id - b.id);
+  }
+
+  static async remove(id) {
+    if (!this.isPersistent()) {
+      memoryQueue = memoryQueue.filter((entry) => entry.id !== id);
+      return;
+    }
+
+    await this.withStore('readwrite', (store) => store.delete(id));
+  }
+}
+
+export default OfflineQueue;
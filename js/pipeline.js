@@ -0,0 +1,147 @@
+import QueueManager, { estimateWaitMs } from './queue.js';
+import ModalManager from './modal.js';
+import ReminderManager from './reminder.js';
+import Clock from './clock.js';
+import {
+  getDefaultCycle,
+  getDefaultDuration,
+  getMachineLabel,
+  getMachineType,
+  getMachineTypeLabel,
+  getServedTypes,
+} from './room-config.js';
+
+/**
+ * Estimated finish of a wash + dry pipeline
+ * The follow-on load starts when the first one ends, or when a machine for it frees up
+ * @param {number} endTime - when the first load finishes
+ * @param {string} nextType - type of the follow-on load (e.g. 'dryer')
+ * @param {Array} machines - processed machines from FirebaseService.processMachineData
+ * @param {number} position - place the follow-on load would take in that type's queue (1 = next)
+ * @param {number} now - current time
+ * @returns {number|null} timestamp, or null when no machine in the room serves nextType
+ */
+function estimatePipelineFinish(endTime, nextType, machines, position, now) {
+  const nextMachine = machines.find((machine) =>
+    getServedTypes(machine.machine_id).includes(nextType)
+  );
+  if (!nextMachine) return null;
+
+  const wait = estimateWaitMs(position, machines, nextType, now);
+  const nextStart = Math.max(endTime, now + wait);
+  return nextStart + getDefaultDuration(nextMachine.machine_id) * 60 * 1000;
+}
+
+// Prefer a dedicated machine over a combo, so the combo stays free for a full wash + dry
+const byDedicatedFirst = (type) => (a, b) =>
+  Number(getMachineType(a.machine_id) !== type) - Number(getMachineType(b.machine_id) !== type);
+
+// Linked wash -> dry loads: the plan rides on the washer record as next_type
+class PipelineManager {
+  static machines = []; // Latest processed machines
+  static plans = new Map(); // machineId -> { endTime, nextType } for pipelines started from this device
+  static handled = new Set(); // `${machineId}:${endTime}` already continued
+
+  static setMachines(machines) {
+    const now = Clock.now();
+    this.machines = machines;
+
+    machines.forEach((machine) => {
+      const plan = this.plans.get(machine.machine_id);
+
+      if (machine.next_type && machine.owned_by_me && machine.status === 'active') {
+        this.plans.set(machine.machine_id, {
+          endTime: machine.server_end_time,
+          nextType: machine.next_type,
+        });
+      } else if (machine.status === 'available') {
+        // A load that ran out (rather than one stopped early) moves on to the next machine
+        if (plan && plan.endTime <= now) this.onMachineFinished(machine.machine_id);
+      } else {
+        this.plans.delete(machine.machine_id); // Paused or replaced - resumes re-add it
+      }
+    });
+  }
+
+  static reset() {
+    this.machines = [];
+    this.plans.clear();
+  }
+
+  static getNextType(machineId) {
+    return this.machines.find((machine) => machine.machine_id === machineId)?.next_type || null;
+  }
+
+  // Finish time for the card of any machine with a plan (shown to every resident)
+  static getFinishAt(machineId, endTime, now = Clock.now()) {
+    const nextType = this.getNextType(machineId);
+    if (!nextType) return null;
+
+    const position = QueueManager.getWaiting(nextType).length + 1;
+    return estimatePipelineFinish(endTime, nextType, this.machines, position, now);
+  }
+
+  // Called when a timer runs out in this tab
+  static onMachineFinished(machineId) {
+    const plan = this.plans.get(machineId);
+    if (!plan) return;
+
+    this.plans.delete(machineId);
+    const key = `${machineId}:${plan.endTime}`;
+    if (this.handled.has(key)) return;
+    this.handled.add(key);
+
+    this.continuePipeline(machineId, plan.nextType).catch((error) => {
+      console.error('Failed to continue wash + dry:', error);
+    });
+  }
+
+  static async continuePipeline(fromMachineId, nextType) {
+    const typeLabel = getMachineTypeLabel(nextType).toLowerCase();
+    const freeMachines = this.machines
+      .filter(
+        (machine) =>
+          machine.status === 'available' && getServedTypes(machine.machine_id).includes(nextType)
+      )
+      .sort(byDedicatedFirst(nextType));
+
+    for (const machine of freeMachines) {
+      try {
+        await window.FirebaseService.holdForPipeline(machine.machine_id, fromMachineId);
+      } catch (error) {
+        continue; // Someone got there first - try the next one
+      }
+
+      const label = getMachineLabel(machine.machine_id);
+      ReminderManager.notifyReserved(machine.machine_id, label);
+
+      const start = await ModalManager.confirm({
+        title: 'Wash Done',
+        message: `${label} is held for you for a few minutes. Start it now?`,
+        confirmLabel: `Start ${label}`,
+        cancelLabel: 'Later',
+      });
+      if (start) {
+        const minutes = getDefaultDuration(machine.machine_id);
+        await window.LaundryApp.instance.setTimer(machine.machine_id, minutes, {
+          cycleName: getDefaultCycle(machine.machine_id)?.name,
+        });
+      }
+      return;
+    }
+
+    // Nothing free - one tap puts us in line for the next one
+    const join = await ModalManager.confirm({
+      title: 'Wash Done',
+      message: `No ${typeLabel} is free right now. Join the ${typeLabel} queue? The next free one will be held for you.`,
+      confirmLabel: 'Join Queue',
+      cancelLabel: 'Not Now',
+    });
+    if (join) {
+      await QueueManager.join(nextType);
+    }
+  }
+}
+
+export { estimatePipelineFinish };
+export default PipelineManager;
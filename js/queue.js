@@ -0,0 +1,205 @@
+import { CLAIM_WINDOW_MS } from './firebase-service.js';
+import { getCurrentUid } from './firebase-auth.js';
+import {
+  getDefaultDuration,
+  getMachineLabel,
+  getMachineTypeLabel,
+  getServedTypes,
+} from './room-config.js';
+import ReminderManager from './reminder.js';
+import Clock from './clock.js';
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Queue entries oldest first, with their database keys
+function getQueueEntries(queueNode) {
+  return Object.entries(queueNode || {})
+    .map(([id, entry]) => ({ id, ...entry }))
+    .sort((a, b) => a.joined_at - b.joined_at || a.id.localeCompare(b.id));
+}
+
+/**
+ * Estimated wait for the resident at `position` (1 = next) in a queue
+ * Each machine frees up at its end_time, then assumes a standard cycle per resident ahead
+ * @param {number} position - place in the queue, 1-based
+ * @param {Array} machines - processed machines from FirebaseService.processMachineData
+ * @param {string} type - queue type (washer, dryer)
+ * @param {number} now - current time
+ * @returns {number|null} milliseconds, or null when no working machine serves this queue
+ */
+function estimateWaitMs(position, machines, type, now) {
+  const slots = machines
+    .filter(
+      (machine) =>
+        machine.status !== 'out_of_order' && getServedTypes(machine.machine_id).includes(type)
+    )
+    .map((machine) => {
+      const cycleMs = getDefaultDuration(machine.machine_id) * 60 * 1000;
+      let freeInMs = 0;
+
+      if (machine.status === 'active') {
+        freeInMs = Math.max(0, machine.server_end_time - now);
+      } else if (machine.status === 'paused') {
+        freeInMs = machine.time_remaining_ms || 0; // Unknown pause length - best case
+      } else if (machine.status === 'reserved') {
+        freeInMs = cycleMs; // Someone ahead is about to start a load on it
+      }
+
+      return { freeInMs, cycleMs };
+    });
+
+  if (slots.length === 0) return null;
+
+  // Hand the next free machine to each resident ahead, then to us
+  for (let turn = 1; ; turn++) {
+    const next = slots.reduce((earliest, slot) =>
+      slot.freeInMs < earliest.freeInMs ? slot : earliest
+    );
+    if (turn === position) return next.freeInMs;
+    next.freeInMs += next.cycleMs;
+  }
+}
+
+const formatWait = (ms) => {
+  const minutes = Math.ceil(ms / (1000 * 60));
+  if (minutes <= 0) return 'any moment now';
+  if (minutes < 60) return `about ${minutes} min`;
+  return `about ${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+// Waitlist for the next free washer or dryer - one bar per column on the board
+class QueueManager {
+  static queues = {}; // Raw queue/ node for the current room
+  static machines = []; // Latest processed machines
+  static notifiedOffers = new Set(); // Entry IDs already announced as "reserved for you"
+
+  // Waits count down between snapshots, and lapsed offers need cleaning up
+  static initialize() {
+    setInterval(() => this.render(), REFRESH_INTERVAL_MS);
+  }
+
+  static setQueues(queues) {
+    this.queues = queues || {};
+    this.render();
+  }
+
+  static setMachines(machines) {
+    this.machines = machines;
+    this.render();
+  }
+
+  static reset() {
+    this.queues = {};
+    this.machines = [];
+    this.render();
+  }
+
+  static getWaiting(type) {
+    return getQueueEntries(this.queues[type]).filter((entry) => !entry.offered_at);
+  }
+
+  static getMyEntry(type) {
+    const uid = getCurrentUid();
+    return getQueueEntries(this.queues[type]).find((entry) => uid && entry.uid === uid) || null;
+  }
+
+  static async join(type) {
+    if (this.getMyEntry(type)) return;
+    await window.FirebaseService.joinQueue(type);
+  }
+
+  static async leave(type) {
+    const entry = this.getMyEntry(type);
+    if (!entry) return;
+    await window.FirebaseService.leaveQueue(type, entry.id);
+  }
+
+  // Starting any machine that serves a queue means we no longer need our place in it
+  static onMachineStarted(machineId) {
+    getServedTypes(machineId).forEach((type) => {
+      this.leave(type).catch((error) => {
+        console.warn(`Failed to leave ${type} queue:`, error.message);
+      });
+    });
+  }
+
+  static render() {
+    const now = Clock.now();
+
+    document.querySelectorAll('.queue-bar').forEach((bar) => {
+      const type = bar.dataset.queueType;
+      if (type) this.renderBar(bar, type, now);
+    });
+
+    this.checkOffers(now);
+  }
+
+  static renderBar(bar, type, now) {
+    const typeLabel = getMachineTypeLabel(type).toLowerCase();
+    const waiting = this.getWaiting(type);
+    const myEntry = this.getMyEntry(type);
+    const servesType = (machine) => getServedTypes(machine.machine_id).includes(type);
+    const freeNow = this.machines.some(
+      (machine) => servesType(machine) && machine.status === 'available'
+    );
+
+    const status = document.createElement('span');
+    status.className = 'queue-status';
+    let button = null;
+
+    if (myEntry && myEntry.offered_at) {
+      status.textContent = `A ${typeLabel} is being held for you`;
+    } else if (myEntry) {
+      const position = waiting.findIndex((entry) => entry.id === myEntry.id) + 1;
+      const wait = estimateWaitMs(position, this.machines, type, now);
+      status.textContent =
+        `You're #${position} in line` + (wait === null ? '' : ` - ${formatWait(wait)}`);
+      button = this.createButton('leave-queue', type, 'Leave queue');
+    } else if (waiting.length > 0 || !freeNow) {
+      const wait = estimateWaitMs(waiting.length + 1, this.machines, type, now);
+      status.textContent =
+        (waiting.length > 0 ? `${waiting.length} waiting` : `All ${typeLabel}s busy`) +
+        (wait === null ? '' : ` - next turn ${formatWait(wait)}`);
+      button = this.createButton('join-queue', type, 'Join queue');
+    }
+
+    // Nothing to show while machines are free and nobody is waiting
+    bar.hidden = !status.textContent;
+    bar.replaceChildren(...[status, button].filter(Boolean));
+  }
+
+  static createButton(className, type, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn btn-small btn-secondary ${className}`;
+    button.dataset.queueType = type;
+    button.textContent = label;
+    return button;
+  }
+
+  // Announce our reservation once, and clear offers whose claim window has passed
+  static checkOffers(now) {
+    Object.keys(this.queues).forEach((type) => {
+      getQueueEntries(this.queues[type]).forEach((entry) => {
+        if (entry.offered_at && entry.offered_at + CLAIM_WINDOW_MS <= now) {
+          // Any board may tidy up - the rules allow removing lapsed offers
+          window.FirebaseService.leaveQueue(type, entry.id).catch(() => {});
+        }
+      });
+
+      const myEntry = this.getMyEntry(type);
+      if (!myEntry || !myEntry.offered_at || myEntry.offered_at + CLAIM_WINDOW_MS <= now) return;
+
+      if (!this.notifiedOffers.has(myEntry.id)) {
+        this.notifiedOffers.add(myEntry.id);
+        ReminderManager.notifyReserved(
+          myEntry.offered_machine,
+          getMachineLabel(myEntry.offered_machine)
+        );
+      }
+    });
+  }
+}
+
+export { estimateWaitMs, getQueueEntries };
+export default QueueManager;
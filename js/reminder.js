@@ -0,0 +1,312 @@
+import { getActiveRoomId, getMachineLabel } from './room-config.js';
+import Clock from './clock.js';
+
+const SETTINGS_KEY = 'reminderSettings';
+const MY_MACHINES_KEY = 'myMachines';
+const DEFAULT_SETTINGS = { enabled: false, leadMinutes: 5 };
+const STALE_CLAIM_MS = 60000; // Ignore "finished" for claims younger than this (snapshot lag)
+
+let stopTitleFlash = null;
+let audioContext = null;
+
+// Reminds residents about machines started from THIS device ("mine")
+class ReminderManager {
+  static initialize() {
+    this.setupSettingsControls();
+  }
+
+  static getCapabilities() {
+    const manager = window.BrowserCompatibilityManager?.getInstance();
+    return manager ? manager.capabilities : {};
+  }
+
+  static readStorage(key, fallback) {
+    if (!this.getCapabilities().supportsLocalStorage) return fallback;
+    try {
+      const value = JSON.parse(localStorage.getItem(key));
+      return value ?? fallback;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  static writeStorage(key, value) {
+    if (!this.getCapabilities().supportsLocalStorage) return;
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      console.warn(`Failed to save ${key}:`, e.message);
+    }
+  }
+
+  static getSettings() {
+    return { ...DEFAULT_SETTINGS, ...this.readStorage(SETTINGS_KEY, {}) };
+  }
+
+  static saveSettings(settings) {
+    this.writeStorage(SETTINGS_KEY, { ...this.getSettings(), ...settings });
+  }
+
+  static setupSettingsControls() {
+    const settings = this.getSettings();
+
+    document.querySelectorAll('.reminder-enabled').forEach((checkbox) => {
+      checkbox.checked = settings.enabled;
+      checkbox.addEventListener('change', () => this.setEnabled(checkbox.checked));
+    });
+
+    document.querySelectorAll('.reminder-lead-select').forEach((select) => {
+      select.value = String(settings.leadMinutes);
+      select.addEventListener('change', () => {
+        const leadMinutes = parseInt(select.value) || 0;
+        this.saveSettings({ leadMinutes });
+        this.syncSettingsControls();
+      });
+    });
+  }
+
+  // Mobile and desktop headers each have a copy of the controls
+  static syncSettingsControls() {
+    const settings = this.getSettings();
+    document.querySelectorAll('.reminder-enabled').forEach((checkbox) => {
+      checkbox.checked = settings.enabled;
+    });
+    document.querySelectorAll('.reminder-lead-select').forEach((select) => {
+      select.value = String(settings.leadMinutes);
+    });
+  }
+
+  static async setEnabled(enabled) {
+    this.saveSettings({ enabled });
+    this.syncSettingsControls();
+
+    if (!enabled) return;
+
+    // Created during the click so browsers allow it to play later
+    this.unlockAudio();
+
+    const permission = await this.requestPermission();
+    if (permission !== 'granted' && window.ErrorHandler) {
+      window.ErrorHandler.showUserNotification(
+        'Notifications are blocked - this tab will beep and flash instead. Keep it open.',
+        'warning'
+      );
+    }
+  }
+
+  static async requestPermission() {
+    if (!this.getCapabilities().supportsNotifications) return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+
+    try {
+      return await Notification.requestPermission();
+    } catch (error) {
+      console.warn('Notification permission request failed:', error.message);
+      return 'denied';
+    }
+  }
+
+  static getClaimKey(machineId) {
+    return `${getActiveRoomId()}/${machineId}`;
+  }
+
+  static getMyMachines() {
+    return this.readStorage(MY_MACHINES_KEY, {});
+  }
+
+  static isMine(machineId) {
+    return Boolean(this.getMyMachines()[this.getClaimKey(machineId)]);
+  }
+
+  // Remember a timer this device started
+  static claimMachine(machineId, minutes) {
+    const myMachines = this.getMyMachines();
+    myMachines[this.getClaimKey(machineId)] = {
+      claimedAt: Date.now(),
+      endTime: Clock.now() + minutes * 60 * 1000,
+      // Short timers never get a heads-up, only the finished alert
+      leadNotified: minutes <= this.getSettings().leadMinutes,
+    };
+    this.writeStorage(MY_MACHINES_KEY, myMachines);
+
+    if (this.getSettings().enabled) {
+      this.unlockAudio();
+    }
+  }
+
+  // Keep the claim's end time in step with the server's (added time, pause and resume)
+  static updateEndTime(machineId, endTime) {
+    const myMachines = this.getMyMachines();
+    const claim = myMachines[this.getClaimKey(machineId)];
+    if (!claim || claim.endTime === endTime) return;
+
+    claim.endTime = endTime;
+    this.writeStorage(MY_MACHINES_KEY, myMachines);
+  }
+
+  static releaseMachine(machineId) {
+    const myMachines = this.getMyMachines();
+    if (!myMachines[this.getClaimKey(machineId)]) return;
+
+    delete myMachines[this.getClaimKey(machineId)];
+    this.writeStorage(MY_MACHINES_KEY, myMachines);
+  }
+
+  // When a hidden tab has to wake for this timer: the heads-up if one is still due, else the end
+  static getNextAlertTime(machineId, endTime) {
+    const { enabled, leadMinutes } = this.getSettings();
+    const claim = this.getMyMachines()[this.getClaimKey(machineId)];
+    if (!enabled || leadMinutes <= 0 || !claim || claim.leadNotified) return endTime;
+
+    return endTime - leadMinutes * 60 * 1000;
+  }
+
+  // Called on every timer tick
+  static checkTimer(machineId, timeRemainingMs) {
+    const { enabled, leadMinutes } = this.getSettings();
+    if (!enabled || leadMinutes <= 0) return;
+
+    const myMachines = this.getMyMachines();
+    const claim = myMachines[this.getClaimKey(machineId)];
+    if (!claim || claim.leadNotified) return;
+
+    if (timeRemainingMs > 0 && timeRemainingMs <= leadMinutes * 60 * 1000) {
+      claim.leadNotified = true;
+      this.writeStorage(MY_MACHINES_KEY, myMachines);
+
+      const minutesLeft = Math.ceil(timeRemainingMs / (1000 * 60));
+      this.alert(
+        `${getMachineLabel(machineId)} almost done`,
+        `About ${minutesLeft} min left - time to head down.`,
+        machineId
+      );
+    }
+  }
+
+  // Called when a timer runs out in this tab
+  static notifyFinished(machineId) {
+    if (!this.isMine(machineId)) return;
+    this.releaseMachine(machineId);
+
+    if (!this.getSettings().enabled) return;
+    this.alert(
+      `${getMachineLabel(machineId)} is done`,
+      'Your laundry is ready - please pick it up so neighbors can use the machine.',
+      machineId
+    );
+  }
+
+  // Machine showed up free without this tab seeing it expire (e.g. page was closed). Only a
+  // timer that reached its end time finished - one stopped early elsewhere is just forgotten
+  static notifyIfFinishedElsewhere(machineId) {
+    const claim = this.getMyMachines()[this.getClaimKey(machineId)];
+    if (!claim || Date.now() - claim.claimedAt < STALE_CLAIM_MS) return;
+
+    if (claim.endTime > Clock.now()) {
+      this.releaseMachine(machineId);
+      return;
+    }
+    this.notifyFinished(machineId);
+  }
+
+  // A machine freed up and is being held for this resident (see QueueManager)
+  static notifyReserved(machineId, label) {
+    const title = `${label} is yours`;
+    const body = 'It is being held for you for a few minutes - start your load before it lapses.';
+
+    if (this.getSettings().enabled) {
+      this.alert(title, body, machineId);
+    } else if (window.ErrorHandler) {
+      window.ErrorHandler.showUserNotification(`${title}. ${body}`, 'success');
+    }
+  }
+
+  static alert(title, body, machineId) {
+    if (!this.showSystemNotification(title, body, machineId)) {
+      this.playChime();
+      this.flashTitle(title);
+    }
+
+    if (window.ErrorHandler) {
+      window.ErrorHandler.showUserNotification(`${title}. ${body}`, 'success');
+    }
+  }
+
+  static showSystemNotification(title, body, machineId) {
+    if (!this.getCapabilities().supportsNotifications) return false;
+    if (Notification.permission !== 'granted') return false;
+
+    try {
+      new Notification(title, { body, tag: `laundry-${machineId}` });
+      return true;
+    } catch (error) {
+      // Some mobile browsers only allow notifications from a service worker
+      console.warn('System notification failed:', error.message);
+      return false;
+    }
+  }
+
+  static unlockAudio() {
+    if (!this.getCapabilities().supportsWebAudio) return null;
+
+    try {
+      if (!audioContext) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        audioContext = new AudioContextClass();
+      }
+      if (audioContext.state === 'suspended') {
+        audioContext.resume().catch(() => {});
+      }
+      return audioContext;
+    } catch (error) {
+      console.warn('Audio unavailable:', error.message);
+      return null;
+    }
+  }
+
+  // Three short beeps - no audio file needed
+  static playChime() {
+    const context = this.unlockAudio();
+    if (!context) return;
+
+    [0, 0.35, 0.7].forEach((offset) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      const start = context.currentTime + offset;
+
+      oscillator.frequency.value = 880;
+      gain.gain.setValueAtTime(0.2, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.25);
+
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.25);
+    });
+  }
+
+  // Alternate the tab title until the user looks at the page
+  static flashTitle(message) {
+    if (document.hasFocus()) return;
+    if (stopTitleFlash) stopTitleFlash();
+
+    const originalTitle = document.title;
+    let showMessage = true;
+
+    const interval = setInterval(() => {
+      document.title = showMessage ? message : originalTitle;
+      showMessage = !showMessage;
+    }, 1000);
+
+    stopTitleFlash = () => {
+      clearInterval(interval);
+      document.title = originalTitle;
+      window.removeEventListener('focus', stopTitleFlash);
+      stopTitleFlash = null;
+    };
+
+    window.addEventListener('focus', stopTitleFlash);
+  }
+}
+
+export default ReminderManager;
@@ -0,0 +1,181 @@
+import roomConfig from '../room-config.json';
+
+// Room definitions live in room-config.json so the rules sync script can read them too
+const machineTypes = roomConfig.machineTypes;
+const ROOM_STORAGE_KEY = 'room';
+
+const buildMachineIds = (room) =>
+  Object.entries(room.machines).flatMap(([type, count]) =>
+    Array.from({ length: count }, (_, index) => `${type}_${index + 1}`)
+  );
+
+// Cycles must fit the timer limits, and the default duration must be one of them
+for (const [type, config] of Object.entries(machineTypes)) {
+  const cycles = config.cycles || [];
+  if (cycles.some((cycle) => !cycle.name || !(cycle.minutes >= 1 && cycle.minutes <= 120))) {
+    throw new Error(`Machine type "${type}" has an invalid cycle`);
+  }
+  if (cycles.length > 0 && !cycles.some((cycle) => cycle.minutes === config.defaultDuration)) {
+    throw new Error(`Machine type "${type}" default duration is not one of its cycles`);
+  }
+}
+
+// Validate every room up front - a bad config should fail loudly, not render a broken board
+for (const [roomId, room] of Object.entries(roomConfig.rooms)) {
+  const unknownTypes = Object.keys(room.machines).filter((type) => !machineTypes[type]);
+  if (unknownTypes.length > 0) {
+    throw new Error(`Room "${roomId}" uses unknown machine types: ${unknownTypes.join(', ')}`);
+  }
+
+  const machineIds = buildMachineIds(room);
+  const layoutIds = Object.values(room.layout).flatMap((column) => column.machines);
+  const unplaced = machineIds.filter((machineId) => !layoutIds.includes(machineId));
+  const unknown = layoutIds.filter((machineId) => !machineIds.includes(machineId));
+
+  if (unplaced.length > 0 || unknown.length > 0 || layoutIds.length !== machineIds.length) {
+    throw new Error(`Room "${roomId}" layout does not match its machine counts`);
+  }
+}
+
+const deploymentRoomId = import.meta.env.VITE_LAUNDRY_ROOM || roomConfig.defaultRoom;
+if (!roomConfig.rooms[deploymentRoomId]) {
+  throw new Error(`Unknown laundry room: ${deploymentRoomId}`);
+}
+
+function isValidRoomId(roomId) {
+  return typeof roomId === 'string' && Object.hasOwn(roomConfig.rooms, roomId);
+}
+
+function readStoredRoomId() {
+  try {
+    return localStorage.getItem(ROOM_STORAGE_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+// ?room= (QR code on the room door) wins, then the last room used, then the deployment default
+function resolveInitialRoomId() {
+  const urlRoomId = new URLSearchParams(window.location.search).get('room');
+  if (isValidRoomId(urlRoomId)) return urlRoomId;
+
+  const storedRoomId = readStoredRoomId();
+  if (isValidRoomId(storedRoomId)) return storedRoomId;
+
+  return deploymentRoomId;
+}
+
+let activeRoomId = resolveInitialRoomId();
+let durationOverrides = {}; // type -> minutes for the active room
+
+function getActiveRoomId() {
+  return activeRoomId;
+}
+
+function setActiveRoomId(roomId) {
+  if (!isValidRoomId(roomId)) {
+    throw new Error(`Unknown laundry room: ${roomId}`);
+  }
+
+  activeRoomId = roomId;
+  try {
+    localStorage.setItem(ROOM_STORAGE_KEY, roomId);
+  } catch (e) {
+    // Storage unavailable (private mode) - selection still works for this session
+  }
+}
+
+// Rooms for the picker, in config order
+function getRooms() {
+  return Object.entries(roomConfig.rooms).map(([id, room]) => ({ id, name: room.name }));
+}
+
+function getRoom(roomId = activeRoomId) {
+  return roomConfig.rooms[roomId];
+}
+
+// Machine IDs in physical layout order (left column top to bottom, then right column)
+function getMachineIds(roomId = activeRoomId) {
+  const { layout } = getRoom(roomId);
+  return [...layout.left.machines, ...layout.right.machines];
+}
+
+function getLayout(roomId = activeRoomId) {
+  return getRoom(roomId).layout;
+}
+
+function isValidMachineId(machineId, roomId = activeRoomId) {
+  if (!machineId || typeof machineId !== 'string') return false;
+  return getMachineIds(roomId).includes(machineId);
+}
+
+function getMachineType(machineId) {
+  return machineId.slice(0, machineId.lastIndexOf('_'));
+}
+
+function getMachineLabel(machineId) {
+  const type = machineTypes[getMachineType(machineId)];
+  const number = machineId.slice(machineId.lastIndexOf('_') + 1);
+  return type ? `${type.label} ${number}` : machineId;
+}
+
+function getMachineTypeLabel(type) {
+  return machineTypes[type]?.label || type;
+}
+
+// Queues a machine can serve - a combo takes washer and dryer loads
+function getServedTypes(machineId) {
+  const type = getMachineType(machineId);
+  return machineTypes[type]?.serves || [type];
+}
+
+// Default duration from room-config.json, before any manager override
+function getConfiguredDuration(type) {
+  return machineTypes[type] ? machineTypes[type].defaultDuration : 60;
+}
+
+function getDefaultDuration(machineId) {
+  const type = getMachineType(machineId);
+  return durationOverrides[type] ?? getConfiguredDuration(type);
+}
+
+// Managers can change the active room's defaults from the console (settings/durations)
+function setDurationOverrides(overrides) {
+  durationOverrides = Object.fromEntries(
+    Object.entries(overrides || {}).filter(
+      ([type, minutes]) =>
+        machineTypes[type] && Number.isInteger(minutes) && minutes >= 1 && minutes <= 120
+    )
+  );
+}
+
+// Named cycles (Normal, Heavy, Delicates...) with their lengths, in display order
+function getCycles(machineId) {
+  return machineTypes[getMachineType(machineId)]?.cycles || [];
+}
+
+// The cycle the plain Start button runs
+function getDefaultCycle(machineId) {
+  const defaultDuration = getDefaultDuration(machineId);
+  return getCycles(machineId).find((cycle) => cycle.minutes === defaultDuration) || null;
+}
+
+export {
+  isValidRoomId,
+  getActiveRoomId,
+  setActiveRoomId,
+  getRooms,
+  getRoom,
+  getMachineIds,
+  getLayout,
+  isValidMachineId,
+  getMachineType,
+  getMachineLabel,
+  getMachineTypeLabel,
+  getServedTypes,
+  getConfiguredDuration,
+  getDefaultDuration,
+  setDurationOverrides,
+  getCycles,
+  getDefaultCycle,
+};
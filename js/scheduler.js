@@ -0,0 +1,101 @@
+import Clock from './clock.js';
+
+// Countdowns switch from "12 min left" to "4:05 left" below this
+const SECONDS_PRECISION_MS = 5 * 60 * 1000;
+
+// "4:05" for the last five minutes, whole minutes (rounded up) before that
+function formatCountdown(timeRemainingMs) {
+  if (timeRemainingMs < SECONDS_PRECISION_MS) {
+    const totalSeconds = Math.max(0, Math.ceil(timeRemainingMs / 1000));
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${Math.floor(totalSeconds / 60)}:${seconds}`;
+  }
+  return `${Math.ceil(timeRemainingMs / (1000 * 60))} min`;
+}
+
+// One clock for every countdown on the board: callbacks run together on each second
+// boundary (server-corrected), in an animation frame. While the tab is hidden nothing paints;
+// one timeout wakes it for the nearest deadline (a reminder or a load finishing), and showing
+// it again runs one catch-up tick
+class TickScheduler {
+  static callbacks = new Map(); // (now) => void -> () => next deadline while hidden, or null
+  static timeout = null;
+
+  static add(callback, getNextDeadline = null) {
+    this.callbacks.set(callback, getNextDeadline);
+    // A hidden tab may be asleep until a later deadline than this one
+    if (document.hidden) this.stop();
+    this.schedule();
+  }
+
+  static remove(callback) {
+    this.callbacks.delete(callback);
+    if (this.callbacks.size === 0) this.stop();
+  }
+
+  static schedule() {
+    if (this.timeout || this.callbacks.size === 0) return;
+    if (document.hidden) {
+      this.scheduleWake();
+      return;
+    }
+
+    const delay = 1000 - (Clock.now() % 1000);
+    this.timeout = setTimeout(() => {
+      this.timeout = null;
+      // Animation frames never fire in hidden tabs
+      if (document.hidden || typeof requestAnimationFrame !== 'function') {
+        this.tick();
+      } else {
+        requestAnimationFrame(() => this.tick());
+      }
+    }, delay);
+  }
+
+  static scheduleWake() {
+    const deadlines = [...this.callbacks.values()]
+      .map((getNextDeadline) => getNextDeadline?.())
+      .filter((deadline) => typeof deadline === 'number');
+    if (deadlines.length === 0) return;
+
+    const delay = Math.max(0, Math.min(...deadlines) - Clock.now());
+    this.timeout = setTimeout(() => {
+      this.timeout = null;
+      this.tick();
+    }, delay);
+  }
+
+  static tick() {
+    const now = Clock.now();
+    // Copy - a timer that finishes removes itself mid-loop
+    [...this.callbacks.keys()].forEach((callback) => {
+      try {
+        callback(now);
+      } catch (error) {
+        console.error('Timer tick failed:', error);
+      }
+    });
+    this.schedule();
+  }
+
+  static stop() {
+    clearTimeout(this.timeout);
+    this.timeout = null;
+  }
+
+  // Sleep until the next deadline when the tab is hidden; catch up straight away when it
+  // comes back
+  static onVisibilityChange() {
+    this.stop();
+    if (!document.hidden && this.callbacks.size > 0) {
+      this.tick();
+    } else {
+      this.schedule();
+    }
+  }
+}
+
+document.addEventListener('visibilitychange', () => TickScheduler.onVisibilityChange());
+
+export { formatCountdown, SECONDS_PRECISION_MS };
+export default TickScheduler;
@@ -0,0 +1,24 @@
+/**
+ * Self-hosted server backend - the same exports as firebase-auth.js. The server hands out an
+ * anonymous uid when the socket connects and a token that gets the same uid back next time,
+ * kept in localStorage like the Firebase session.
+ */
+import { app } from './server-config.js';
+
+const auth = {
+  get currentUser() {
+    return app.currentUid ? { uid: app.currentUid } : null;
+  },
+};
+
+// Resolves with the uid once connected; before the first connection there isn't one
+function ensureSignedIn() {
+  return app.currentUid ? Promise.resolve(app.currentUid) : app.whenSignedIn();
+}
+
+// Null until the server has welcomed this browser
+function getCurrentUid() {
+  return app.currentUid;
+}
+
+export { auth, ensureSignedIn, getCurrentUid };
@@ -0,0 +1,338 @@
+/**
+ * Self-hosted server backend - the same exports as firebase-config.js, talking to server/ over a
+ * WebSocket (see server/socket.js for the protocol). The server holds the data and applies
+ * database.rules.json; this side keeps the subscribed values and reconnects when dropped.
+ *
+ * Built in with VITE_BACKEND=server (see vite.config.js). Connects to /api/ws on the page's own
+ * host unless VITE_SERVER_URL says otherwise.
+ */
+import {
+  clone,
+  createSnapshot,
+  endAt,
+  generatePushId,
+  limitToLast,
+  orderByChild,
+  orderByKey,
+  orderByValue,
+  query,
+  readPath,
+  ref,
+  serverTimestamp,
+  splitPath,
+  startAt,
+} from './tree.js';
+
+const TOKEN_KEY = 'laundry-server-token';
+
+// Reconnect backoff: 1s, 2s, 4s ... up to 30s between attempts
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+
+// Calls made while (re)connecting wait this long before giving up
+const CONNECT_TIMEOUT_MS = 10 * 1000;
+
+// The SDK gives up on a contended transaction after 25 tries too
+const MAX_TRANSACTION_ATTEMPTS = 25;
+
+const getServerUrl = () => {
+  if (import.meta.env.VITE_SERVER_URL) return import.meta.env.VITE_SERVER_URL;
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${location.host}/api/ws`;
+};
+
+const connection = {
+  socket: null,
+  session: null, // { uid, token } once the server has welcomed us
+  info: { connected: false, serverTimeOffset: 0 },
+  attempts: 0,
+  nextId: 1,
+  requests: new Map(), // id -> { resolve, reject }
+  subscriptions: new Map(), // path -> { value, loaded, listeners: Set }
+  infoListeners: new Set(),
+  waiting: new Set(), // () => void, run once signed in
+};
+
+// firebase-auth.js reads the signed-in user through app, so server-auth.js does too
+const app = {
+  name: 'server',
+  get currentUid() {
+    return connection.session?.uid ?? null;
+  },
+  whenSignedIn: () => whenConnected().then(() => connection.session.uid),
+};
+const database = { app };
+
+function whenConnected() {
+  if (connection.info.connected) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      connection.waiting.delete(ready);
+      reject(new Error('Not connected to the laundry server'));
+    }, CONNECT_TIMEOUT_MS);
+    const ready = () => {
+      clearTimeout(timeout);
+      resolve();
+    };
+    connection.waiting.add(ready);
+  });
+}
+
+function setInfo(changes) {
+  Object.assign(connection.info, changes);
+  connection.infoListeners.forEach((listener) => deliver(listener));
+}
+
+function send(message) {
+  if (connection.socket?.readyState !== WebSocket.OPEN) {
+    throw new Error('Not connected to the laundry server');
+  }
+  connection.socket.send(JSON.stringify(message));
+}
+
+async function request(message) {
+  await whenConnected();
+  const id = connection.nextId++;
+
+  return new Promise((resolve, reject) => {
+    send({ ...message, id });
+    connection.requests.set(id, { resolve, reject });
+  });
+}
+
+const createError = ({ code, message }) => Object.assign(new Error(message), { code });
+
+// Snapshot for a listener: .info lives here, everything else in the subscription cache
+function snapshotOf(target) {
+  const [root, ...keys] = splitPath(target.path);
+  const value =
+    root === '.info'
+      ? readPath(connection.info, keys.join('/'))
+      : connection.subscriptions.get(target.path)?.value;
+  return createSnapshot(target.key, value ?? null, target.constraints || []);
+}
+
+// Like the SDK, listeners only hear about values that actually changed
+function deliver(listener) {
+  const snapshot = snapshotOf(listener);
+  const serialized = JSON.stringify(snapshot.val());
+  if (serialized === listener.last) return;
+  listener.last = serialized;
+  try {
+    listener.callback(snapshot);
+  } catch (error) {
+    console.error('Server database listener failed:', error);
+  }
+}
+
+const handlers = {
+  welcome({ uid, token, now }) {
+    connection.session = { uid, token };
+    connection.attempts = 0;
+    localStorage.setItem(TOKEN_KEY, token);
+
+    // Pick every listener back up after a reconnect
+    connection.subscriptions.forEach((subscription, path) => send({ type: 'subscribe', path }));
+    setInfo({ connected: true, serverTimeOffset: now - Date.now() });
+
+    const waiting = [...connection.waiting];
+    connection.waiting.clear();
+    waiting.forEach((ready) => ready());
+  },
+
+  result({ id, error, ...result }) {
+    const pending = connection.requests.get(id);
+    if (!pending) return;
+    connection.requests.delete(id);
+    if (error) {
+      pending.reject(createError(error));
+    } else {
+      pending.resolve(result);
+    }
+  },
+
+  value({ path, value }) {
+    const subscription = connection.subscriptions.get(path);
+    if (!subscription) return;
+    subscription.value = value;
+    subscription.loaded = true;
+    subscription.listeners.forEach((listener) => deliver(listener));
+  },
+
+  cancel({ path, error }) {
+    const subscription = connection.subscriptions.get(path);
+    if (!subscription) return;
+    connection.subscriptions.delete(path);
+    subscription.listeners.forEach((listener) => listener.cancelCallback?.(createError(error)));
+  },
+};
+
+function connect() {
+  const socket = new WebSocket(getServerUrl());
+  connection.socket = socket;
+
+  socket.addEventListener('open', () => {
+    send({ type: 'hello', token: localStorage.getItem(TOKEN_KEY) });
+  });
+
+  socket.addEventListener('message', (event) => {
+    try {
+      const message = JSON.parse(event.data);
+      handlers[message.type]?.(message);
+    } catch (error) {
+      console.error('Unreadable message from the laundry server:', error);
+    }
+  });
+
+  socket.addEventListener('close', () => {
+    setInfo({ connected: false });
+
+    // Nothing will answer requests sent on the old socket
+    connection.requests.forEach(({ reject }) =>
+      reject(new Error('Connection to the laundry server lost'))
+    );
+    connection.requests.clear();
+
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** connection.attempts, RECONNECT_MAX_MS);
+    connection.attempts += 1;
+    setTimeout(connect, delay);
+  });
+}
+
+async function get(target) {
+  if (splitPath(target.path)[0] === '.info') {
+    return snapshotOf(target);
+  }
+  const { value } = await request({ type: 'get', path: target.path });
+  return createSnapshot(target.key, value ?? null, target.constraints || []);
+}
+
+async function update(target, updates) {
+  await request({
+    type: 'update',
+    updates: Object.fromEntries(
+      Object.entries(updates).map(([path, value]) => [
+        [target.path, path].filter(Boolean).join('/'),
+        value ?? null,
+      ])
+    ),
+  });
+}
+
+async function set(target, value) {
+  await update(ref(database), { [target.path]: value });
+}
+
+async function remove(target) {
+  await set(target, null);
+}
+
+function push(target) {
+  return ref(database, `${target.path}/${generatePushId()}`);
+}
+
+// Optimistic, like the SDK: compute from the last known value, and let the server refuse if
+// someone else got there first - then try again from the value it sends back
+async function runTransaction(target, transactionUpdate) {
+  let { value: current } = await request({ type: 'get', path: target.path });
+
+  for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+    const result = transactionUpdate(clone(current ?? null));
+    if (result === undefined) {
+      return { committed: false, snapshot: createSnapshot(target.key, current ?? null) };
+    }
+
+    const reply = await request({
+      type: 'transaction',
+      path: target.path,
+      expected: current ?? null,
+      value: result,
+    });
+    if (reply.committed) {
+      return { committed: true, snapshot: createSnapshot(target.key, reply.value ?? null) };
+    }
+    current = reply.value;
+  }
+
+  throw Object.assign(new Error('Transaction kept conflicting; giving up'), { code: 'maxretry' });
+}
+
+// One server subscription per path, shared by every listener on it (queries apply here)
+function onValue(target, callback, cancelCallback) {
+  const listener = { ...target, callback, cancelCallback, last: undefined };
+
+  if (splitPath(target.path)[0] === '.info') {
+    connection.infoListeners.add(listener);
+    Promise.resolve().then(() => {
+      if (connection.infoListeners.has(listener)) deliver(listener);
+    });
+    listener.unsubscribe = () => connection.infoListeners.delete(listener);
+    return listener.unsubscribe;
+  }
+
+  let subscription = connection.subscriptions.get(target.path);
+  if (!subscription) {
+    subscription = { value: null, loaded: false, listeners: new Set() };
+    connection.subscriptions.set(target.path, subscription);
+    if (connection.info.connected) send({ type: 'subscribe', path: target.path });
+  }
+  subscription.listeners.add(listener);
+
+  // Already loaded - first value arrives asynchronously, like the SDK's initial load
+  if (subscription.loaded) {
+    Promise.resolve().then(() => {
+      if (subscription.listeners.has(listener)) deliver(listener);
+    });
+  }
+
+  listener.unsubscribe = () => {
+    subscription.listeners.delete(listener);
+    if (
+      subscription.listeners.size === 0 &&
+      connection.subscriptions.get(target.path) === subscription
+    ) {
+      connection.subscriptions.delete(target.path);
+      if (connection.info.connected) send({ type: 'unsubscribe', path: target.path });
+    }
+  };
+  return listener.unsubscribe;
+}
+
+// Accepts the callback or the function onValue returned; without either, detaches the whole path
+function off(target, callback) {
+  const listeners =
+    splitPath(target.path)[0] === '.info'
+      ? [...connection.infoListeners].filter((listener) => listener.path === target.path)
+      : [...(connection.subscriptions.get(target.path)?.listeners || [])];
+
+  listeners
+    .filter(
+      (listener) => !callback || listener.callback === callback || listener.unsubscribe === callback
+    )
+    .forEach((listener) => listener.unsubscribe());
+}
+
+connect();
+
+export {
+  app,
+  database,
+  ref,
+  onValue,
+  off,
+  runTransaction,
+  get,
+  set,
+  update,
+  remove,
+  push,
+  query,
+  orderByChild,
+  orderByKey,
+  orderByValue,
+  startAt,
+  endAt,
+  limitToLast,
+  serverTimestamp,
+};
@@ -0,0 +1,78 @@
+/* eslint-env serviceworker */
+
+/**
+ * App shell service worker
+ * Built into dist/sw.js by the service worker plugin in vite.config.js,
+ * which replaces the placeholders below with the build's file list and hash
+ */
+
+const CACHE_VERSION = 'dev'; // __BUILD_HASH__
+const PRECACHE_URLS = [/* __PRECACHE_URLS__ */];
+const CACHE_NAME = `laundry-shell-${CACHE_VERSION}`;
+
+// Firebase SDK is loaded from gstatic - versioned URLs, safe to cache forever.
+// Builds for another backend never load it (and may not be able to reach gstatic)
+const USES_FIREBASE = true; // __USES_FIREBASE__
+const FIREBASE_SDK_URLS = [
+  'https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js',
+  'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js',
+  'https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) =>
+        cache.addAll([...PRECACHE_URLS, ...(USES_FIREBASE ? FIREBASE_SDK_URLS : [])])
+      )
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop shells from previous builds
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith('laundry-shell-') && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Pages: network first so deploys show up. Offline, the cached copy of the page asked for
+  // (any ?room=), and the board's shell only for pages that were never cached
+  if (request.mode === 'navigate') {
+    // Same as the /admin rewrite in firebase.json
+    const pagePath = url.pathname === '/admin' ? '/admin.html' : url.pathname;
+    event.respondWith(
+      fetch(request).catch(() =>
+        caches
+          .match(pagePath, { ignoreSearch: true })
+          .then((page) => page || caches.match('/index.html'))
+          .then((response) => response || Response.error())
+      )
+    );
+    return;
+  }
+
+  const isShellAsset = url.origin === self.location.origin;
+  const isFirebaseSdk = FIREBASE_SDK_URLS.includes(request.url);
+
+  // Realtime Database traffic and everything else goes straight to the network
+  if (!isShellAsset && !isFirebaseSdk) return;
+
+  event.respondWith(caches.match(request).then((cached) => cached || fetch(request)));
+});
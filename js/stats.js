@@ -0,0 +1,197 @@
+import { getMachineIds, getMachineLabel, getRoom } from './room-config.js';
+
+const STATS_PERIOD_DAYS = 28;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HEAT_LEVELS = 4; // heat-0 (idle) .. heat-4 (busiest)
+
+/**
+ * Usage statistics from the history log
+ * @param {Array} entries - history entries ({ machine_id, started_at, ended_at, duration_minutes })
+ * @param {string[]} machineIds - machines to report on, in display order
+ * @param {number} now - end of the reporting period
+ * @param {number} periodMs - how far back to look
+ */
+function computeStats(entries, machineIds, now, periodMs = STATS_PERIOD_DAYS * DAY_MS) {
+  // A young history shouldn't count the weeks before it existed as idle time
+  const earliestStart = entries.reduce((min, entry) => Math.min(min, entry.started_at), now);
+  const periodStart = Math.max(now - periodMs, earliestStart);
+  const periodLength = Math.max(now - periodStart, 1);
+
+  const machines = machineIds.map((machineId) => {
+    const cycles = entries.filter((entry) => entry.machine_id === machineId);
+    const busyMs = cycles.reduce(
+      (total, entry) =>
+        total +
+        Math.max(0, Math.min(entry.ended_at, now) - Math.max(entry.started_at, periodStart)),
+      0
+    );
+    const totalMinutes = cycles.reduce((total, entry) => total + entry.duration_minutes, 0);
+
+    return {
+      machineId,
+      cycles: cycles.length,
+      utilization: Math.min(1, busyMs / periodLength),
+      averageMinutes: cycles.length > 0 ? Math.round(totalMinutes / cycles.length) : 0,
+    };
+  });
+
+  // Cycle starts by local day of week and hour
+  const busiestHours = DAY_NAMES.map(() => new Array(24).fill(0));
+  entries.forEach((entry) => {
+    const start = new Date(entry.started_at);
+    busiestHours[start.getDay()][start.getHours()]++;
+  });
+
+  let peak = null;
+  busiestHours.forEach((hours, day) => {
+    hours.forEach((count, hour) => {
+      if (count > 0 && (!peak || count > peak.count)) {
+        peak = { day, hour, count };
+      }
+    });
+  });
+
+  return { periodStart, totalCycles: entries.length, machines, busiestHours, peak };
+}
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+class StatsManager {
+  static async open() {
+    const modal = document.getElementById('stats-modal');
+    const content = document.getElementById('stats-content');
+    if (!modal || !content) return;
+
+    const service = window.FirebaseService;
+    document.getElementById('stats-room').textContent = getRoom(service.roomId).name;
+    content.replaceChildren(this.createMessage('Loading usage history...'));
+    modal.classList.add('show');
+
+    try {
+      const now = Date.now();
+      const entries = await service.getHistory(now - STATS_PERIOD_DAYS * DAY_MS);
+      const stats = computeStats(entries, getMachineIds(service.roomId), now);
+      content.replaceChildren(...this.render(stats));
+    } catch (error) {
+      console.error('Failed to load usage history:', error);
+      content.replaceChildren(
+        this.createMessage('Usage history is unavailable offline. Please try again later.')
+      );
+    }
+  }
+
+  static close() {
+    document.getElementById('stats-modal')?.classList.remove('show');
+  }
+
+  static createMessage(text) {
+    const message = document.createElement('p');
+    message.className = 'stats-message';
+    message.textContent = text;
+    return message;
+  }
+
+  static render(stats) {
+    if (stats.totalCycles === 0) {
+      return [this.createMessage('No completed cycles yet. Check back in a few days.')];
+    }
+
+    const since = new Date(stats.periodStart).toLocaleDateString([], {
+      month: 'short',
+      day: 'numeric',
+    });
+    const summary = this.createMessage(`${stats.totalCycles} loads since ${since}.`);
+
+    return [summary, this.renderMachineTable(stats.machines), ...this.renderBusiestHours(stats)];
+  }
+
+  static renderMachineTable(machines) {
+    const table = document.createElement('table');
+    table.className = 'stats-table';
+
+    const headerRow = table.createTHead().insertRow();
+    ['Machine', 'Loads', 'Avg cycle', 'In use'].forEach((heading) => {
+      const th = document.createElement('th');
+      th.textContent = heading;
+      headerRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    machines.forEach((machine) => {
+      const row = body.insertRow();
+      row.insertCell().textContent = getMachineLabel(machine.machineId);
+      row.insertCell().textContent = String(machine.cycles);
+      row.insertCell().textContent = machine.cycles > 0 ? `${machine.averageMinutes} min` : '-';
+
+      const utilizationCell = row.insertCell();
+      const percent = Math.round(machine.utilization * 100);
+      const bar = document.createElement('div');
+      bar.className = 'utilization-bar';
+      const fill = document.createElement('div');
+      fill.className = 'utilization-fill';
+      fill.style.width = `${percent}%`;
+      bar.appendChild(fill);
+      const label = document.createElement('span');
+      label.textContent = `${percent}%`;
+      utilizationCell.append(bar, label);
+    });
+
+    return table;
+  }
+
+  static renderBusiestHours({ busiestHours, peak }) {
+    const heading = document.createElement('h4');
+    heading.textContent = 'Busiest hours';
+
+    const peakText = this.createMessage(
+      peak
+        ? `Busiest: ${DAY_NAMES[peak.day]} ${formatHour(peak.hour)}-${formatHour((peak.hour + 1) % 24)}`
+        : ''
+    );
+
+    const maxCount = Math.max(1, ...busiestHours.flat());
+    const grid = document.createElement('table');
+    grid.className = 'heatmap';
+
+    const headerRow = grid.createTHead().insertRow();
+    headerRow.appendChild(document.createElement('th'));
+    for (let hour = 0; hour < 24; hour++) {
+      const th = document.createElement('th');
+      th.textContent = hour % 6 === 0 ? String(hour) : '';
+      headerRow.appendChild(th);
+    }
+
+    // Week starts on Monday
+    const body = grid.createTBody();
+    [1, 2, 3, 4, 5, 6, 0].forEach((day) => {
+      const row = body.insertRow();
+      const dayCell = document.createElement('th');
+      dayCell.textContent = DAY_NAMES[day];
+      row.appendChild(dayCell);
+
+      busiestHours[day].forEach((count, hour) => {
+        const cell = row.insertCell();
+        const level = count === 0 ? 0 : Math.ceil((count / maxCount) * HEAT_LEVELS);
+        cell.className = `heat-${level}`;
+        cell.title = `${DAY_NAMES[day]} ${formatHour(hour)} - ${count} load${count === 1 ? '' : 's'}`;
+      });
+    });
+
+    return [heading, peakText, grid];
+  }
+}
+
+// Event delegation for the stats view
+document.addEventListener('click', (e) => {
+  const action = e.target.getAttribute('data-action');
+
+  if (action === 'open-stats') {
+    StatsManager.open();
+  } else if (action === 'close-stats') {
+    StatsManager.close();
+  }
+});
+
+export { computeStats };
+export default StatsManager;
@@ -1,18 +1,32 @@
-// Basic timer with pause/resume functionality
+import { getDefaultDuration, getMachineType, isValidMachineId } from './room-config.js';
+import { MAX_TIMER_MINUTES } from './firebase-service.js';
+import ReminderManager from './reminder.js';
+import PipelineManager from './pipeline.js';
+import MaintenanceManager from './maintenance.js';
+import Clock from './clock.js';
+import TickScheduler, { formatCountdown } from './scheduler.js';
+
+// Only touch the DOM when the text actually changed
+const setText = (element, text) => {
+  if (element.textContent !== text) element.textContent = text;
+};
+
+// Basic timer with pause/resume functionality, ticked by the shared TickScheduler
 class SimpleTimer {
   constructor(machineId, endTime) {
     this.machineId = machineId;
     this.endTime = endTime;
     this.isPaused = false;
     this.pausedTimeRemainingMs = 0; // EXACT milliseconds remaining when paused
-    this.interval = setInterval(() => this.tick(), 1000);
+    this.onTick = (now) => this.tick(now);
+    this.getNextDeadline = () => ReminderManager.getNextAlertTime(this.machineId, this.endTime);
+    TickScheduler.add(this.onTick, this.getNextDeadline);
     this.tick(); // Initial update
   }
 
-  tick() {
+  tick(now = Clock.now()) {
     if (this.isPaused) return; // Don't tick when paused
 
-    const now = Date.now();
     const timeRemainingMs = this.endTime - now;
     const timeRemainingMinutes = Math.max(0, Math.ceil(timeRemainingMs / (1000 * 60)));
 
@@ -27,47 +41,58 @@ class SimpleTimer {
       timeRemainingMinutes,
       timeRemainingMs
     );
+    ReminderManager.checkTimer(this.machineId, timeRemainingMs);
   }
 
-  pause() {
-    if (this.isPaused) return;
+  // Optional exact remaining time lets a remote pause override the local clock
+  pause(timeRemainingMs = null) {
+    if (this.isPaused && timeRemainingMs === null) return;
 
-    const now = Date.now();
-    this.pausedTimeRemainingMs = this.endTime - now; // Store EXACT milliseconds
+    const now = Clock.now();
+    this.pausedTimeRemainingMs = timeRemainingMs ?? this.endTime - now; // Store EXACT milliseconds
     this.isPaused = true;
+    TickScheduler.remove(this.onTick);
 
     // Display in minutes for UI
     const displayMinutes = Math.ceil(this.pausedTimeRemainingMs / (1000 * 60));
-    TimerManager.updateMachineDisplayOnly(this.machineId, 'paused', displayMinutes);
+    TimerManager.updateMachineDisplayOnly(
+      this.machineId,
+      'paused',
+      displayMinutes,
+      this.pausedTimeRemainingMs
+    );
   }
 
   resume() {
     if (!this.isPaused) return;
 
     // Restart timer with EXACT remaining time
-    const now = Date.now();
+    const now = Clock.now();
     this.endTime = now + this.pausedTimeRemainingMs; // Use exact milliseconds
     this.isPaused = false;
+    TickScheduler.add(this.onTick, this.getNextDeadline);
 
     // Immediate tick to update display
     this.tick();
   }
 
   expire() {
-    clearInterval(this.interval);
+    TickScheduler.remove(this.onTick);
     TimerManager.updateMachineDisplayOnly(this.machineId, 'available', 0, 0);
     TimerManager.timers.delete(this.machineId);
+    ReminderManager.notifyFinished(this.machineId);
+    PipelineManager.onMachineFinished(this.machineId);
   }
 
   stop() {
-    clearInterval(this.interval);
+    TickScheduler.remove(this.onTick);
   }
 
   getTimeRemaining() {
     if (this.isPaused) {
       return Math.ceil(this.pausedTimeRemainingMs / (1000 * 60));
     }
-    const now = Date.now();
+    const now = Clock.now();
     const timeRemainingMs = this.endTime - now;
     return Math.max(0, Math.ceil(timeRemainingMs / (1000 * 60)));
   }
@@ -75,16 +100,32 @@ class SimpleTimer {
 
 export default class TimerManager {
   static timers = new Map(); // Timer instances
+  static pendingSync = new Set(); // Machines showing an optimistic offline action
+  static ownership = new Map(); // machineId -> { ownedByMe, canTakeOver } from the latest snapshot
+  static reservations = new Map(); // machineId -> { until, timeout } for machines held for the queue
+  static cycleNames = new Map(); // machineId -> named cycle of the running load ("Heavy")
+  static issues = new Map(); // machineId -> issue category of an out-of-order machine
 
-  static formatTime(minutes) {
+  static layouts = new Map(); // machineId -> layout key of what the card currently shows
+
+  // "12 min left", or "4:05 left" once the exact time is known and under five minutes
+  static formatTime(minutes, timeRemainingMs = null) {
     if (minutes <= 0) return 'Available';
-    if (minutes === 1) return '1 min left';
+    if (timeRemainingMs !== null) return `${formatCountdown(timeRemainingMs)} left`;
     return `${minutes} min left`;
   }
 
+  // "Heavy — 42 min left" when the load was started with a named cycle
+  static formatCycleTime(machineId, minutes, timeRemainingMs = null) {
+    const cycleName = this.cycleNames.get(machineId);
+    const time = this.formatTime(minutes, timeRemainingMs);
+    return cycleName && minutes > 0 ? `${cycleName} — ${time}` : time;
+  }
+
   // Start a timer with end time
   static startTimer(machineId, endTime) {
     this.stopTimer(machineId);
+    this.clearReservation(machineId);
     const timer = new SimpleTimer(machineId, endTime);
     this.timers.set(machineId, timer);
   }
@@ -112,7 +153,60 @@ export default class TimerManager {
     }
   }
 
-  // Display-only update method (no timer management)
+  // Show a timer paused by any client, creating it if this tab never saw it running
+  static showPausedTimer(machineId, timeRemainingMs) {
+    let timer = this.timers.get(machineId);
+    if (!timer) {
+      timer = new SimpleTimer(machineId, Clock.now() + timeRemainingMs);
+      this.timers.set(machineId, timer);
+    }
+    timer.pause(timeRemainingMs);
+  }
+
+  // Machine held for the head of the queue - flips back to available when the hold lapses
+  static showReservedMachine(machineId, reservedUntil) {
+    const timer = this.timers.get(machineId);
+    if (timer) {
+      timer.stop();
+      this.timers.delete(machineId);
+    }
+
+    this.clearReservation(machineId);
+    const timeout = setTimeout(
+      () => {
+        this.reservations.delete(machineId);
+        this.ownership.delete(machineId);
+        this.updateMachineDisplayOnly(machineId, 'available', 0, 0);
+      },
+      Math.max(0, reservedUntil - Clock.now())
+    );
+    this.reservations.set(machineId, { until: reservedUntil, timeout });
+    this.updateMachineDisplayOnly(machineId, 'reserved', 0);
+  }
+
+  static clearReservation(machineId) {
+    const reservation = this.reservations.get(machineId);
+    if (reservation) {
+      clearTimeout(reservation.timeout);
+      this.reservations.delete(machineId);
+    }
+  }
+
+  // Broken machine - no timer, start buttons disabled until a manager clears it
+  static showOutOfOrder(machineId, issueCategory) {
+    const timer = this.timers.get(machineId);
+    if (timer) {
+      timer.stop();
+      this.timers.delete(machineId);
+    }
+
+    this.issues.set(machineId, issueCategory);
+    this.updateMachineDisplayOnly(machineId, 'out_of_order', 0);
+  }
+
+  // Display-only update method (no timer management). The card's buttons and status lines
+  // are only rebuilt when what they show changes (status, ownership, role...); a plain tick
+  // just patches the countdown text, so buttons are not swapped out under the user's finger.
   static updateMachineDisplayOnly(machineId, status, timeRemaining, timeRemainingMs = null) {
     const card = document.getElementById(`machine-${machineId}`);
     if (!card) {
@@ -129,83 +223,194 @@ export default class TimerManager {
       return;
     }
 
-    // Update card state class
-    card.className = `machine-card ${status}`;
+    // Card state class, keeping the machine type class from the room config
+    const classes = [`machine-card ${getMachineType(machineId)}-card ${status}`];
+    if (this.pendingSync.has(machineId)) classes.push('pending-sync');
+    if (status === 'active' && timeRemainingMs && timeRemainingMs <= 60000) {
+      classes.push('almost-done'); // Last minute
+    }
+    const className = classes.join(' ');
+    if (card.className !== className) card.className = className;
+
+    // Start buttons stay visible on a broken machine, so it's clear why they don't work
+    actionButtons.querySelectorAll('button').forEach((button) => {
+      button.disabled = status === 'out_of_order';
+    });
+
+    // Wash + dry: when the whole thing should be done
+    const timer = this.timers.get(machineId);
+    const finishAt =
+      status === 'active' && timer ? PipelineManager.getFinishAt(machineId, timer.endTime) : null;
+
+    const { ownedByMe, canTakeOver } = this.getOwnership(machineId);
+    const layout = [
+      status,
+      ownedByMe,
+      canTakeOver,
+      Boolean(finishAt),
+      status === 'reserved' ? this.reservations.get(machineId)?.until : '',
+      status === 'out_of_order'
+        ? `${this.issues.get(machineId)}|${MaintenanceManager.isManager}`
+        : '',
+    ].join('|');
+
+    if (this.layouts.get(machineId) !== layout) {
+      this.layouts.set(machineId, layout);
+      this.renderStatus(machineId, status, {
+        actionButtons,
+        runningStatus,
+        ownedByMe,
+        canTakeOver,
+        finishAt,
+      });
+    }
+
+    setText(timerDisplay, this.getDisplayText(machineId, status, timeRemaining, timeRemainingMs));
+
+    const pipelineText = runningStatus.querySelector('.pipeline-text');
+    if (pipelineText && finishAt) {
+      const time = new Date(finishAt).toLocaleTimeString([], {
+        hour: 'numeric',
+        minute: '2-digit',
+      });
+      setText(pipelineText, `Wash + dry done ~${time}`);
+    }
+  }
+
+  static getDisplayText(machineId, status, timeRemaining, timeRemainingMs) {
+    if (status === 'active' || status === 'paused') {
+      return this.formatCycleTime(machineId, timeRemaining, timeRemainingMs);
+    }
+    if (status === 'reserved') return 'Reserved';
+    if (status === 'out_of_order') return 'Out of order';
+    return 'Available';
+  }
+
+  // Buttons and status lines for the card's current layout - the countdown is patched in after
+  static renderStatus(
+    machineId,
+    status,
+    { actionButtons, runningStatus, ownedByMe, canTakeOver, finishAt }
+  ) {
+    runningStatus.textContent = '';
 
     if (status === 'active') {
-      timerDisplay.textContent = this.formatTime(timeRemaining);
       actionButtons.style.display = 'none';
       runningStatus.style.display = 'block';
 
-      // Create running status with DOM APIs
-      runningStatus.textContent = '';
-
       const runningText = document.createElement('div');
       runningText.className = 'running-text';
-      runningText.textContent = 'Running...';
+      runningText.textContent = ownedByMe ? 'Running...' : 'In use';
       runningStatus.appendChild(runningText);
 
+      // Filled in by updateMachineDisplayOnly every tick
+      if (finishAt) {
+        const pipelineText = document.createElement('div');
+        pipelineText.className = 'pipeline-text';
+        runningStatus.appendChild(pipelineText);
+      }
+
       const controlButtons = document.createElement('div');
       controlButtons.className = 'control-buttons';
 
-      const pauseBtn = document.createElement('button');
-      pauseBtn.className = 'btn btn-small btn-warning pause-timer';
-      pauseBtn.setAttribute('data-machine', machineId);
-      pauseBtn.textContent = 'Pause';
-      controlButtons.appendChild(pauseBtn);
-
-      const stopBtn = document.createElement('button');
-      stopBtn.className = 'btn btn-small btn-danger stop-timer';
-      stopBtn.setAttribute('data-machine', machineId);
-      stopBtn.textContent = 'Stop';
-      controlButtons.appendChild(stopBtn);
+      // Only the device that started the timer gets Pause/Stop
+      if (ownedByMe) {
+        controlButtons.appendChild(
+          this.createControlButton(machineId, 'btn-warning pause-timer', 'Pause')
+        );
+        controlButtons.appendChild(
+          this.createControlButton(machineId, 'btn-secondary extend-timer', '+ Time')
+        );
+        controlButtons.appendChild(
+          this.createControlButton(machineId, 'btn-danger stop-timer', 'Stop')
+        );
+      } else if (canTakeOver) {
+        controlButtons.appendChild(
+          this.createControlButton(machineId, 'btn-secondary takeover-timer', 'Take over')
+        );
+      }
 
       runningStatus.appendChild(controlButtons);
-
-      // Visual urgency indicators
-      if (timeRemainingMs && timeRemainingMs <= 60000) {
-        // Last minute
-        card.classList.add('almost-done');
-      } else {
-        card.classList.remove('almost-done');
-      }
     } else if (status === 'paused') {
-      timerDisplay.textContent = this.formatTime(timeRemaining);
       actionButtons.style.display = 'none';
       runningStatus.style.display = 'block';
 
-      runningStatus.textContent = '';
-
       const pausedText = document.createElement('div');
       pausedText.className = 'paused-text';
-      pausedText.textContent = 'Paused';
+      pausedText.textContent = ownedByMe ? 'Paused' : 'Paused by another resident';
       runningStatus.appendChild(pausedText);
 
       const controlButtons = document.createElement('div');
       controlButtons.className = 'control-buttons';
 
-      const resumeBtn = document.createElement('button');
-      resumeBtn.className = 'btn btn-small btn-success resume-timer';
-      resumeBtn.setAttribute('data-machine', machineId);
-      resumeBtn.textContent = 'Resume';
-      controlButtons.appendChild(resumeBtn);
-
-      const stopBtn = document.createElement('button');
-      stopBtn.className = 'btn btn-small btn-danger stop-timer';
-      stopBtn.setAttribute('data-machine', machineId);
-      stopBtn.textContent = 'Stop';
-      controlButtons.appendChild(stopBtn);
+      if (ownedByMe) {
+        controlButtons.appendChild(
+          this.createControlButton(machineId, 'btn-success resume-timer', 'Resume')
+        );
+        controlButtons.appendChild(
+          this.createControlButton(machineId, 'btn-danger stop-timer', 'Stop')
+        );
+      } else if (canTakeOver) {
+        // Paused long enough to count as abandoned
+        controlButtons.appendChild(
+          this.createControlButton(machineId, 'btn-secondary takeover-timer', 'Take over')
+        );
+      }
 
       runningStatus.appendChild(controlButtons);
-      card.classList.add('paused');
+    } else if (status === 'reserved') {
+      const reservation = this.reservations.get(machineId);
+      const until = reservation
+        ? new Date(reservation.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : '';
+
+      runningStatus.style.display = 'block';
+
+      const reservedText = document.createElement('div');
+      reservedText.className = 'reserved-text';
+      reservedText.textContent = ownedByMe
+        ? `Held for you until ${until}`
+        : `Held for another resident until ${until}`;
+      runningStatus.appendChild(reservedText);
+
+      // Only the resident it is held for can start a load
+      actionButtons.style.display = ownedByMe ? 'flex' : 'none';
+    } else if (status === 'out_of_order') {
+      actionButtons.style.display = 'flex';
+      runningStatus.style.display = 'block';
+
+      const issueText = document.createElement('div');
+      issueText.className = 'out-of-order-text';
+      issueText.textContent = `Reported: ${MaintenanceManager.getIssueLabel(this.issues.get(machineId))}`;
+      runningStatus.appendChild(issueText);
+
+      if (MaintenanceManager.isManager) {
+        const controlButtons = document.createElement('div');
+        controlButtons.className = 'control-buttons';
+        controlButtons.appendChild(
+          this.createControlButton(machineId, 'btn-success clear-out-of-order', 'Back in service')
+        );
+        runningStatus.appendChild(controlButtons);
+      }
     } else {
-      timerDisplay.textContent = 'Available';
       actionButtons.style.display = 'flex';
       runningStatus.style.display = 'none';
-      card.classList.remove('almost-done', 'paused');
     }
   }
 
+  static createControlButton(machineId, classes, label) {
+    const button = document.createElement('button');
+    button.className = `btn btn-small ${classes}`;
+    button.setAttribute('data-machine', machineId);
+    button.textContent = label;
+    return button;
+  }
+
+  // Machines this tab started locally (before any snapshot) count as ours
+  static getOwnership(machineId) {
+    return this.ownership.get(machineId) || { ownedByMe: true, canTakeOver: false };
+  }
+
   static updateAllMachines(machines) {
     if (!Array.isArray(machines)) {
       console.error('Invalid machines data:', machines);
@@ -215,14 +420,47 @@ export default class TimerManager {
     machines.forEach((machine) => {
       if (!machine?.machine_id) return;
 
+      // Keep the optimistic state until the queued action has been replayed
+      if (this.pendingSync.has(machine.machine_id)) return;
+
+      if (machine.status !== 'reserved') {
+        this.clearReservation(machine.machine_id);
+      }
+
+      if (machine.cycle_name && (machine.status === 'active' || machine.status === 'paused')) {
+        this.cycleNames.set(machine.machine_id, machine.cycle_name);
+      } else {
+        this.cycleNames.delete(machine.machine_id);
+      }
+
+      if (machine.status === 'available') {
+        this.ownership.delete(machine.machine_id);
+      } else {
+        this.ownership.set(machine.machine_id, {
+          ownedByMe: machine.owned_by_me !== false,
+          canTakeOver: Boolean(machine.can_take_over),
+        });
+      }
+
       if (machine.status === 'active' && machine.server_end_time) {
-        // Start timer if none exists
-        if (!this.timers.has(machine.machine_id)) {
+        // Start timer if none exists, or (re)start it when resumed elsewhere
+        const timer = this.timers.get(machine.machine_id);
+        if (!timer || timer.isPaused || timer.endTime !== machine.server_end_time) {
           this.startTimer(machine.machine_id, machine.server_end_time);
         }
+        ReminderManager.updateEndTime(machine.machine_id, machine.server_end_time);
+      } else if (machine.status === 'paused') {
+        this.showPausedTimer(machine.machine_id, machine.time_remaining_ms);
+      } else if (machine.status === 'reserved') {
+        this.showReservedMachine(machine.machine_id, machine.reserved_until);
+        ReminderManager.notifyIfFinishedElsewhere(machine.machine_id);
+      } else if (machine.status === 'out_of_order') {
+        this.showOutOfOrder(machine.machine_id, machine.issue_category);
+        ReminderManager.releaseMachine(machine.machine_id);
       } else {
         // Stop timer for non-active machines
         this.stopTimer(machine.machine_id);
+        ReminderManager.notifyIfFinishedElsewhere(machine.machine_id);
       }
     });
   }
@@ -231,6 +469,35 @@ export default class TimerManager {
     // No longer needed - last updated handled by main app updateLastUpdatedTime
   }
 
+  // "Pending sync" badge for actions queued while offline
+  static setPendingSync(machineId, pending) {
+    if (pending) {
+      this.pendingSync.add(machineId);
+    } else {
+      this.pendingSync.delete(machineId);
+    }
+
+    const card = document.getElementById(`machine-${machineId}`);
+    if (!card) return;
+
+    card.classList.toggle('pending-sync', pending);
+    let badge = card.querySelector('.pending-sync-badge');
+    if (pending && !badge) {
+      badge = document.createElement('div');
+      badge.className = 'pending-sync-badge';
+      badge.textContent = 'Pending sync';
+      card.appendChild(badge);
+    } else if (!pending && badge) {
+      badge.remove();
+    }
+  }
+
+  static clearPendingSync() {
+    for (const machineId of [...this.pendingSync]) {
+      this.setPendingSync(machineId, false);
+    }
+  }
+
   static showLoadingState(machineId) {
     const card = document.getElementById(`machine-${machineId}`);
     if (card) {
@@ -246,17 +513,16 @@ export default class TimerManager {
   }
 
   static getStandardDuration(machineId) {
-    return machineId.startsWith('washer') ? 29 : 60;
+    return getDefaultDuration(machineId);
   }
 
   static validateMachineId(machineId) {
-    const pattern = /^(washer|dryer)_[1-4]$/;
-    return pattern.test(machineId);
+    return isValidMachineId(machineId);
   }
 
   static validateDuration(minutes) {
     const duration = parseInt(minutes);
-    return !isNaN(duration) && duration >= 1 && duration <= 120;
+    return !isNaN(duration) && duration >= 1 && duration <= MAX_TIMER_MINUTES;
   }
 
   static cleanupAllTimers() {
@@ -264,5 +530,13 @@ export default class TimerManager {
       timer.stop();
     }
     this.timers.clear();
+    this.layouts.clear();
+    this.ownership.clear();
+    this.cycleNames.clear();
+    this.issues.clear();
+    for (const reservation of this.reservations.values()) {
+      clearTimeout(reservation.timeout);
+    }
+    this.reservations.clear();
   }
 }
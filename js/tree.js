@@ -0,0 +1,187 @@
+/**
+ * JSON tree helpers shared by the backends that stand in for the Firebase SDK (local-config.js,
+ * server-config.js, and the self-hosted server in server/): paths, server timestamps, push IDs,
+ * queries and snapshots, all with the Realtime Database's semantics as far as
+ * firebase-service.js relies on them.
+ */
+
+// Push IDs sort by creation time, like the SDK's
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+let lastPushTime = 0;
+let lastPushRandom = [];
+
+const splitPath = (path) =>
+  String(path || '')
+    .split('/')
+    .filter(Boolean);
+const clone = (value) => (value === null || value === undefined ? null : structuredClone(value));
+const compareKeys = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const isServerTimestamp = (value) =>
+  Boolean(value) && typeof value === 'object' && value['.sv'] === 'timestamp';
+
+// Stored form of a value: server timestamps resolved, nulls and empty objects removed
+function normalize(value, now) {
+  if (value === null || value === undefined) return null;
+  if (isServerTimestamp(value)) return now;
+  if (typeof value !== 'object') return value;
+
+  const entries = Object.entries(value)
+    .map(([key, child]) => [key, normalize(child, now)])
+    .filter(([, child]) => child !== null);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+function readPath(tree, path) {
+  let node = tree;
+  for (const key of splitPath(path)) {
+    if (!node || typeof node !== 'object') return null;
+    node = node[key];
+  }
+  return node ?? null;
+}
+
+function writeAt(node, keys, value) {
+  if (keys.length === 0) return value;
+
+  const next = { ...(node && typeof node === 'object' ? node : {}) };
+  const [key, ...rest] = keys;
+  const child = writeAt(next[key], rest, value);
+  if (child === null) {
+    delete next[key];
+  } else {
+    next[key] = child;
+  }
+  return Object.keys(next).length > 0 ? next : null;
+}
+
+// New tree with an already normalized value at path; branches left empty are removed
+function writePath(tree, path, value) {
+  return writeAt(tree, splitPath(path), value);
+}
+
+// Order-insensitive comparison of two stored values
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => isEqual(a[key], b[key]));
+}
+
+// Children in query order: by key unless orderByChild/orderByValue, then startAt/endAt/limit
+function orderedChildren(value, constraints = []) {
+  if (!value || typeof value !== 'object') return [];
+
+  let entries = Object.entries(value).sort(([a], [b]) => compareKeys(a, b));
+  const order = constraints.find((constraint) => constraint.type.startsWith('orderBy'));
+  const sortValue = ([key, child]) => {
+    if (order?.type === 'orderByChild') return child?.[order.child] ?? null;
+    if (order?.type === 'orderByValue') return child;
+    return key;
+  };
+
+  if (order && order.type !== 'orderByKey') {
+    entries = entries.sort((a, b) => {
+      const [valueA, valueB] = [sortValue(a), sortValue(b)];
+      if (valueA === valueB) return compareKeys(a[0], b[0]);
+      if (valueA === null) return -1;
+      if (valueB === null) return 1;
+      return valueA < valueB ? -1 : 1;
+    });
+  }
+
+  constraints.forEach((constraint) => {
+    if (constraint.type === 'startAt') {
+      entries = entries.filter((entry) => sortValue(entry) >= constraint.value);
+    } else if (constraint.type === 'endAt') {
+      entries = entries.filter((entry) => sortValue(entry) <= constraint.value);
+    } else if (constraint.type === 'limitToLast') {
+      entries = entries.slice(-constraint.limit);
+    }
+  });
+  return entries;
+}
+
+// Same surface as the SDK's DataSnapshot, as far as the app uses it
+function createSnapshot(key, value, constraints = []) {
+  const entries = constraints.length > 0 ? orderedChildren(value, constraints) : null;
+  const visible = entries ? (entries.length > 0 ? Object.fromEntries(entries) : null) : value;
+
+  return {
+    key,
+    val: () => clone(visible),
+    exists: () => visible !== null,
+    forEach(callback) {
+      for (const [childKey, child] of entries || orderedChildren(value)) {
+        if (callback(createSnapshot(childKey, child)) === true) return true;
+      }
+      return false;
+    },
+  };
+}
+
+// Timestamp prefix, then random characters incremented within the same millisecond
+function generatePushId() {
+  const now = Date.now();
+  if (now === lastPushTime) {
+    let index = lastPushRandom.length - 1;
+    while (index >= 0 && lastPushRandom[index] === PUSH_CHARS.length - 1) {
+      lastPushRandom[index] = 0;
+      index -= 1;
+    }
+    lastPushRandom[index] += 1;
+  } else {
+    lastPushRandom = Array.from({ length: 12 }, () =>
+      Math.floor(Math.random() * PUSH_CHARS.length)
+    );
+  }
+  lastPushTime = now;
+
+  let time = now;
+  let prefix = '';
+  for (let i = 0; i < 8; i++) {
+    prefix = PUSH_CHARS.charAt(time % PUSH_CHARS.length) + prefix;
+    time = Math.floor(time / PUSH_CHARS.length);
+  }
+  return prefix + lastPushRandom.map((index) => PUSH_CHARS.charAt(index)).join('');
+}
+
+// References and queries are plain { path, key, constraints } objects
+function ref(db, path = '') {
+  const keys = splitPath(path);
+  return { path: keys.join('/'), key: keys.length > 0 ? keys[keys.length - 1] : null };
+}
+
+function query(target, ...constraints) {
+  return { ...target, constraints: [...(target.constraints || []), ...constraints] };
+}
+
+const orderByChild = (child) => ({ type: 'orderByChild', child });
+const orderByKey = () => ({ type: 'orderByKey' });
+const orderByValue = () => ({ type: 'orderByValue' });
+const startAt = (value) => ({ type: 'startAt', value });
+const endAt = (value) => ({ type: 'endAt', value });
+const limitToLast = (limit) => ({ type: 'limitToLast', limit });
+const serverTimestamp = () => ({ '.sv': 'timestamp' });
+
+export {
+  splitPath,
+  clone,
+  normalize,
+  readPath,
+  writePath,
+  isEqual,
+  createSnapshot,
+  generatePushId,
+  ref,
+  query,
+  orderByChild,
+  orderByKey,
+  orderByValue,
+  startAt,
+  endAt,
+  limitToLast,
+  serverTimestamp,
+};
@@ -0,0 +1,116 @@
+// Rewrites the room/machine ID, queue type, machine type and wash + dry hold validation in database.rules.json from room-config.json,
+// and writes functions/room-config.json for the expiry function (deployed on its own, without the app).
+// Security rules cannot import the config, so run this after editing rooms:
+//   npm run rules:sync
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const rulesPath = path.join(root, 'database.rules.json');
+const functionsConfigPath = path.join(root, 'functions', 'room-config.json');
+const roomConfig = JSON.parse(fs.readFileSync(path.join(root, 'room-config.json'), 'utf8'));
+
+const numberPattern = (count) => {
+  if (count === 1) return '1';
+  if (count <= 9) return `[1-${count}]`;
+  return `(${Array.from({ length: count }, (_, index) => index + 1).join('|')})`;
+};
+
+// Each room only accepts its own machines, e.g. washer_6 exists in one room but not another
+const roomRules = Object.entries(roomConfig.rooms).map(([roomId, room]) => {
+  const alternatives = Object.entries(room.machines).map(
+    ([type, count]) => `${type}_${numberPattern(count)}`
+  );
+  return `($roomId === '${roomId}' && $machineId.matches(/^(${alternatives.join('|')})$/))`;
+});
+const machineIdRule = roomRules.length === 1 ? roomRules[0] : `(${roomRules.join(' || ')})`;
+
+// One queue per type a machine can serve - a combo joins the washer and dryer queues
+const queueTypes = new Set();
+Object.values(roomConfig.rooms).forEach((room) => {
+  Object.keys(room.machines).forEach((type) => {
+    (roomConfig.machineTypes[type]?.serves || [type]).forEach((served) => queueTypes.add(served));
+  });
+});
+const queueTypeRule = `$queueType.matches(/^(${[...queueTypes].join('|')})$/)`;
+
+// Settings are per machine type (settings/durations/{type}); the rest of that rule is kept
+const machineTypeRule = `$machineType.matches(/^(${Object.keys(roomConfig.machineTypes).join('|')})$/)`;
+const machineTypePattern = /\$machineType\.matches\(\/\^\([^)]*\)\$\/\)/;
+
+// A wash + dry hold names the load it follows on from: the writer's own, past its end time, with
+// a next_type this machine serves, and ended in the same update with pipeline_to naming this
+// machine - so one load can only ever hold one machine
+const fromMachine = (child) =>
+  `root.child('rooms/' + $roomId + '/machines/' + newData.val() + '/${child}').val()`;
+const servedRules = Object.entries(roomConfig.machineTypes).map(
+  ([type, machineType]) =>
+    `($machineId.beginsWith('${type}_') && ${fromMachine('next_type')}.matches(/^(${(machineType.serves || [type]).join('|')})$/))`
+);
+const pipelineFromRule = [
+  'newData.isString()',
+  'newData.val().length <= 32',
+  `${fromMachine('status')} === 'active'`,
+  `${fromMachine('owner_uid')} === auth.uid`,
+  `${fromMachine('end_time')} <= now`,
+  "newData.parent().parent().child(newData.val()).child('pipeline_to').val() === $machineId",
+  `(${servedRules.join(' || ')})`,
+].join(' && ');
+
+// Replace the validation on every $machineId / $queueType / $machineType node, wherever it sits
+let replaced = 0;
+const visit = (node) => {
+  for (const [key, child] of Object.entries(node)) {
+    if (!child || typeof child !== 'object') continue;
+    if (key === '$machineId' && typeof child['.validate'] === 'string') {
+      child['.validate'] = machineIdRule;
+      replaced++;
+    } else if (key === '$queueType' && typeof child['.validate'] === 'string') {
+      child['.validate'] = queueTypeRule;
+    } else if (key === 'pipeline_from' && typeof child['.validate'] === 'string') {
+      child['.validate'] = pipelineFromRule;
+    } else if (key === '$machineType' && typeof child['.validate'] === 'string') {
+      child['.validate'] = child['.validate'].replace(machineTypePattern, machineTypeRule);
+    }
+    visit(child);
+  }
+};
+
+const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+visit(rules);
+
+if (replaced === 0) {
+  console.error('No $machineId validation found in database.rules.json');
+  process.exit(1);
+}
+
+fs.writeFileSync(rulesPath, `${JSON.stringify(rules, null, 2)}\n`);
+
+// The functions only need each room's machine IDs, which queues a machine type serves, the
+// room the API answers for when none is asked for and the rooms it may show without a key
+const functionsConfig = {
+  defaultRoom: roomConfig.defaultRoom,
+  publicApiRooms: Object.keys(roomConfig.rooms).filter(
+    (roomId) => roomConfig.rooms[roomId].publicApi === true
+  ),
+  rooms: Object.fromEntries(
+    Object.entries(roomConfig.rooms).map(([roomId, room]) => [
+      roomId,
+      Object.entries(room.machines).flatMap(([type, count]) =>
+        Array.from({ length: count }, (_, index) => `${type}_${index + 1}`)
+      ),
+    ])
+  ),
+  serves: Object.fromEntries(
+    Object.entries(roomConfig.machineTypes).map(([type, machineType]) => [
+      type,
+      machineType.serves || [type],
+    ])
+  ),
+};
+fs.writeFileSync(functionsConfigPath, `${JSON.stringify(functionsConfig, null, 2)}\n`);
+
+console.log(`Updated ${replaced} machine ID rule(s): ${machineIdRule}`);
+console.log(`Queue types: ${queueTypeRule}`);
+console.log(`Machine types: ${machineTypeRule}`);
+console.log(`Wrote ${path.relative(root, functionsConfigPath)}`);
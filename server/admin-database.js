@@ -0,0 +1,38 @@
+// The store behind the slice of firebase-admin's namespaced API that functions/ uses (ref, once,
+// set, update, push, transaction), with admin access - so the server can run functions/api.js
+// as it is. The store is synchronous, so a transaction never has to retry.
+import { ADMIN } from './store.js';
+import { generatePushId, splitPath } from '../js/tree.js';
+
+const createSnapshot = (value) => ({
+  val: () => value,
+  exists: () => value !== null,
+});
+
+function createAdminDatabase(store) {
+  const ref = (path = '') => ({
+    key: splitPath(path).at(-1) ?? null,
+    once: async () => createSnapshot(store.read(path)),
+    set: async (value) => store.write({ [path]: value }, ADMIN),
+    update: async (updates) =>
+      store.write(
+        Object.fromEntries(
+          Object.entries(updates).map(([child, value]) => [`${path}/${child}`, value])
+        ),
+        ADMIN
+      ),
+    push: () => ref(`${path}/${generatePushId()}`),
+    // undefined from the update function aborts, as in the SDK
+    transaction: async (updateFunction) => {
+      const next = updateFunction(store.read(path));
+      if (next !== undefined) {
+        store.write({ [path]: next }, ADMIN);
+      }
+      return { committed: next !== undefined, snapshot: createSnapshot(store.read(path)) };
+    },
+  });
+
+  return { ref };
+}
+
+export default createAdminDatabase;
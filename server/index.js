@@ -0,0 +1,170 @@
+// Self-hosted backend for buildings that can't use Firebase. Serves the built board from dist/
+// and the database over a WebSocket at /api/ws, on one port (3000 unless PORT is set):
+//
+//   VITE_BACKEND=server npm run build
+//   npm run server
+//
+// During development `VITE_BACKEND=server npm run dev` proxies /api here instead. The REST API
+// in functions/api.js is served under /api/machines as well, behind LAUNDRY_API_KEY,
+// and machine changes go out to each room's webhooks as the Cloud Function would send them.
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { dirname, extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { handleApiRequest } from '../functions/api.js';
+import createAdminDatabase from './admin-database.js';
+import Rules from './rules.js';
+import Store from './store.js';
+import attachSocketServer from './socket.js';
+import watchMachines from './webhooks.js';
+
+const ROOT_DIR = dirname(dirname(fileURLToPath(import.meta.url)));
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+};
+
+// Largest JSON body the REST API accepts
+const MAX_API_BODY_BYTES = 16 * 1024;
+
+// Other tools in the building call the REST API from their own pages, like the Cloud Function
+// with cors: true
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+async function readJsonBody(req) {
+  let text = '';
+  for await (const chunk of req) {
+    text += chunk;
+    if (text.length > MAX_API_BODY_BYTES) throw new Error('Request body too large');
+  }
+  return text ? JSON.parse(text) : null;
+}
+
+// /api/machines... through the same handler as the Cloud Function
+async function serveApi(req, res, db, apiKey) {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    sendJson(
+      res,
+      400,
+      { error: { code: 'invalid-argument', message: 'Body must be JSON' } },
+      CORS_HEADERS
+    );
+    return;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const result = await handleApiRequest(
+    db,
+    {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      body,
+      authorization: req.headers.authorization,
+    },
+    { apiKey }
+  );
+  sendJson(res, result.status, result.body, CORS_HEADERS);
+}
+
+// The board's files, with the same /admin rewrite as firebase.json. Unknown paths without an
+// extension get index.html so ?room= links and reloads work
+async function serveStatic(req, res, staticDir) {
+  try {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    let filePath = pathname === '/admin' ? '/admin.html' : decodeURIComponent(pathname);
+    if (!extname(filePath)) filePath = '/index.html';
+
+    const fullPath = normalize(join(staticDir, filePath));
+    if (!fullPath.startsWith(staticDir + sep)) {
+      throw new Error(`Outside ${staticDir}: ${filePath}`);
+    }
+
+    const body = await readFile(fullPath);
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[extname(fullPath)] || 'application/octet-stream',
+    });
+    res.end(body);
+  } catch (error) {
+    sendJson(res, 404, { error: 'Not found' });
+  }
+}
+
+// dataFile: null keeps the data in memory (tests). apiKey: null closes the REST API.
+// allowPrivateWebhooks sends webhooks to http and local addresses too (tests)
+function createLaundryServer({
+  dataFile = join(ROOT_DIR, 'server', 'data.json'),
+  rulesFile = join(ROOT_DIR, 'database.rules.json'),
+  staticDir = join(ROOT_DIR, 'dist'),
+  apiKey = null,
+  allowPrivateWebhooks = false,
+} = {}) {
+  const rules = new Rules(JSON.parse(readFileSync(rulesFile, 'utf8')));
+  const store = new Store({ file: dataFile, rules });
+  const adminDatabase = createAdminDatabase(store);
+  const root = resolve(staticDir);
+
+  const server = createServer((req, res) => {
+    if (req.url === '/api/health') {
+      sendJson(res, 200, { ok: true, timestamp: Date.now() });
+      return;
+    }
+    if (/^\/api\/machines(\/|\?|$)/.test(req.url)) {
+      serveApi(req, res, adminDatabase, apiKey);
+      return;
+    }
+    if (req.url.startsWith('/api/')) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    serveStatic(req, res, root);
+  });
+
+  const sockets = attachSocketServer(server, store);
+  watchMachines(store, adminDatabase, { allowPrivateHosts: allowPrivateWebhooks });
+  return { server, store, sockets };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 3000;
+  const { server } = createLaundryServer({
+    dataFile: process.env.LAUNDRY_DATA_FILE || undefined,
+    apiKey: process.env.LAUNDRY_API_KEY || null,
+  });
+  server.listen(port, () => {
+    console.log(`Laundry server listening on http://localhost:${port}`);
+  });
+}
+
+export default createLaundryServer;
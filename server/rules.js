@@ -0,0 +1,186 @@
+// database.rules.json, evaluated the way the Realtime Database does it, so the self-hosted
+// server accepts exactly the writes Firebase would. Rule expressions are JavaScript-compatible
+// (===, &&, regex literals), so each one is compiled once into a function in a separate context
+// whose String.prototype carries the rules language's string methods.
+import vm from 'node:vm';
+import { readPath, splitPath } from '../js/tree.js';
+
+const context = vm.createContext({});
+vm.runInContext(
+  `Object.assign(String.prototype, {
+    matches(pattern) { return pattern.test(this); },
+    beginsWith(prefix) { return this.startsWith(prefix); },
+    contains(substring) { return this.includes(substring); },
+  });`,
+  context
+);
+
+// RuleDataSnapshot - data, newData and root in rule expressions
+class RuleSnapshot {
+  constructor(tree, keys) {
+    this.tree = tree;
+    this.keys = keys;
+  }
+
+  // A missing value comes back as undefined rather than null: JavaScript orders null like 0
+  // (null <= now is true), while the rules language never orders null, and undefined <= now
+  // is false the same way. == null still matches it
+  val() {
+    const value = readPath(this.tree, this.keys.join('/'));
+    if (value === null) return undefined;
+    return typeof value === 'object' ? structuredClone(value) : value;
+  }
+
+  child(path) {
+    return new RuleSnapshot(this.tree, [...this.keys, ...splitPath(path)]);
+  }
+
+  parent() {
+    return this.keys.length > 0 ? new RuleSnapshot(this.tree, this.keys.slice(0, -1)) : null;
+  }
+
+  exists() {
+    return this.val() !== undefined;
+  }
+
+  hasChild(path) {
+    return this.child(path).exists();
+  }
+
+  hasChildren(paths) {
+    const value = this.val();
+    if (!value || typeof value !== 'object') return false;
+    return paths ? paths.every((path) => this.hasChild(path)) : true;
+  }
+
+  isNumber() {
+    return typeof this.val() === 'number';
+  }
+
+  isString() {
+    return typeof this.val() === 'string';
+  }
+
+  isBoolean() {
+    return typeof this.val() === 'boolean';
+  }
+}
+
+class Rules {
+  constructor(rulesJson) {
+    this.root = rulesJson.rules;
+    this.compiled = new Map(); // `${variables}|${expression}` -> function
+  }
+
+  // Rule nodes from the root to path, with the $variables captured on the way.
+  // Stops early where no rule (literal key or $wildcard) matches
+  walk(path) {
+    const levels = [{ node: this.root, keys: [], variables: {} }];
+    for (const key of splitPath(path)) {
+      const { node, keys, variables } = levels[levels.length - 1];
+      const next = this.childRule(node, key, variables);
+      if (!next) break;
+      levels.push({ node: next.node, keys: [...keys, key], variables: next.variables });
+    }
+    return levels;
+  }
+
+  childRule(node, key, variables) {
+    if (!node || typeof node !== 'object') return null;
+    if (node[key] && !key.startsWith('$')) return { node: node[key], variables };
+
+    const wildcard = Object.keys(node).find((name) => name.startsWith('$'));
+    return wildcard ? { node: node[wildcard], variables: { ...variables, [wildcard]: key } } : null;
+  }
+
+  compile(expression, variableNames) {
+    const cacheKey = `${variableNames.join(',')}|${expression}`;
+    if (!this.compiled.has(cacheKey)) {
+      const params = ['auth', 'now', 'root', 'data', 'newData', ...variableNames].join(', ');
+      const source = `(function (${params}) { return (${expression}); })`;
+      this.compiled.set(cacheKey, vm.runInContext(source, context));
+    }
+    return this.compiled.get(cacheKey);
+  }
+
+  // A rule that throws (e.g. null.matches) counts as false, like in Firebase
+  evaluate(rule, { auth, now, oldTree, newTree, keys, variables }) {
+    if (typeof rule === 'boolean') return rule;
+
+    const names = Object.keys(variables);
+    try {
+      const check = this.compile(rule, names);
+      const result = check(
+        auth,
+        now,
+        new RuleSnapshot(oldTree, []),
+        new RuleSnapshot(oldTree, keys),
+        new RuleSnapshot(newTree, keys),
+        ...names.map((name) => variables[name])
+      );
+      return result === true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // .read and .write cascade: any rule at or above the path can grant access
+  grants(type, path, scope) {
+    return this.walk(path).some(
+      ({ node, keys, variables }) =>
+        node[type] !== undefined && this.evaluate(node[type], { ...scope, keys, variables })
+    );
+  }
+
+  canRead(tree, path, auth, now) {
+    return this.grants('.read', path, { auth, now, oldTree: tree, newTree: tree });
+  }
+
+  // Path of the first location that refuses the write, or null if it may go ahead.
+  // Each written path needs .write access; .validate runs on every node whose new value is
+  // not null, from the root down through everything written
+  findRejection(oldTree, newTree, paths, auth, now) {
+    const scope = { auth, now, oldTree, newTree };
+
+    for (const path of paths) {
+      if (!this.grants('.write', path, scope)) return path;
+
+      const levels = this.walk(path);
+      for (const { node, keys, variables } of levels) {
+        if (!this.isValid(node, { ...scope, keys, variables })) return keys.join('/');
+      }
+
+      const deepest = levels[levels.length - 1];
+      if (deepest.keys.length === splitPath(path).length) {
+        const rejected = this.findInvalidChild(deepest.node, { ...scope, ...deepest });
+        if (rejected) return rejected;
+      }
+    }
+    return null;
+  }
+
+  isValid(node, scope) {
+    if (node['.validate'] === undefined) return true;
+    if (readPath(scope.newTree, scope.keys.join('/')) === null) return true;
+    return this.evaluate(node['.validate'], scope);
+  }
+
+  findInvalidChild(node, scope) {
+    const value = readPath(scope.newTree, scope.keys.join('/'));
+    if (!value || typeof value !== 'object') return null;
+
+    for (const key of Object.keys(value)) {
+      const child = this.childRule(node, key, scope.variables);
+      if (!child) continue;
+
+      const childScope = { ...scope, keys: [...scope.keys, key], variables: child.variables };
+      if (!this.isValid(child.node, childScope)) return childScope.keys.join('/');
+
+      const rejected = this.findInvalidChild(child.node, childScope);
+      if (rejected) return rejected;
+    }
+    return null;
+  }
+}
+
+export default Rules;
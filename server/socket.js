@@ -0,0 +1,146 @@
+// WebSocket protocol between the board (js/server-config.js) and the store. JSON messages:
+//
+//   client -> server                             server -> client
+//   { type: 'hello', token? }                    { type: 'welcome', uid, token, now }
+//   { type: 'get', id, path }                    { type: 'result', id, value } or { id, error }
+//   { type: 'update', id, updates }              { type: 'result', id } or { id, error }
+//   { type: 'transaction', id, path,             { type: 'result', id, committed, value }
+//     expected, value }
+//   { type: 'subscribe', path }                  { type: 'value', path, value } on every change,
+//   { type: 'unsubscribe', path }                or { type: 'cancel', path, error } if refused
+//
+// Everything but hello needs a session first. Reads and writes go through database.rules.json.
+import { WebSocketServer } from 'ws';
+import { PermissionDeniedError } from './store.js';
+
+const SOCKET_PATH = '/api/ws';
+
+// Largest message a client may send - machine writes are well under a kilobyte
+const MAX_PAYLOAD_BYTES = 256 * 1024;
+
+const toError = (error) => ({ code: error.code || 'INTERNAL', message: error.message });
+
+const badRequest = (message) => Object.assign(new Error(message), { code: 'BAD_REQUEST' });
+
+// Everything but hello and update is about one path; update carries { path: value }
+function checkMessage({ type, path, updates }) {
+  if (type === 'update') {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+      throw badRequest('updates must be an object of paths to values');
+    }
+  } else if (type !== 'hello' && typeof path !== 'string') {
+    throw badRequest('path must be a string');
+  }
+}
+
+function attachSocketServer(httpServer, store) {
+  const sockets = new WebSocketServer({
+    server: httpServer,
+    path: SOCKET_PATH,
+    maxPayload: MAX_PAYLOAD_BYTES,
+  });
+
+  const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  // Push the subscribed values that changed - each client sees machine snapshots as they land
+  const publish = (socket) => {
+    for (const [path, last] of socket.subscriptions) {
+      const value = store.read(path);
+      const serialized = JSON.stringify(value);
+      if (serialized === last) continue;
+      socket.subscriptions.set(path, serialized);
+      send(socket, { type: 'value', path, value });
+    }
+  };
+
+  const handlers = {
+    hello(socket, { token }) {
+      const session = store.signIn(typeof token === 'string' ? token : null);
+      socket.auth = { uid: session.uid, token: {} };
+      socket.session = session.token;
+      send(socket, { type: 'welcome', uid: session.uid, token: session.token, now: Date.now() });
+    },
+
+    get(socket, { id, path }) {
+      if (!store.canRead(path, socket.auth)) {
+        throw new PermissionDeniedError(path);
+      }
+      send(socket, { type: 'result', id, value: store.read(path) });
+    },
+
+    update(socket, { id, updates }) {
+      store.write(updates, socket.auth, socket.session);
+      send(socket, { type: 'result', id });
+    },
+
+    transaction(socket, { id, path, expected, value }) {
+      send(socket, {
+        type: 'result',
+        id,
+        ...store.transaction(path, expected, value, socket.auth, socket.session),
+      });
+    },
+
+    subscribe(socket, { path }) {
+      if (!store.canRead(path, socket.auth)) {
+        send(socket, { type: 'cancel', path, error: toError(new PermissionDeniedError(path)) });
+        return;
+      }
+      socket.subscriptions.set(path, undefined);
+      publish(socket);
+    },
+
+    unsubscribe(socket, { path }) {
+      socket.subscriptions.delete(path);
+    },
+  };
+
+  store.onChange(() => sockets.clients.forEach(publish));
+
+  sockets.on('connection', (socket) => {
+    socket.auth = null;
+    socket.session = null; // Token from hello
+    socket.subscriptions = new Map(); // path -> last value sent (serialized)
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        socket.close(1003, 'Messages must be JSON');
+        return;
+      }
+
+      const handler = Object.hasOwn(handlers, message?.type) ? handlers[message.type] : null;
+      if (!handler) {
+        const error = { code: 'BAD_REQUEST', message: `Unknown message type: ${message?.type}` };
+        send(socket, { type: 'result', id: message?.id, error });
+        return;
+      }
+      if (!socket.auth && message.type !== 'hello') {
+        const error = { code: 'UNAUTHENTICATED', message: 'Send hello before anything else' };
+        send(socket, { type: 'result', id: message.id, error });
+        return;
+      }
+
+      try {
+        checkMessage(message);
+        handler(socket, message);
+      } catch (error) {
+        if (!['PERMISSION_DENIED', 'BAD_REQUEST'].includes(error.code)) {
+          console.error(`Handling ${message.type} failed:`, error);
+        }
+        send(socket, { type: 'result', id: message.id, error: toError(error) });
+      }
+    });
+  });
+
+  return sockets;
+}
+
+export { SOCKET_PATH };
+export default attachSocketServer;
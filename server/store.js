@@ -0,0 +1,144 @@
+// The server's copy of the database: one JSON tree, checked against database.rules.json on every
+// write and saved to a file after it. Sessions (token -> uid) live in the same file, outside the
+// tree, so clients can never read them. A session is only saved once it has written something,
+// so clients that just watch the board (or reconnect in a loop) leave nothing behind.
+import { randomBytes, randomUUID } from 'node:crypto';
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { isEqual, normalize, readPath, splitPath, writePath } from '../js/tree.js';
+
+// Stands in for firebase-admin's credentials: writes made with it skip the rules
+const ADMIN = Object.freeze({ uid: null, admin: true });
+
+// Sessions that have not written yet are kept in memory only - the oldest go past this many
+const MAX_PENDING_SESSIONS = 1000;
+
+// Saved sessions nobody has used for this long are dropped
+const SESSION_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+class PermissionDeniedError extends Error {
+  constructor(path) {
+    super(`PERMISSION_DENIED: ${path || '/'}`);
+    this.name = 'PermissionDeniedError';
+    this.code = 'PERMISSION_DENIED';
+  }
+}
+
+class Store {
+  // file: where to persist (null keeps everything in memory); rules: a Rules instance
+  constructor({ file = null, rules }) {
+    this.file = file;
+    this.rules = rules;
+    this.listeners = new Set(); // (tree, previousTree) => void, after every committed write
+
+    const saved = file && existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : {};
+    this.tree = saved.data ?? null;
+    this.sessions = {}; // token -> { uid, seen_at }
+    this.pendingSessions = new Map(); // token -> uid, in the order they were handed out
+
+    // Files from before seen_at was kept count as seen now
+    Object.entries(saved.sessions ?? {}).forEach(([token, session]) => {
+      this.sessions[token] =
+        typeof session === 'string' ? { uid: session, seen_at: Date.now() } : session;
+    });
+    this.dropExpiredSessions();
+  }
+
+  save() {
+    if (!this.file) return;
+
+    // Write then rename, so a crash mid-write never leaves a truncated file
+    const temporaryFile = `${this.file}.tmp`;
+    writeFileSync(temporaryFile, JSON.stringify({ data: this.tree, sessions: this.sessions }));
+    renameSync(temporaryFile, this.file);
+  }
+
+  // Same anonymous identity as long as the client keeps its token
+  signIn(token) {
+    const saved = token ? this.sessions[token] : null;
+    if (saved) {
+      saved.seen_at = Date.now(); // Saved with the next write
+      return { uid: saved.uid, token };
+    }
+    if (token && this.pendingSessions.has(token)) {
+      return { uid: this.pendingSessions.get(token), token };
+    }
+
+    const session = { uid: randomUUID(), token: randomBytes(24).toString('hex') };
+    this.pendingSessions.set(session.token, session.uid);
+    if (this.pendingSessions.size > MAX_PENDING_SESSIONS) {
+      this.pendingSessions.delete(this.pendingSessions.keys().next().value);
+    }
+    return session;
+  }
+
+  // Called with the first write a session makes, just before it is saved
+  keepSession(token) {
+    if (!this.pendingSessions.has(token)) return;
+
+    this.sessions[token] = { uid: this.pendingSessions.get(token), seen_at: Date.now() };
+    this.pendingSessions.delete(token);
+    this.dropExpiredSessions();
+  }
+
+  dropExpiredSessions() {
+    const cutoff = Date.now() - SESSION_TTL_MS;
+    Object.entries(this.sessions).forEach(([token, session]) => {
+      if (session.seen_at < cutoff) delete this.sessions[token];
+    });
+  }
+
+  read(path) {
+    return readPath(this.tree, path);
+  }
+
+  canRead(path, auth) {
+    return this.rules.canRead(this.tree, path, auth, Date.now());
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // { path: value } applied all-or-nothing, like a multi-path update(). session: the token of
+  // the client session making the write, if any
+  write(writes, auth, session = null) {
+    const now = Date.now();
+    const paths = Object.keys(writes).map((path) => splitPath(path).join('/'));
+    if (paths.some((path) => path.startsWith('.'))) {
+      throw new PermissionDeniedError(paths.find((path) => path.startsWith('.')));
+    }
+
+    let newTree = this.tree;
+    Object.entries(writes).forEach(([path, value]) => {
+      newTree = writePath(newTree, path, normalize(value, now));
+    });
+
+    const rejected =
+      auth === ADMIN ? null : this.rules.findRejection(this.tree, newTree, paths, auth, now);
+    if (rejected !== null) {
+      throw new PermissionDeniedError(rejected);
+    }
+
+    const previousTree = this.tree;
+    this.tree = newTree;
+    if (session) this.keepSession(session);
+    this.save();
+    this.listeners.forEach((listener) => listener(this.tree, previousTree));
+  }
+
+  // Compare-and-set for client transactions: only writes if the value is still the one the
+  // client computed from. Otherwise returns the current value for the client to retry with
+  transaction(path, expected, value, auth, session = null) {
+    const current = this.read(path);
+    if (!isEqual(current, expected ?? null)) {
+      return { committed: false, value: current };
+    }
+
+    this.write({ [path]: value }, auth, session);
+    return { committed: true, value: this.read(path) };
+  }
+}
+
+export { ADMIN, MAX_PENDING_SESSIONS, PermissionDeniedError };
+export default Store;
@@ -0,0 +1,40 @@
+// The self-hosted server's counterpart of the machineWebhooks Cloud Function: after every store
+// write, functions/webhooks.js runs for each machine record the write changed
+import { notifyWebhooks } from '../functions/webhooks.js';
+import { isEqual, readPath } from '../js/tree.js';
+
+const keysOf = (...nodes) => [...new Set(nodes.flatMap((node) => Object.keys(node || {})))];
+
+// Delivery retries in the background; the write that caused it has already been answered
+function notifyInBackground(db, roomId, machineId, before, after, now, options) {
+  notifyWebhooks(db, roomId, machineId, before, after, now, options)
+    .then((results) => {
+      const failed = results.filter((result) => !result.success);
+      if (failed.length > 0) {
+        console.warn(`Webhooks failed for ${roomId}/${machineId}:`, failed);
+      }
+    })
+    .catch((error) => console.error('Webhook delivery failed:', error));
+}
+
+// options go to functions/webhooks.js deliver()
+function watchMachines(store, db, options) {
+  return store.onChange((tree, previousTree) => {
+    const now = Date.now();
+
+    keysOf(readPath(previousTree, 'rooms'), readPath(tree, 'rooms')).forEach((roomId) => {
+      const before = readPath(previousTree, `rooms/${roomId}/machines`) || {};
+      const after = readPath(tree, `rooms/${roomId}/machines`) || {};
+
+      keysOf(before, after).forEach((machineId) => {
+        const previous = before[machineId] ?? null;
+        const current = after[machineId] ?? null;
+        if (!isEqual(previous, current)) {
+          notifyInBackground(db, roomId, machineId, previous, current, now, options);
+        }
+      });
+    });
+  });
+}
+
+export default watchMachines;
@@ -0,0 +1,18 @@
+/**
+ * Machine records shared by the unit, server and rules tests, as tests/functions/helpers.js
+ * does for the function tests
+ */
+export const MINUTE = 60 * 1000;
+export const NOW = Date.now();
+
+// alice's 29-minute timer on washer_1, started at `now`
+export const activeTimer = (overrides = {}, now = NOW) => ({
+  machine_id: 'washer_1',
+  status: 'active',
+  started_at: now,
+  end_time: now + 29 * MINUTE,
+  updated_at: now,
+  duration_minutes: 29,
+  owner_uid: 'alice',
+  ...overrides,
+});
@@ -0,0 +1,93 @@
+/**
+ * REST API tests - run against the emulator with `npm run test:functions`. Like the Cloud
+ * Function, the handler runs with admin access, so the rules are switched off for every call.
+ */
+import { describe, expect, it } from 'vitest';
+import { API_UID, handleApiRequest } from '../../functions/api.js';
+import { MINUTE, NOW, asAdmin, read, runningTimer, seed, useEmulator } from './helpers.js';
+
+const MACHINE_PATH = 'rooms/main/machines/washer_1';
+const API_KEY = 'test-key';
+
+const call = async (method, path, { body = null, key = API_KEY, query = {} } = {}) => {
+  let result;
+  await asAdmin(async (db) => {
+    result = await handleApiRequest(
+      db,
+      { method, path, query, body, authorization: key && `Bearer ${key}` },
+      { apiKey: API_KEY, now: NOW }
+    );
+  });
+  return result;
+};
+
+useEmulator('laundry-timer-api-test');
+
+describe('reads', () => {
+  it('list the room the way processMachineData does', async () => {
+    await seed({ [MACHINE_PATH]: runningTimer() });
+
+    const { status, body } = await call('GET', '/api/machines');
+
+    expect(status).toBe(200);
+    expect(body.machines).toHaveLength(8);
+    expect(body.machines[0]).toEqual({
+      machine_id: 'washer_1',
+      status: 'active',
+      time_remaining_minutes: 28,
+      server_end_time: NOW + 28 * MINUTE,
+      owned_by_me: false,
+      can_take_over: false,
+    });
+  });
+
+  it('need the API key', async () => {
+    expect((await call('GET', '/api/machines', { key: null })).status).toBe(401);
+  });
+
+  it('refuse unknown machines and rooms', async () => {
+    expect((await call('GET', '/api/machines/washer_9')).status).toBe(400);
+    expect((await call('GET', '/api/machines', { query: { room: 'attic' } })).status).toBe(404);
+  });
+});
+
+describe('writes', () => {
+  it('start and stop a timer owned by the API, logging the cycle', async () => {
+    const started = await call('POST', '/api/machines/washer_1/start', { body: { minutes: 29 } });
+    expect(started.body).toMatchObject({ status: 'active', owned_by_me: true });
+    expect(await read(MACHINE_PATH)).toMatchObject({
+      owner_uid: API_UID,
+      end_time: NOW + 29 * MINUTE,
+    });
+
+    const stopped = await call('POST', '/api/machines/washer_1/stop');
+    expect(stopped.body).toMatchObject({ status: 'available' });
+    expect(Object.values(await read('rooms/main/history'))).toEqual([
+      expect.objectContaining({
+        machine_id: 'washer_1',
+        end_reason: 'stopped',
+        owner_uid: API_UID,
+      }),
+    ]);
+  });
+
+  it("refuse a resident's running timer and bad durations", async () => {
+    await seed({ [MACHINE_PATH]: runningTimer() });
+
+    expect((await call('POST', '/api/machines/washer_1/stop')).status).toBe(409);
+    expect(
+      (await call('POST', '/api/machines/washer_2/start', { body: { minutes: 121 } })).status
+    ).toBe(400);
+    expect(await read(MACHINE_PATH)).toMatchObject({ owner_uid: 'alice' });
+  });
+
+  it('need the API key', async () => {
+    const { status } = await call('POST', '/api/machines/washer_1/start', {
+      body: { minutes: 29 },
+      key: 'guess',
+    });
+
+    expect(status).toBe(401);
+    expect(await read(MACHINE_PATH)).toBeNull();
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Server-side expiry tests - run against the emulator with `npm run test:functions`.
+ * The function runs with admin access, so the rules are switched off for every call.
+ */
+import { describe, expect, it } from 'vitest';
+import { CLAIM_WINDOW_MS, expireRoom } from '../../functions/expire.js';
+import { NOW, asAdmin, expiredTimer, read, seed, useEmulator } from './helpers.js';
+
+const MACHINES_PATH = 'rooms/main/machines';
+
+const runExpiry = async (now = NOW, wrapDb = (db) => db) => {
+  let results;
+  await asAdmin(async (db) => {
+    results = await expireRoom(wrapDb(db), 'main', now);
+  });
+  return results;
+};
+
+// Multi-path updates at the root fail, as if the database went away mid-expiry
+const withFailingUpdates = (db) => ({
+  ref: (path) =>
+    path === undefined ? { update: () => Promise.reject(new Error('offline')) } : db.ref(path),
+});
+
+useEmulator('laundry-timer-functions-test');
+
+describe('expireRoom', () => {
+  it('frees an expired timer and logs it to history', async () => {
+    await seed({ [`${MACHINES_PATH}/washer_1`]: expiredTimer() });
+
+    const [result] = await runExpiry();
+
+    expect(result).toMatchObject({ success: true, reason: 'atomic_expiration' });
+    expect(await read(`${MACHINES_PATH}/washer_1`)).toBeNull();
+
+    const history = Object.values((await read('rooms/main/history')) || {});
+    expect(history).toEqual([
+      {
+        machine_id: 'washer_1',
+        started_at: NOW - 29 * 60 * 1000,
+        ended_at: NOW - 1000,
+        duration_minutes: 29,
+        end_reason: 'expired',
+        owner_uid: 'alice',
+      },
+    ]);
+  });
+
+  it('leaves running, paused and out-of-order machines alone', async () => {
+    await seed({
+      [`${MACHINES_PATH}/washer_1`]: expiredTimer({ end_time: NOW + 10 * 60 * 1000 }),
+      [`${MACHINES_PATH}/washer_2`]: expiredTimer({
+        machine_id: 'washer_2',
+        status: 'paused',
+        paused_time_remaining_ms: 60000,
+      }),
+      [`${MACHINES_PATH}/dryer_1`]: {
+        machine_id: 'dryer_1',
+        status: 'out_of_order',
+        updated_at: NOW,
+      },
+    });
+
+    expect(await runExpiry()).toEqual([]);
+    expect(await read(`${MACHINES_PATH}/washer_1`)).not.toBeNull();
+    expect(await read(`${MACHINES_PATH}/washer_2`)).not.toBeNull();
+    expect(await read(`${MACHINES_PATH}/dryer_1`)).not.toBeNull();
+    expect(await read('rooms/main/history')).toBeNull();
+  });
+
+  it('reserves the machine for the head of the queue', async () => {
+    await seed({
+      [`${MACHINES_PATH}/washer_1`]: expiredTimer(),
+      'rooms/main/queue/washer/entry_b': { uid: 'bob', joined_at: NOW - 60000 },
+      'rooms/main/queue/washer/entry_c': { uid: 'carol', joined_at: NOW - 30000 },
+    });
+
+    const [result] = await runExpiry();
+
+    expect(result).toMatchObject({ success: true, reason: 'reserved_for_queue' });
+    expect(await read(`${MACHINES_PATH}/washer_1`)).toEqual({
+      machine_id: 'washer_1',
+      status: 'reserved',
+      reserved_for: 'bob',
+      reserved_until: NOW + CLAIM_WINDOW_MS,
+      queue_type: 'washer',
+      queue_entry: 'entry_b',
+      updated_at: NOW,
+    });
+
+    const queue = await read('rooms/main/queue/washer');
+    expect(queue.entry_b.offered_machine).toBe('washer_1');
+    expect(typeof queue.entry_b.offered_at).toBe('number');
+    expect(queue.entry_c.offered_at).toBeUndefined();
+    expect(Object.keys(await read('rooms/main/history'))).toHaveLength(1);
+  });
+
+  it('puts the timer back when the history and offer cannot be written', async () => {
+    await seed({
+      [`${MACHINES_PATH}/washer_1`]: expiredTimer(),
+      'rooms/main/queue/washer/entry_b': { uid: 'bob', joined_at: NOW - 60000 },
+    });
+
+    const [result] = await runExpiry(NOW, withFailingUpdates);
+
+    expect(result).toMatchObject({ success: false, reason: 'operation_failed' });
+    expect(await read(`${MACHINES_PATH}/washer_1`)).toEqual(expiredTimer());
+    expect(await read('rooms/main/queue/washer/entry_b/offered_at')).toBeNull();
+
+    const [retry] = await runExpiry();
+    expect(retry).toMatchObject({ success: true, reason: 'reserved_for_queue' });
+  });
+
+  it('logs a cycle only once when run twice', async () => {
+    await seed({ [`${MACHINES_PATH}/washer_1`]: expiredTimer() });
+
+    await runExpiry();
+    expect(await runExpiry()).toEqual([]);
+    expect(Object.keys(await read('rooms/main/history'))).toHaveLength(1);
+  });
+});
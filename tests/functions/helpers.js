@@ -0,0 +1,58 @@
+// Emulator setup and records shared by the function tests. The functions run with admin access,
+// so every call here goes through with the rules switched off.
+import { afterAll, beforeAll, beforeEach } from 'vitest';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+
+export const NOW = Date.now();
+export const MINUTE = 60 * 1000;
+
+let testEnv;
+
+// A fresh, empty database for every test in the file
+export function useEmulator(projectId) {
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({ projectId });
+  });
+
+  afterAll(async () => {
+    await testEnv?.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearDatabase();
+  });
+}
+
+export const asAdmin = (callback) =>
+  testEnv.withSecurityRulesDisabled((context) => callback(context.database()));
+
+export const seed = (data) => asAdmin((db) => db.ref().update(data));
+
+export const read = async (path) => {
+  let value;
+  await asAdmin(async (db) => {
+    value = (await db.ref(path).once('value')).val();
+  });
+  return value;
+};
+
+// alice's 29-minute timer on washer_1, a minute in
+export const runningTimer = (overrides = {}) => ({
+  machine_id: 'washer_1',
+  status: 'active',
+  started_at: NOW - MINUTE,
+  end_time: NOW + 28 * MINUTE,
+  updated_at: NOW - MINUTE,
+  duration_minutes: 29,
+  owner_uid: 'alice',
+  ...overrides,
+});
+
+// The same timer, finished a second ago
+export const expiredTimer = (overrides = {}) =>
+  runningTimer({
+    started_at: NOW - 29 * MINUTE,
+    end_time: NOW - 1000,
+    updated_at: NOW - 29 * MINUTE,
+    ...overrides,
+  });
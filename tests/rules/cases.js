@@ -0,0 +1,828 @@
+/**
+ * database.rules.json cases, run against both rules engines: the Firebase emulator
+ * (database.rules.test.js) and the self-hosted server's evaluator (tests/server/rules.test.js),
+ * so the two are shown to agree.
+ *
+ * Each case seeds data with the rules off, then runs its steps in order. A step is a read or
+ * write as one user (null for signed out) that must be allowed or denied, or more seeding.
+ * Seeds and steps are built when the case runs, so timestamps are fresh.
+ */
+import { MINUTE, activeTimer as timer } from '../fixtures.js';
+
+const MACHINE_PATH = 'rooms/main/machines/washer_1';
+const SERVER_TIMESTAMP = { '.sv': 'timestamp' };
+
+// The rules check timestamps against the real clock, so timers are stamped as each case runs -
+// all but started_at, which stays put so a seeded timer and a write of it are the same cycle
+const STARTED_AT = Date.now();
+const activeTimer = (uid, overrides = {}) =>
+  timer({ owner_uid: uid, started_at: STARTED_AT, ...overrides }, Date.now());
+
+const tombstone = (uid) => ({
+  machine_id: 'washer_1',
+  status: 'available',
+  updated_at: Date.now(),
+  owner_uid: uid,
+});
+
+// Requests: get(), set(), a multi-path update() from the root, remove()
+const read = (path) => ({ op: 'read', path });
+const set = (path, value) => ({ op: 'set', path, value });
+const update = (value) => ({ op: 'update', path: '', value });
+const remove = (path) => ({ op: 'remove', path });
+
+// The same multi-path write the app makes: machine record plus the caller's last_write stamp
+const writeMachine = (uid, data) =>
+  update({ [MACHINE_PATH]: data, [`last_write/${uid}`]: SERVER_TIMESTAMP });
+
+const allow = (uid, request) => ({ uid, ...request, allowed: true });
+const deny = (uid, request) => ({ uid, ...request, allowed: false });
+const seed = (data) => ({ seed: data });
+
+const QUEUE_PATH = 'rooms/main/queue/washer';
+const ENTRY_PATH = `${QUEUE_PATH}/entry1`;
+
+const reservation = (uid, overrides = {}) => ({
+  machine_id: 'washer_1',
+  status: 'reserved',
+  reserved_for: uid,
+  reserved_until: Date.now() + 3 * MINUTE,
+  queue_type: 'washer',
+  queue_entry: 'entry1',
+  updated_at: Date.now(),
+  ...overrides,
+});
+
+// The same update atomicExpireTimer makes: reservation plus the offer on the queue entry
+const offer = (uid, overrides = {}) =>
+  update({
+    [MACHINE_PATH]: reservation(uid, overrides),
+    [`${ENTRY_PATH}/offered_at`]: SERVER_TIMESTAMP,
+    [`${ENTRY_PATH}/offered_machine`]: 'washer_1',
+  });
+
+const expiredWithQueue = () => ({
+  [MACHINE_PATH]: activeTimer('alice', { end_time: Date.now() - 1000 }),
+  [ENTRY_PATH]: { uid: 'bob', joined_at: Date.now() - MINUTE },
+});
+
+const HISTORY_PATH = 'rooms/main/history';
+const historyEntry = (uid, overrides = {}) => ({
+  machine_id: 'washer_1',
+  started_at: Date.now() - 30 * MINUTE,
+  ended_at: Date.now(),
+  duration_minutes: 30,
+  end_reason: 'stopped',
+  owner_uid: uid,
+  ...overrides,
+});
+
+// The same update writeMachine makes when it ends a cycle: machine record, stamp and entry
+const endCycle = (uid, machine, entry = historyEntry(uid)) =>
+  update({
+    [MACHINE_PATH]: machine,
+    [`last_write/${uid}`]: SERVER_TIMESTAMP,
+    [`${HISTORY_PATH}/entry1`]: entry,
+  });
+
+// The same update atomicExpireTimer makes: the expired record goes, the entry comes
+const expire = (uid, entry = historyEntry(uid, { end_reason: 'expired' })) =>
+  update({ [MACHINE_PATH]: null, [`${HISTORY_PATH}/entry1`]: entry });
+
+const OCCUPANCY_SLOT_PATH = 'rooms/main/occupancy/2024-05-06/18/3';
+const SLOT_MS = 5 * MINUTE;
+const currentSlotStart = () => Math.floor(Date.now() / SLOT_MS) * SLOT_MS;
+const sample = (overrides = {}) => ({
+  washers_free: 2,
+  dryers_free: 0,
+  slot_start: currentSlotStart(),
+  ...overrides,
+});
+const BOOKING_PATH = 'rooms/main/reservations/2024-05-11/washer_1/19';
+const booking = (uid) => ({ uid, created_at: SERVER_TIMESTAMP });
+
+// Wash + dry: alice's wash on washer_1 finished and goes on to a dryer
+const DRYER_PATH = 'rooms/main/machines/dryer_1';
+const finishedWash = (uid) => ({
+  [MACHINE_PATH]: activeTimer(uid, {
+    started_at: Date.now() - 30 * MINUTE,
+    end_time: Date.now() - 1000,
+    next_type: 'dryer',
+  }),
+});
+
+const hold = (uid, overrides = {}) => ({
+  machine_id: 'dryer_1',
+  status: 'reserved',
+  reserved_for: uid,
+  reserved_until: Date.now() + 3 * MINUTE,
+  pipeline_from: 'washer_1',
+  updated_at: Date.now(),
+  ...overrides,
+});
+
+// The same update holdForPipeline makes: the hold, the finished wash ended and pointing at the
+// held machine, its history entry and the stamp
+const holdFrom = (uid, holds = { [DRYER_PATH]: hold(uid) }, pipelineTo = 'dryer_1') =>
+  update({
+    ...holds,
+    [MACHINE_PATH]: { ...tombstone(uid), pipeline_to: pipelineTo },
+    [`${HISTORY_PATH}/entry1`]: historyEntry(uid, { end_reason: 'expired' }),
+    [`last_write/${uid}`]: SERVER_TIMESTAMP,
+  });
+
+const ISSUE_PATH = 'rooms/main/maintenance/washer_1/issue1';
+const issue = (uid, overrides = {}) => ({
+  uid,
+  category: 'leaking',
+  created_at: SERVER_TIMESTAMP,
+  ...overrides,
+});
+const outOfOrder = (uid) => ({
+  machine_id: 'washer_1',
+  status: 'out_of_order',
+  issue_id: 'issue1',
+  issue_category: 'leaking',
+  reported_by: uid,
+  updated_at: Date.now(),
+});
+
+// Report: issue, machine record and last_write stamp in one update
+const report = (uid) =>
+  update({
+    [ISSUE_PATH]: issue(uid),
+    [MACHINE_PATH]: outOfOrder(uid),
+    [`last_write/${uid}`]: SERVER_TIMESTAMP,
+  });
+
+const brokenMachine = () => ({
+  [ISSUE_PATH]: issue('alice', { created_at: Date.now() }),
+  [MACHINE_PATH]: outOfOrder('alice'),
+  'managers/mia': true,
+});
+
+const DURATION_PATH = 'rooms/main/settings/durations/washer';
+const WEBHOOK_PATH = 'rooms/main/webhooks/hook_1';
+const FAILURES_PATH = 'rooms/main/webhook_failures/hook_1';
+const webhook = (uid, url = 'https://chat.example.com/hooks/laundry') => ({
+  url,
+  created_at: SERVER_TIMESTAMP,
+  created_by: uid,
+});
+
+const runningForAlice = () => ({ [MACHINE_PATH]: activeTimer('alice') });
+
+const ruleCases = {
+  'unauthenticated clients': [
+    {
+      name: 'cannot read machines',
+      steps: () => [deny(null, read('rooms/main/machines'))],
+    },
+    {
+      name: 'cannot start a timer',
+      steps: () => [deny(null, set(MACHINE_PATH, activeTimer('nobody')))],
+    },
+  ],
+
+  'signed-in users': [
+    {
+      name: 'can read machines',
+      steps: () => [allow('alice', read('rooms/main/machines'))],
+    },
+    {
+      name: 'can start a timer on an empty machine',
+      steps: () => [allow('alice', writeMachine('alice', activeTimer('alice')))],
+    },
+    {
+      name: 'must record their own uid as the owner',
+      steps: () => [deny('alice', writeMachine('alice', activeTimer('bob')))],
+    },
+    {
+      name: 'cannot write a machine without stamping last_write',
+      steps: () => [deny('alice', set(MACHINE_PATH, activeTimer('alice')))],
+    },
+    {
+      name: 'cannot write unknown machines or fields',
+      steps: () => [
+        deny(
+          'alice',
+          update({
+            'rooms/main/machines/washer_9': activeTimer('alice', { machine_id: 'washer_9' }),
+            'last_write/alice': SERVER_TIMESTAMP,
+          })
+        ),
+        deny('alice', writeMachine('alice', activeTimer('alice', { colour: 'red' }))),
+      ],
+    },
+    {
+      name: 'can pause and stop their own timer',
+      seed: runningForAlice,
+      steps: () => [
+        allow(
+          'alice',
+          writeMachine('alice', activeTimer('alice', { status: 'paused', paused_at: Date.now() }))
+        ),
+        seed({ 'last_write/alice': Date.now() - 5000 }), // Step past the rate limit
+        allow('alice', writeMachine('alice', tombstone('alice'))),
+      ],
+    },
+  ],
+
+  'foreign uids': [
+    {
+      name: "cannot replace someone else's running timer",
+      seed: runningForAlice,
+      steps: () => [deny('bob', writeMachine('bob', activeTimer('bob')))],
+    },
+    {
+      name: "cannot stop someone else's running timer",
+      seed: runningForAlice,
+      steps: () => [deny('bob', writeMachine('bob', tombstone('bob')))],
+    },
+    {
+      name: "cannot delete someone else's running timer",
+      seed: runningForAlice,
+      steps: () => [deny('bob', remove(MACHINE_PATH))],
+    },
+    {
+      name: "cannot take over or free someone else's timer in its last seconds",
+      seed: () => ({ [MACHINE_PATH]: activeTimer('alice', { end_time: Date.now() + 10 * 1000 }) }),
+      steps: () => [
+        deny('bob', writeMachine('bob', activeTimer('bob'))),
+        deny('bob', remove(MACHINE_PATH)),
+      ],
+    },
+    {
+      name: 'can take over a finished timer',
+      seed: () => ({ [MACHINE_PATH]: activeTimer('alice', { end_time: Date.now() - 1000 }) }),
+      steps: () => [allow('bob', writeMachine('bob', tombstone('bob')))],
+    },
+    {
+      name: 'can take over a timer paused for over 30 minutes',
+      seed: () => ({
+        [MACHINE_PATH]: activeTimer('alice', {
+          status: 'paused',
+          updated_at: Date.now() - 31 * MINUTE,
+        }),
+      }),
+      steps: () => [allow('bob', writeMachine('bob', tombstone('bob')))],
+    },
+    {
+      name: "cannot write someone else's last_write stamp",
+      steps: () => [deny('bob', set('last_write/alice', SERVER_TIMESTAMP))],
+    },
+  ],
+
+  'rate limiting': [
+    {
+      name: 'rejects a second write within a second',
+      steps: () => [
+        allow('alice', writeMachine('alice', activeTimer('alice'))),
+        deny('alice', writeMachine('alice', tombstone('alice'))),
+      ],
+    },
+    {
+      name: 'allows the next write once the cooldown has passed',
+      seed: () => ({ 'last_write/alice': Date.now() - 2000 }),
+      steps: () => [allow('alice', writeMachine('alice', activeTimer('alice')))],
+    },
+    {
+      name: 'only accepts the server timestamp as a stamp',
+      steps: () => [
+        deny(
+          'alice',
+          update({ [MACHINE_PATH]: activeTimer('alice'), 'last_write/alice': Date.now() - 5000 })
+        ),
+      ],
+    },
+  ],
+
+  history: [
+    {
+      name: 'is readable only when signed in',
+      steps: () => [deny(null, read(HISTORY_PATH)), allow('alice', read(HISTORY_PATH))],
+    },
+    {
+      name: 'accepts an entry with the write that ends the cycle',
+      seed: runningForAlice,
+      steps: () => [allow('alice', endCycle('alice', tombstone('alice')))],
+    },
+    {
+      name: 'accepts an expired cycle from the first board that frees it',
+      seed: () => ({ [MACHINE_PATH]: activeTimer('alice', { end_time: Date.now() - 1000 }) }),
+      steps: () => [allow('bob', expire('bob')), deny('carol', expire('carol'))],
+    },
+    {
+      name: "refuses entries on their own or in someone else's name",
+      seed: () => ({ [MACHINE_PATH]: activeTimer('alice', { end_time: Date.now() - 1000 }) }),
+      steps: () => [
+        deny('alice', set(`${HISTORY_PATH}/entry1`, historyEntry('alice'))),
+        deny(null, set(`${HISTORY_PATH}/entry1`, historyEntry(null))),
+        deny('bob', expire('bob', historyEntry('alice', { end_reason: 'expired' }))),
+      ],
+    },
+    {
+      name: 'refuses entries for a cycle that never ran',
+      steps: () => [
+        deny('alice', endCycle('alice', tombstone('alice'))),
+        deny('alice', endCycle('alice', activeTimer('alice'))),
+      ],
+    },
+    {
+      name: 'is append-only',
+      seed: () => ({ [`${HISTORY_PATH}/entry1`]: historyEntry('alice') }),
+      steps: () => [
+        deny(
+          'alice',
+          set(`${HISTORY_PATH}/entry1`, historyEntry('alice', { duration_minutes: 1 }))
+        ),
+        deny('alice', remove(`${HISTORY_PATH}/entry1`)),
+      ],
+    },
+    {
+      name: 'rejects unknown end reasons',
+      seed: runningForAlice,
+      steps: () => [
+        deny(
+          'alice',
+          endCycle('alice', tombstone('alice'), historyEntry('alice', { end_reason: 'vandalism' }))
+        ),
+      ],
+    },
+  ],
+
+  'occupancy samples': [
+    {
+      name: 'accept a sample from signed-in users only',
+      steps: () => [
+        deny(null, set(OCCUPANCY_SLOT_PATH, sample())),
+        allow('alice', set(OCCUPANCY_SLOT_PATH, sample())),
+      ],
+    },
+    {
+      name: 'reject out-of-range slots and extra fields',
+      steps: () => [
+        deny('alice', set('rooms/main/occupancy/2024-05-06/24/0', sample())),
+        deny('alice', set(OCCUPANCY_SLOT_PATH, sample({ who: 'alice' }))),
+      ],
+    },
+    {
+      name: 'only take a sample of the slot running now',
+      steps: () => [
+        deny('alice', set(OCCUPANCY_SLOT_PATH, { washers_free: 2, dryers_free: 0 })),
+        deny(
+          'alice',
+          set(OCCUPANCY_SLOT_PATH, sample({ slot_start: currentSlotStart() - SLOT_MS }))
+        ),
+        deny(
+          'alice',
+          set(OCCUPANCY_SLOT_PATH, sample({ slot_start: currentSlotStart() + SLOT_MS }))
+        ),
+        deny('alice', set(OCCUPANCY_SLOT_PATH, sample({ slot_start: currentSlotStart() + 1000 }))),
+      ],
+    },
+    {
+      name: 'never overwrite a slot once sampled',
+      steps: () => [
+        allow('alice', set(OCCUPANCY_SLOT_PATH, sample())),
+        deny('bob', set(OCCUPANCY_SLOT_PATH, sample({ washers_free: 0 }))),
+        deny('bob', remove(OCCUPANCY_SLOT_PATH)),
+      ],
+    },
+  ],
+
+  queue: [
+    {
+      name: 'lets residents join with their own uid only',
+      steps: () => [
+        allow('bob', set(ENTRY_PATH, { uid: 'bob', joined_at: Date.now() })),
+        deny('bob', set(`${QUEUE_PATH}/entry2`, { uid: 'carol', joined_at: Date.now() })),
+        deny('bob', set('rooms/main/queue/ironing/entry3', { uid: 'bob', joined_at: Date.now() })),
+      ],
+    },
+    {
+      name: 'only lets residents leave their own place',
+      seed: () => ({ [ENTRY_PATH]: { uid: 'bob', joined_at: Date.now() } }),
+      steps: () => [deny('carol', remove(ENTRY_PATH)), allow('bob', remove(ENTRY_PATH))],
+    },
+    {
+      name: 'lets any board hold an expired machine for the queue head',
+      seed: expiredWithQueue,
+      steps: () => [allow('carol', offer('bob'))],
+    },
+    {
+      name: 'cannot hold it for anyone but the offered entry',
+      seed: expiredWithQueue,
+      steps: () => [deny('carol', offer('carol'))],
+    },
+    {
+      name: 'cannot hold a machine that is still running',
+      seed: () => ({
+        ...expiredWithQueue(),
+        [MACHINE_PATH]: activeTimer('alice', { end_time: Date.now() + 10 * MINUTE }),
+      }),
+      steps: () => [deny('carol', offer('bob'))],
+    },
+    {
+      name: 'cannot hold a machine in its last seconds',
+      seed: () => ({
+        ...expiredWithQueue(),
+        [MACHINE_PATH]: activeTimer('alice', { end_time: Date.now() + 10 * 1000 }),
+      }),
+      steps: () => [deny('carol', offer('bob'))],
+    },
+    {
+      name: 'cannot offer an entry twice',
+      seed: expiredWithQueue,
+      steps: () => [allow('carol', offer('bob')), deny('dave', offer('bob'))],
+    },
+    {
+      name: 'lets the resident a machine is held for start it',
+      seed: () => ({ [MACHINE_PATH]: reservation('bob') }),
+      steps: () => [allow('bob', writeMachine('bob', activeTimer('bob')))],
+    },
+    {
+      name: 'keeps a held machine from anyone else until the hold lapses',
+      seed: () => ({ [MACHINE_PATH]: reservation('bob') }),
+      steps: () => [
+        deny('carol', writeMachine('carol', activeTimer('carol'))),
+        seed({ [`${MACHINE_PATH}/reserved_until`]: Date.now() - 1000 }),
+        allow('carol', writeMachine('carol', activeTimer('carol'))),
+      ],
+    },
+    {
+      name: 'lets anyone clear a lapsed offer from the queue',
+      seed: () => ({
+        [MACHINE_PATH]: reservation('bob'),
+        [ENTRY_PATH]: { uid: 'bob', joined_at: Date.now(), offered_at: Date.now() - MINUTE },
+      }),
+      steps: () => [
+        deny('carol', remove(ENTRY_PATH)),
+        seed({ [`${ENTRY_PATH}/offered_at`]: Date.now() - 4 * MINUTE }),
+        allow('carol', remove(ENTRY_PATH)),
+      ],
+    },
+  ],
+
+  bookings: [
+    {
+      name: 'accept a booking in your own name',
+      steps: () => [
+        allow('alice', set(BOOKING_PATH, booking('alice'))),
+        deny('alice', set(BOOKING_PATH.replace('/19', '/20'), booking('bob'))),
+      ],
+    },
+    {
+      name: 'cannot overlap an existing booking',
+      seed: () => ({ [BOOKING_PATH]: { uid: 'alice', created_at: Date.now() } }),
+      steps: () => [deny('bob', set(BOOKING_PATH, booking('bob')))],
+    },
+    {
+      name: 'can only be cancelled by whoever booked',
+      seed: () => ({ [BOOKING_PATH]: { uid: 'alice', created_at: Date.now() } }),
+      steps: () => [deny('bob', remove(BOOKING_PATH)), allow('alice', remove(BOOKING_PATH))],
+    },
+    {
+      name: 'reject unknown machines and hours',
+      steps: () => [
+        deny('alice', set('rooms/main/reservations/2024-05-11/washer_9/19', booking('alice'))),
+        deny('alice', set('rooms/main/reservations/2024-05-11/washer_1/24', booking('alice'))),
+      ],
+    },
+  ],
+
+  'wash + dry holds': [
+    {
+      name: 'lets residents hold a free machine when their own load finishes',
+      seed: () => finishedWash('alice'),
+      steps: () => [allow('alice', holdFrom('alice'))],
+    },
+    {
+      name: 'cannot hold a machine for someone else',
+      seed: () => finishedWash('alice'),
+      steps: () => [deny('alice', holdFrom('alice', { [DRYER_PATH]: hold('bob') }))],
+    },
+    {
+      name: 'cannot hold a running machine',
+      seed: () => ({
+        ...finishedWash('alice'),
+        [DRYER_PATH]: activeTimer('bob', { machine_id: 'dryer_1' }),
+      }),
+      steps: () => [deny('alice', holdFrom('alice'))],
+    },
+    {
+      name: 'cannot hold for longer than the claim window',
+      seed: () => finishedWash('alice'),
+      steps: () => [
+        deny(
+          'alice',
+          holdFrom('alice', {
+            [DRYER_PATH]: hold('alice', { reserved_until: Date.now() + 60 * MINUTE }),
+          })
+        ),
+      ],
+    },
+    {
+      name: "cannot hold from a stranger's load",
+      seed: () => finishedWash('bob'),
+      steps: () => [deny('alice', holdFrom('alice'))],
+    },
+    {
+      name: 'cannot hold from a load that is still running or has no dryer to go on to',
+      seed: () => ({ [MACHINE_PATH]: activeTimer('alice', { next_type: 'dryer' }) }),
+      steps: () => [
+        deny('alice', holdFrom('alice')),
+        seed({ [MACHINE_PATH]: activeTimer('alice', { end_time: Date.now() - 1000 }) }),
+        deny('alice', holdFrom('alice')),
+      ],
+    },
+    {
+      name: 'cannot hold a machine that does not serve the next load',
+      seed: () => finishedWash('alice'),
+      steps: () => [
+        deny(
+          'alice',
+          holdFrom(
+            'alice',
+            { 'rooms/main/machines/washer_2': hold('alice', { machine_id: 'washer_2' }) },
+            'washer_2'
+          )
+        ),
+      ],
+    },
+    {
+      name: 'only with the finished load ended in the same update',
+      seed: () => finishedWash('alice'),
+      steps: () => [
+        deny(
+          'alice',
+          update({ [DRYER_PATH]: hold('alice'), [`last_write/alice`]: SERVER_TIMESTAMP })
+        ),
+      ],
+    },
+    {
+      name: 'holds one machine per load',
+      seed: () => finishedWash('alice'),
+      steps: () => [
+        deny(
+          'alice',
+          holdFrom('alice', {
+            [DRYER_PATH]: hold('alice'),
+            'rooms/main/machines/dryer_2': hold('alice', { machine_id: 'dryer_2' }),
+          })
+        ),
+        allow('alice', holdFrom('alice')),
+        // Past the write limit; the load has ended, so there is no history entry to write
+        seed({ 'last_write/alice': Date.now() - 5000 }),
+        deny(
+          'alice',
+          update({
+            'rooms/main/machines/dryer_2': hold('alice', { machine_id: 'dryer_2' }),
+            [MACHINE_PATH]: { ...tombstone('alice'), pipeline_to: 'dryer_2' },
+            [`last_write/alice`]: SERVER_TIMESTAMP,
+          })
+        ),
+      ],
+    },
+  ],
+
+  'adding time': [
+    {
+      name: 'lets the owner push the end time back',
+      seed: runningForAlice,
+      steps: () => [
+        allow(
+          'alice',
+          writeMachine(
+            'alice',
+            activeTimer('alice', { end_time: Date.now() + 44 * MINUTE, duration_minutes: 44 })
+          )
+        ),
+      ],
+    },
+    {
+      name: 'keeps the 120 minute cap',
+      seed: runningForAlice,
+      steps: () => [
+        deny(
+          'alice',
+          writeMachine(
+            'alice',
+            activeTimer('alice', { end_time: Date.now() + 121 * MINUTE, duration_minutes: 120 })
+          )
+        ),
+        deny('alice', writeMachine('alice', activeTimer('alice', { duration_minutes: 121 }))),
+      ],
+    },
+    {
+      name: "cannot extend someone else's timer",
+      seed: runningForAlice,
+      steps: () => [
+        deny(
+          'bob',
+          writeMachine('bob', activeTimer('alice', { end_time: Date.now() + 44 * MINUTE }))
+        ),
+      ],
+    },
+  ],
+
+  'changes in place': [
+    {
+      name: 'let the owner pause, resume and add time without a last_write stamp',
+      seed: () => ({ [MACHINE_PATH]: activeTimer('alice', { updated_at: Date.now() - 5000 }) }),
+      steps: () => [
+        allow(
+          'alice',
+          set(
+            MACHINE_PATH,
+            activeTimer('alice', { status: 'paused', updated_at: SERVER_TIMESTAMP })
+          )
+        ),
+        seed({ [MACHINE_PATH]: activeTimer('alice', { updated_at: Date.now() - 5000 }) }),
+        allow(
+          'alice',
+          set(
+            MACHINE_PATH,
+            activeTimer('alice', {
+              end_time: Date.now() + 44 * MINUTE,
+              duration_minutes: 44,
+              updated_at: SERVER_TIMESTAMP,
+            })
+          )
+        ),
+      ],
+    },
+    {
+      name: 'are only for the owner, once a second, on the same running cycle',
+      seed: () => ({
+        [MACHINE_PATH]: activeTimer('alice', {
+          started_at: Date.now() - MINUTE,
+          updated_at: Date.now() - 5000,
+        }),
+      }),
+      steps: () => [
+        deny(
+          'bob',
+          set(MACHINE_PATH, activeTimer('bob', { status: 'paused', updated_at: SERVER_TIMESTAMP }))
+        ),
+        deny(
+          'alice',
+          set(
+            MACHINE_PATH,
+            activeTimer('alice', { started_at: Date.now(), updated_at: SERVER_TIMESTAMP })
+          )
+        ),
+        seed({ [`${MACHINE_PATH}/updated_at`]: Date.now() }),
+        deny(
+          'alice',
+          set(
+            MACHINE_PATH,
+            activeTimer('alice', {
+              started_at: Date.now() - MINUTE,
+              status: 'paused',
+              updated_at: SERVER_TIMESTAMP,
+            })
+          )
+        ),
+      ],
+    },
+    {
+      name: 'cannot bring back a freed machine',
+      steps: () => [
+        deny('alice', set(MACHINE_PATH, activeTimer('alice', { updated_at: SERVER_TIMESTAMP }))),
+      ],
+    },
+  ],
+
+  'cycle names': [
+    {
+      name: 'are stored with the timer',
+      steps: () => [
+        allow('alice', writeMachine('alice', activeTimer('alice', { cycle_name: 'Heavy' }))),
+      ],
+    },
+    {
+      name: 'must be short text',
+      steps: () => [
+        deny('alice', writeMachine('alice', activeTimer('alice', { cycle_name: 'x'.repeat(33) }))),
+        deny('alice', writeMachine('alice', activeTimer('alice', { cycle_name: 42 }))),
+      ],
+    },
+  ],
+
+  'out of order machines': [
+    {
+      name: 'lets residents report a free machine',
+      steps: () => [allow('alice', report('alice'))],
+    },
+    {
+      name: "cannot take someone else's running load out of service",
+      seed: () => ({ [MACHINE_PATH]: activeTimer('bob') }),
+      steps: () => [
+        deny('alice', report('alice')),
+        allow('alice', set(ISSUE_PATH, issue('alice'))),
+      ],
+    },
+    {
+      name: 'needs a matching issue',
+      steps: () => [
+        deny('alice', writeMachine('alice', outOfOrder('alice'))),
+        deny('alice', set(ISSUE_PATH, issue('alice', { category: 'haunted' }))),
+      ],
+    },
+    {
+      name: 'keeps issues private to managers',
+      seed: () => ({
+        [ISSUE_PATH]: issue('alice', { created_at: Date.now() }),
+        'managers/mia': true,
+      }),
+      steps: () => [deny('alice', read(ISSUE_PATH)), allow('mia', read(ISSUE_PATH))],
+    },
+    {
+      name: 'cannot be started, even by the reporter',
+      seed: brokenMachine,
+      steps: () => [
+        deny('alice', writeMachine('alice', activeTimer('alice'))),
+        deny('bob', writeMachine('bob', activeTimer('bob'))),
+      ],
+    },
+    {
+      name: 'can only be cleared by a manager',
+      seed: brokenMachine,
+      steps: () => [
+        deny('alice', remove(MACHINE_PATH)),
+        allow(
+          'mia',
+          update({
+            [MACHINE_PATH]: null,
+            [`${ISSUE_PATH}/resolved_at`]: SERVER_TIMESTAMP,
+            [`${ISSUE_PATH}/resolved_by`]: 'mia',
+            'last_write/mia': SERVER_TIMESTAMP,
+          })
+        ),
+      ],
+    },
+    {
+      name: 'cannot be marked resolved by residents',
+      seed: brokenMachine,
+      steps: () => [deny('alice', set(`${ISSUE_PATH}/resolved_at`, SERVER_TIMESTAMP))],
+    },
+    {
+      name: 'cannot grant the manager role from the app',
+      steps: () => [deny('alice', set('managers/alice', true))],
+    },
+  ],
+
+  'manager console': [
+    {
+      name: "lets managers force-stop anyone's load",
+      seed: () => ({ ...runningForAlice(), 'managers/mia': true }),
+      steps: () => [
+        allow('mia', update({ [MACHINE_PATH]: null, 'last_write/mia': SERVER_TIMESTAMP })),
+      ],
+    },
+    {
+      name: 'does not let residents force-stop',
+      seed: runningForAlice,
+      steps: () => [
+        deny('bob', update({ [MACHINE_PATH]: null, 'last_write/bob': SERVER_TIMESTAMP })),
+      ],
+    },
+    {
+      name: 'lets managers change default durations',
+      seed: () => ({ 'managers/mia': true }),
+      steps: () => [
+        allow('mia', set(DURATION_PATH, 35)),
+        allow('alice', read(DURATION_PATH)),
+        deny('alice', set(DURATION_PATH, 35)),
+        deny('mia', set(DURATION_PATH, 121)),
+        deny('mia', set('rooms/main/settings/durations/boiler', 35)),
+      ],
+    },
+    {
+      name: 'lets managers alone register webhooks and clear their failure logs',
+      seed: () => ({ 'managers/mia': true, [`${FAILURES_PATH}/failure_1`]: { event: 'started' } }),
+      steps: () => [
+        deny('alice', set(WEBHOOK_PATH, webhook('alice'))),
+        deny('mia', set(WEBHOOK_PATH, webhook('mia', 'javascript:alert(1)'))),
+        deny('mia', set(WEBHOOK_PATH, webhook('mia', 'http://chat.example.com/hooks'))),
+        deny('mia', set(WEBHOOK_PATH, webhook('mia', 'https://169.254.169.254/latest'))),
+        deny('mia', set(WEBHOOK_PATH, webhook('mia', 'https://LOCALHOST:8080/hooks'))),
+        deny('mia', set(WEBHOOK_PATH, webhook('mia', 'https://[::1]/hooks'))),
+        deny('mia', set(WEBHOOK_PATH, webhook('alice'))),
+        allow('mia', set(WEBHOOK_PATH, webhook('mia'))),
+        deny('alice', read('rooms/main/webhooks')),
+        deny('mia', set(`${FAILURES_PATH}/failure_2`, { event: 'started' })),
+        deny('alice', remove(FAILURES_PATH)),
+        allow('mia', remove(FAILURES_PATH)),
+      ],
+    },
+    {
+      name: 'shows write activity to managers only',
+      seed: () => ({ 'managers/mia': true, 'last_write/alice': Date.now() }),
+      steps: () => [allow('mia', read('last_write')), deny('alice', read('last_write'))],
+    },
+  ],
+};
+
+export default ruleCases;
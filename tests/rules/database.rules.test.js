@@ -0,0 +1,66 @@
+/**
+ * Realtime Database rules tests - run against the emulator with `npm run test:rules`
+ * (firebase emulators:exec sets FIREBASE_DATABASE_EMULATOR_HOST for us). The cases are shared
+ * with the self-hosted server's rules evaluator (see cases.js).
+ */
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from '@firebase/rules-unit-testing';
+import ruleCases from './cases.js';
+
+let testEnv;
+
+const dbAs = (uid) =>
+  uid ? testEnv.authenticatedContext(uid).database() : testEnv.unauthenticatedContext().database();
+
+const seed = (data) =>
+  testEnv.withSecurityRulesDisabled((context) => context.database().ref().update(data));
+
+const send = ({ uid, op, path, value }) => {
+  const target = dbAs(uid).ref(path);
+  if (op === 'read') return target.get();
+  if (op === 'set') return target.set(value);
+  if (op === 'update') return target.update(value);
+  return target.remove();
+};
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'laundry-timer-rules-test',
+    database: {
+      rules: readFileSync(new URL('../../database.rules.json', import.meta.url), 'utf8'),
+    },
+  });
+});
+
+afterAll(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearDatabase();
+});
+
+Object.entries(ruleCases).forEach(([group, cases]) => {
+  describe(group, () => {
+    cases.forEach((ruleCase) => {
+      it(ruleCase.name, async () => {
+        if (ruleCase.seed) await seed(ruleCase.seed());
+
+        for (const step of ruleCase.steps()) {
+          if (step.seed) {
+            await seed(step.seed);
+          } else if (step.allowed) {
+            await assertSucceeds(send(step));
+          } else {
+            await assertFails(send(step));
+          }
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * The REST API (functions/api.js) as the self-hosted server serves it, over real HTTP
+ */
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import createLaundryServer from '../../server/index.js';
+import { API_UID } from '../../functions/api.js';
+import { roomConfig } from '../../functions/expire.js';
+import { ADMIN } from '../../server/store.js';
+import { MINUTE, activeTimer } from '../fixtures.js';
+
+const API_KEY = 'test-key';
+const MACHINE_PATH = 'rooms/main/machines/washer_1';
+
+let server;
+let store;
+let baseUrl;
+
+const request = async (path, { method = 'GET', body, key = API_KEY } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(key ? { Authorization: `Bearer ${key}` } : {}),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Admin access, like withSecurityRulesDisabled
+const seed = (path, value) => {
+  store.write({ [path]: value }, ADMIN);
+};
+
+beforeEach(async () => {
+  ({ server, store } = createLaundryServer({ dataFile: null, apiKey: API_KEY }));
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+describe('GET /api/machines', () => {
+  it('lists every machine in the room the way the board sees them', async () => {
+    seed(MACHINE_PATH, activeTimer());
+
+    const { status, body } = await request('/api/machines');
+
+    expect(status).toBe(200);
+    expect(body.room).toBe('main');
+    expect(body.machines.map((machine) => machine.machine_id)).toEqual([
+      'washer_1',
+      'washer_2',
+      'washer_3',
+      'washer_4',
+      'dryer_1',
+      'dryer_2',
+      'dryer_3',
+      'dryer_4',
+    ]);
+    expect(body.machines[0]).toMatchObject({
+      status: 'active',
+      time_remaining_minutes: 29,
+      owned_by_me: false,
+      can_take_over: false,
+    });
+    expect(body.machines[1]).toEqual({
+      machine_id: 'washer_2',
+      status: 'available',
+      time_remaining_minutes: 0,
+    });
+  });
+
+  it('answers for other rooms and single machines', async () => {
+    expect((await request('/api/machines?room=annex')).body.machines).toHaveLength(10);
+    expect((await request('/api/machines/combo_1?room=annex')).body).toMatchObject({
+      machine_id: 'combo_1',
+      status: 'available',
+    });
+    expect((await request('/api/machines?room=attic')).status).toBe(404);
+  });
+
+  it('needs the API key unless the room opts in', async () => {
+    expect((await request('/api/machines', { key: null })).status).toBe(401);
+    expect((await request('/api/machines/washer_1', { key: 'guess' })).status).toBe(401);
+
+    roomConfig.publicApiRooms.push('annex');
+    try {
+      expect((await request('/api/machines?room=annex', { key: null })).status).toBe(200);
+      expect((await request('/api/machines', { key: null })).status).toBe(401);
+      const start = { method: 'POST', body: { minutes: 29 }, key: null };
+      expect((await request('/api/machines/washer_1/start?room=annex', start)).status).toBe(401);
+    } finally {
+      roomConfig.publicApiRooms.pop();
+    }
+  });
+
+  it('refuses machines the room does not have', async () => {
+    const { status, body } = await request('/api/machines/washer_9');
+
+    expect(status).toBe(400);
+    expect(body.error).toEqual({ code: 'invalid-argument', message: 'Invalid machine ID' });
+  });
+});
+
+describe('POST /api/machines/:id/start and /stop', () => {
+  it('starts a timer owned by the API and stops it again', async () => {
+    const started = await request('/api/machines/washer_1/start', {
+      method: 'POST',
+      body: { minutes: 45, cycle_name: 'Heavy' },
+    });
+
+    expect(started.status).toBe(200);
+    expect(started.body).toMatchObject({
+      machine_id: 'washer_1',
+      status: 'active',
+      time_remaining_minutes: 45,
+      cycle_name: 'Heavy',
+      owned_by_me: true,
+    });
+    expect(store.read(MACHINE_PATH)).toMatchObject({ owner_uid: API_UID, duration_minutes: 45 });
+
+    const stopped = await request('/api/machines/washer_1/stop', { method: 'POST' });
+
+    expect(stopped.body).toMatchObject({ machine_id: 'washer_1', status: 'available' });
+    expect(Object.values(store.read('rooms/main/history'))).toEqual([
+      expect.objectContaining({
+        machine_id: 'washer_1',
+        end_reason: 'stopped',
+        owner_uid: API_UID,
+      }),
+    ]);
+  });
+
+  it('validates the duration like the board does', async () => {
+    for (const minutes of [0, 121, 'soon', undefined]) {
+      const { status, body } = await request('/api/machines/washer_1/start', {
+        method: 'POST',
+        body: { minutes },
+      });
+      expect(status).toBe(400);
+      expect(body.error.message).toBe('Invalid timer duration');
+    }
+    expect(store.read(MACHINE_PATH)).toBeNull();
+  });
+
+  it("leaves a resident's running timer alone until it finishes", async () => {
+    seed(MACHINE_PATH, activeTimer());
+
+    const refused = await request('/api/machines/washer_1/stop', { method: 'POST' });
+    expect(refused.status).toBe(409);
+    expect(refused.body.error.code).toBe('not-owner');
+
+    seed(MACHINE_PATH, activeTimer({ end_time: Date.now() - MINUTE }));
+    const started = await request('/api/machines/washer_1/start', {
+      method: 'POST',
+      body: { minutes: 29 },
+    });
+    expect(started.status).toBe(200);
+    expect(Object.values(store.read('rooms/main/history'))).toEqual([
+      expect.objectContaining({ end_reason: 'expired', owner_uid: API_UID }),
+    ]);
+  });
+
+  it('needs the API key', async () => {
+    const start = { method: 'POST', body: { minutes: 29 } };
+
+    expect((await request('/api/machines/washer_1/start', { ...start, key: null })).status).toBe(
+      401
+    );
+    expect((await request('/api/machines/washer_1/start', { ...start, key: 'guess' })).status).toBe(
+      401
+    );
+    expect((await request('/api/machines/washer_1/start', { method: 'GET' })).status).toBe(405);
+    expect(store.read(MACHINE_PATH)).toBeNull();
+  });
+});
+
+it('is closed without an API key set up', async () => {
+  const closed = createLaundryServer({ dataFile: null });
+  await new Promise((resolve) => closed.server.listen(0, resolve));
+  baseUrl = `http://localhost:${closed.server.address().port}`;
+
+  const read = await request('/api/machines');
+  const start = await request('/api/machines/washer_1/start', {
+    method: 'POST',
+    body: { minutes: 29 },
+  });
+  await new Promise((resolve) => closed.server.close(resolve));
+
+  expect(read.status).toBe(403);
+  expect(start.status).toBe(403);
+  expect(start.body.error.code).toBe('api-disabled');
+});
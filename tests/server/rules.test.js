@@ -0,0 +1,88 @@
+/**
+ * The self-hosted server's rules evaluator, run over database.rules.json itself with the same
+ * cases as the emulator (tests/rules/cases.js), plus which path the server names when it refuses
+ */
+import { readFileSync } from 'node:fs';
+import { beforeEach, describe, expect, it } from 'vitest';
+import Rules from '../../server/rules.js';
+import Store, { ADMIN, PermissionDeniedError } from '../../server/store.js';
+import { activeTimer } from '../fixtures.js';
+import ruleCases from '../rules/cases.js';
+
+const SERVER_TIMESTAMP = { '.sv': 'timestamp' };
+
+const rules = new Rules(
+  JSON.parse(readFileSync(new URL('../../database.rules.json', import.meta.url), 'utf8'))
+);
+
+let store;
+
+const as = (uid) => (uid ? { uid, token: {} } : null);
+
+// A step as the socket would carry it: reads checked with canRead, writes as multi-path writes
+const send = ({ uid, op, path, value }) => {
+  if (op === 'read') {
+    if (!store.canRead(path, as(uid))) throw new PermissionDeniedError(path);
+    return;
+  }
+
+  const writes =
+    op === 'update'
+      ? Object.fromEntries(Object.entries(value).map(([child, data]) => [`${path}/${child}`, data]))
+      : { [path]: op === 'set' ? value : null };
+  store.write(writes, as(uid));
+};
+
+beforeEach(() => {
+  store = new Store({ rules });
+});
+
+Object.entries(ruleCases).forEach(([group, cases]) => {
+  describe(group, () => {
+    cases.forEach((ruleCase) => {
+      it(ruleCase.name, () => {
+        if (ruleCase.seed) store.write(ruleCase.seed(), ADMIN);
+
+        ruleCase.steps().forEach((step) => {
+          if (step.seed) {
+            store.write(step.seed, ADMIN);
+          } else if (step.allowed) {
+            expect(() => send(step)).not.toThrow();
+          } else {
+            expect(() => send(step)).toThrow(PermissionDeniedError);
+          }
+        });
+      });
+    });
+  });
+});
+
+describe('refusals', () => {
+  it('name the first location that refused', () => {
+    expect(() =>
+      store.write(
+        {
+          'rooms/main/machines/washer_9': activeTimer({ machine_id: 'washer_9' }),
+          'last_write/alice': SERVER_TIMESTAMP,
+        },
+        as('alice')
+      )
+    ).toThrow(/washer_9/);
+    expect(() =>
+      store.write(
+        {
+          'rooms/main/machines/washer_1': activeTimer({ colour: 'red' }),
+          'last_write/alice': SERVER_TIMESTAMP,
+        },
+        as('alice')
+      )
+    ).toThrow(/colour/);
+  });
+
+  it('cover writes outside the known tree', () => {
+    expect(() => store.write({ 'anything/else': 1 }, as('alice'))).toThrow(/PERMISSION_DENIED/);
+    expect(() => store.write({ '.info/connected': false }, as('alice'))).toThrow(
+      /PERMISSION_DENIED/
+    );
+  });
+});
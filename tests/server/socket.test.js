@@ -0,0 +1,201 @@
+/**
+ * The self-hosted server end to end: a real HTTP server on a random port, spoken to over
+ * WebSockets the way js/server-config.js does
+ */
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import WebSocket from 'ws';
+import createLaundryServer from '../../server/index.js';
+import { MAX_PENDING_SESSIONS } from '../../server/store.js';
+import { activeTimer } from '../fixtures.js';
+
+const MACHINE_PATH = 'rooms/main/machines/washer_1';
+const SERVER_TIMESTAMP = { '.sv': 'timestamp' };
+
+let server;
+let baseUrl;
+let tempDir;
+let options; // Data file next to (not inside) the static files
+const clients = [];
+
+const timerFor = (uid) => activeTimer({ owner_uid: uid, updated_at: SERVER_TIMESTAMP });
+
+// Machine record plus the writer's last_write stamp, as the board sends it
+const startTimer = (client) =>
+  client.call({
+    type: 'update',
+    updates: {
+      [MACHINE_PATH]: timerFor(client.uid),
+      [`last_write/${client.uid}`]: SERVER_TIMESTAMP,
+    },
+  });
+
+const savedSessions = () => JSON.parse(readFileSync(options.dataFile, 'utf8')).sessions;
+
+// A connected, signed-in client that records what the server sends
+async function connect(token = null) {
+  const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/api/ws`);
+  const received = [];
+  let nextId = 1;
+  clients.push(socket);
+
+  socket.on('message', (data) => received.push(JSON.parse(data)));
+  await new Promise((resolve) => socket.once('open', resolve));
+
+  const next = (predicate) =>
+    new Promise((resolve) => {
+      const check = () => {
+        const index = received.findIndex(predicate);
+        if (index === -1) return false;
+        resolve(received.splice(index, 1)[0]);
+        return true;
+      };
+      if (!check()) {
+        const onMessage = () => check() && socket.off('message', onMessage);
+        socket.on('message', onMessage);
+      }
+    });
+
+  const call = (message) => {
+    const id = nextId++;
+    socket.send(JSON.stringify({ ...message, id }));
+    return next((reply) => reply.type === 'result' && reply.id === id);
+  };
+
+  socket.send(JSON.stringify({ type: 'hello', token }));
+  const welcome = await next((message) => message.type === 'welcome');
+  return { socket, welcome, uid: welcome.uid, call, next };
+}
+
+beforeEach(async () => {
+  tempDir = mkdtempSync(join(tmpdir(), 'laundry-server-'));
+  options = { dataFile: join(tempDir, 'data.json'), staticDir: join(tempDir, 'dist') };
+  mkdirSync(options.staticDir);
+  writeFileSync(join(options.staticDir, 'index.html'), '<h1>Laundry</h1>');
+
+  ({ server } = createLaundryServer(options));
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterEach(async () => {
+  clients.splice(0).forEach((socket) => socket.terminate());
+  await new Promise((resolve) => server.close(resolve));
+  rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('sessions', () => {
+  it('hands out an anonymous uid and gives it back for the same token', async () => {
+    const first = await connect();
+    const again = await connect(first.welcome.token);
+    const stranger = await connect('made-up');
+
+    expect(again.uid).toBe(first.uid);
+    expect(stranger.uid).not.toBe(first.uid);
+  });
+
+  it('saves a session only once it has written something', async () => {
+    const watcher = await connect();
+    expect(existsSync(options.dataFile)).toBe(false);
+
+    const alice = await connect();
+    await startTimer(alice);
+
+    expect(Object.keys(savedSessions())).toEqual([alice.welcome.token]);
+    expect((await connect(watcher.welcome.token)).uid).toBe(watcher.uid);
+  });
+
+  it('forgets the oldest unsaved sessions past the limit', () => {
+    const { store } = createLaundryServer({ dataFile: null });
+    const first = store.signIn(null);
+    for (let i = 0; i < MAX_PENDING_SESSIONS; i++) store.signIn(null);
+
+    expect(store.pendingSessions.size).toBe(MAX_PENDING_SESSIONS);
+    expect(store.signIn(first.token).uid).not.toBe(first.uid);
+  });
+
+  it('answers nothing but hello before signing in', async () => {
+    const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/api/ws`);
+    clients.push(socket);
+    await new Promise((resolve) => socket.once('open', resolve));
+
+    socket.send(JSON.stringify({ type: 'get', id: 1, path: MACHINE_PATH }));
+    const [reply] = await new Promise((resolve) =>
+      socket.once('message', (data) => resolve([JSON.parse(data)]))
+    );
+
+    expect(reply.error.code).toBe('UNAUTHENTICATED');
+  });
+});
+
+describe('writes', () => {
+  it('applies a valid machine write and pushes it to subscribers', async () => {
+    const alice = await connect();
+    const board = await connect();
+    board.socket.send(JSON.stringify({ type: 'subscribe', path: 'rooms/main/machines' }));
+    expect(await board.next((message) => message.type === 'value')).toMatchObject({ value: null });
+
+    const reply = await startTimer(alice);
+    expect(reply.error).toBeUndefined();
+
+    const pushed = await board.next((message) => message.type === 'value');
+    expect(pushed.value.washer_1).toMatchObject({ status: 'active', owner_uid: alice.uid });
+    expect(typeof pushed.value.washer_1.updated_at).toBe('number');
+  });
+
+  it('refuses what database.rules.json refuses', async () => {
+    const alice = await connect();
+
+    const reply = await alice.call({
+      type: 'update',
+      updates: {
+        [MACHINE_PATH]: timerFor('someone-else'),
+        [`last_write/${alice.uid}`]: SERVER_TIMESTAMP,
+      },
+    });
+
+    expect(reply.error.code).toBe('PERMISSION_DENIED');
+    expect((await alice.call({ type: 'get', path: MACHINE_PATH })).value).toBeNull();
+  });
+
+  it('only commits a transaction against the value it was computed from', async () => {
+    const alice = await connect();
+    const entry = { uid: alice.uid, joined_at: 1 };
+    const stale = await alice.call({
+      type: 'transaction',
+      path: 'rooms/main/queue/washer/entry_1',
+      expected: { old: true },
+      value: entry,
+    });
+    expect(stale).toMatchObject({ committed: false, value: null });
+
+    const fresh = await alice.call({
+      type: 'transaction',
+      path: 'rooms/main/queue/washer/entry_1',
+      expected: null,
+      value: entry,
+    });
+    expect(fresh).toMatchObject({ committed: true, value: entry });
+  });
+
+  it('keeps the data across restarts', async () => {
+    const alice = await connect();
+    await startTimer(alice);
+
+    const { store } = createLaundryServer(options);
+
+    expect(store.read(MACHINE_PATH)).toMatchObject({ owner_uid: alice.uid });
+    expect(store.signIn(alice.welcome.token).uid).toBe(alice.uid);
+  });
+});
+
+describe('http', () => {
+  it('serves the board and a health check, and nothing outside dist', async () => {
+    await startTimer(await connect()); // Creates data.json
+    expect(await (await fetch(`${baseUrl}/?room=annex`)).text()).toBe('<h1>Laundry</h1>');
+    expect(await (await fetch(`${baseUrl}/api/health`)).json()).toMatchObject({ ok: true });
+    expect((await fetch(`${baseUrl}/..%2fdata.json`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Outbound webhooks (functions/webhooks.js) as the self-hosted server sends them, to a real
+ * receiver on a random port
+ */
+import { createServer } from 'node:http';
+import { promisify } from 'node:util';
+import { Agent, fetch } from 'undici';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import createLaundryServer from '../../server/index.js';
+import { ADMIN } from '../../server/store.js';
+import { MAX_ATTEMPTS, createPublicLookup, getMachineEvents } from '../../functions/webhooks.js';
+import { MINUTE, NOW, activeTimer } from '../fixtures.js';
+
+const MACHINE_PATH = 'rooms/main/machines/washer_1';
+
+let store;
+let receiver;
+let received; // Parsed bodies, in arrival order
+let statuses; // Status codes the receiver answers with, one per request (then 200)
+
+const pausedTimer = () =>
+  activeTimer({ status: 'paused', paused_at: NOW, paused_time_remaining_ms: 29 * MINUTE });
+
+// Admin access, like the REST API and the expiry function
+const write = (path, value) => store.write({ [path]: value }, ADMIN);
+
+const receiverUrl = () => `http://localhost:${receiver.address().port}/laundry`;
+const addWebhook = (url) =>
+  write('rooms/main/webhooks/hook_1', { url, created_at: NOW, created_by: 'mia' });
+const failures = () => Object.values(store.read('rooms/main/webhook_failures/hook_1') || {});
+
+beforeEach(async () => {
+  received = [];
+  statuses = [];
+  receiver = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      const status = statuses.shift() ?? 200;
+      res.writeHead(status, status >= 300 && status < 400 ? { Location: req.url } : {});
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, resolve));
+
+  // The receiver is local, which only tests may send to
+  ({ store } = createLaundryServer({ dataFile: null, allowPrivateWebhooks: true }));
+  addWebhook(receiverUrl());
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => receiver.close(resolve));
+});
+
+describe('getMachineEvents', () => {
+  it('names what a write did to a machine', () => {
+    expect(getMachineEvents(null, activeTimer(), NOW)).toEqual(['started']);
+    expect(getMachineEvents(activeTimer(), pausedTimer(), NOW)).toEqual(['paused']);
+    expect(getMachineEvents(pausedTimer(), activeTimer(), NOW)).toEqual(['resumed']);
+    expect(getMachineEvents(activeTimer(), { status: 'available' }, NOW)).toEqual(['stopped']);
+    expect(getMachineEvents(activeTimer({ end_time: NOW }), null, NOW)).toEqual(['expired']);
+  });
+
+  it('sees a new load replacing a finished one as two events', () => {
+    const finished = activeTimer({ end_time: NOW - MINUTE });
+    const next = activeTimer({ owner_uid: 'bob', started_at: NOW + MINUTE });
+
+    expect(getMachineEvents(finished, next, NOW + MINUTE)).toEqual(['expired', 'started']);
+  });
+
+  it('ignores added time, reservations and repair marks', () => {
+    const extended = activeTimer({ end_time: NOW + 40 * MINUTE, duration_minutes: 40 });
+    const reserved = { status: 'reserved', reserved_for: 'bob', reserved_until: NOW + MINUTE };
+
+    expect(getMachineEvents(activeTimer(), extended, NOW)).toEqual([]);
+    expect(getMachineEvents(null, reserved, NOW)).toEqual([]);
+    expect(getMachineEvents({ status: 'available' }, { status: 'out_of_order' }, NOW)).toEqual([]);
+  });
+});
+
+describe('delivery', () => {
+  it('POSTs every state change of a room machine to its webhooks', async () => {
+    write(MACHINE_PATH, activeTimer());
+    await vi.waitFor(() => expect(received).toHaveLength(1));
+    write(MACHINE_PATH, pausedTimer());
+    await vi.waitFor(() => expect(received).toHaveLength(2));
+    write(MACHINE_PATH, { machine_id: 'washer_1', status: 'available', updated_at: NOW });
+    await vi.waitFor(() => expect(received).toHaveLength(3));
+
+    expect(received.map((payload) => payload.event)).toEqual(['started', 'paused', 'stopped']);
+    expect(received[0]).toMatchObject({
+      room: 'main',
+      machine_id: 'washer_1',
+      machine: { machine_id: 'washer_1', status: 'active', time_remaining_minutes: 29 },
+    });
+    expect(typeof received[0].timestamp).toBe('string');
+  });
+
+  it('shows a load resumed in its last seconds as running', async () => {
+    write(MACHINE_PATH, { ...pausedTimer(), paused_time_remaining_ms: 20 * 1000 });
+    write(MACHINE_PATH, activeTimer({ end_time: Date.now() + 20 * 1000 }));
+
+    await vi.waitFor(() => expect(received).toHaveLength(2));
+    expect(received[1]).toMatchObject({ event: 'resumed', machine: { status: 'active' } });
+  });
+
+  it('only sends to the room the machine is in', async () => {
+    write('rooms/annex/machines/washer_1', activeTimer());
+    write(MACHINE_PATH, activeTimer());
+
+    await vi.waitFor(() => expect(received).toHaveLength(1));
+    expect(received[0].room).toBe('main');
+  });
+
+  it('retries a failing receiver with backoff', async () => {
+    statuses = [500];
+
+    write(MACHINE_PATH, activeTimer());
+
+    await vi.waitFor(() => expect(received).toHaveLength(2), { timeout: 3000 });
+    expect(received[0]).toEqual(received[1]);
+    expect(store.read('rooms/main/webhook_failures')).toBeNull();
+  });
+
+  it('records deliveries that fail every attempt', async () => {
+    statuses = Array(MAX_ATTEMPTS).fill(503);
+
+    write(MACHINE_PATH, activeTimer());
+
+    await vi.waitFor(() => expect(failures()).toHaveLength(1), { timeout: 3000 });
+    expect(received).toHaveLength(MAX_ATTEMPTS);
+    expect(failures()).toEqual([
+      expect.objectContaining({
+        event: 'started',
+        machine_id: 'washer_1',
+        error: 'HTTP 503',
+        attempts: MAX_ATTEMPTS,
+      }),
+    ]);
+  });
+});
+
+describe('destinations', () => {
+  beforeEach(() => {
+    ({ store } = createLaundryServer({ dataFile: null }));
+  });
+
+  it('are refused over plain http or inside the network, without retrying', async () => {
+    addWebhook(receiverUrl());
+    write(MACHINE_PATH, activeTimer());
+    await vi.waitFor(() => expect(failures()).toHaveLength(1));
+
+    addWebhook('https://169.254.169.254/latest/meta-data');
+    write(MACHINE_PATH, pausedTimer());
+    await vi.waitFor(() => expect(failures()).toHaveLength(2));
+
+    expect(received).toEqual([]);
+    expect(failures()).toEqual([
+      expect.objectContaining({ error: 'Please enter a full https:// URL', attempts: 1 }),
+      expect.objectContaining({ error: 'Webhooks can only go to public addresses', attempts: 1 }),
+    ]);
+  });
+
+  it('are checked on every connection, so a DNS answer that turns private is refused', async () => {
+    const resolve = vi
+      .fn()
+      .mockResolvedValueOnce([{ address: '93.184.216.34', family: 4 }])
+      .mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+    const lookup = promisify(createPublicLookup(resolve));
+
+    await expect(lookup('rebind.example', {})).resolves.toBe('93.184.216.34');
+    await expect(lookup('rebind.example', {})).rejects.toThrow(
+      'Webhooks can only go to public addresses'
+    );
+  });
+
+  it('are connected to at the address that was checked', async () => {
+    const resolve = vi.fn().mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+    const dispatcher = new Agent({ connect: { lookup: createPublicLookup(resolve) } });
+    const url = `http://rebind.example:${receiver.address().port}/laundry`;
+
+    await expect(fetch(url, { method: 'POST', body: '{}', dispatcher })).rejects.toMatchObject({
+      cause: { refused: true },
+    });
+    expect(resolve).toHaveBeenCalledWith('rebind.example', expect.any(Object));
+    expect(received).toEqual([]);
+    await dispatcher.close();
+  });
+
+  it('never follow redirects', async () => {
+    ({ store } = createLaundryServer({ dataFile: null, allowPrivateWebhooks: true }));
+    addWebhook(receiverUrl());
+    statuses = Array(MAX_ATTEMPTS).fill(302);
+
+    write(MACHINE_PATH, activeTimer());
+
+    await vi.waitFor(() => expect(failures()).toHaveLength(1), { timeout: 3000 });
+    expect(received).toHaveLength(MAX_ATTEMPTS);
+    expect(failures()[0].error).toBe('HTTP 302');
+  });
+});
@@ -0,0 +1,123 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import '../../js/app.js';
+import TimerManager from '../../js/timer.js';
+import ReminderManager from '../../js/reminder.js';
+import OfflineQueue from '../../js/offline-queue.js';
+import { getFakeData, setFakeData } from './fakes/firebase-config.js';
+import { DEFAULT_UID } from './fakes/firebase-auth.js';
+
+const MACHINE_PATH = 'rooms/main/machines/washer_1';
+
+let app;
+
+// The parts of index.html the board renders into
+const renderBoard = () => {
+  ['machines-left', 'machines-right', 'notification-container'].forEach((id) => {
+    const element = document.createElement('div');
+    element.id = id;
+    document.body.appendChild(element);
+  });
+};
+
+const notifications = () =>
+  [...document.querySelectorAll('#notification-container .notification')].map(
+    (notification) => notification.textContent
+  );
+
+beforeEach(async () => {
+  vi.useFakeTimers();
+  setFakeData('.info/connected', true);
+  renderBoard();
+
+  // The service is a page-wide singleton - forget the previous test's writes
+  window.FirebaseService.lastWriteAt = 0;
+  app = new window.LaundryApp();
+  await vi.advanceTimersByTimeAsync(0); // Connection state and first snapshots
+});
+
+afterEach(() => {
+  app.cleanup();
+});
+
+describe('LaundryApp.setTimer', () => {
+  it('starts a timer owned by this resident', async () => {
+    const claimMachine = vi.spyOn(ReminderManager, 'claimMachine');
+
+    await app.setTimer('washer_1', 29);
+
+    expect(getFakeData(MACHINE_PATH)).toMatchObject({
+      status: 'active',
+      duration_minutes: 29,
+      owner_uid: DEFAULT_UID,
+    });
+    expect(claimMachine).toHaveBeenCalledWith('washer_1', 29);
+  });
+
+  it('clears a stuck record and retries when the machine reads as in use', async () => {
+    setFakeData(MACHINE_PATH, { machine_id: 'washer_1', status: 'active', stale: true });
+    const service = window.FirebaseService;
+    const realSetTimer = service.setTimer.bind(service);
+    const setTimer = vi
+      .spyOn(service, 'setTimer')
+      .mockRejectedValueOnce(new Error('Machine is currently in use'))
+      .mockImplementation(realSetTimer);
+    const stopTimer = vi.spyOn(TimerManager, 'stopTimer');
+
+    const started = app.setTimer('washer_1', 29);
+    await vi.advanceTimersByTimeAsync(500); // Delay before the second attempt
+    await started;
+
+    expect(setTimer).toHaveBeenCalledTimes(2);
+    expect(stopTimer).toHaveBeenCalledWith('washer_1');
+    expect(getFakeData(MACHINE_PATH)).toMatchObject({ status: 'active', owner_uid: DEFAULT_UID });
+    expect(getFakeData(`${MACHINE_PATH}/stale`)).toBeNull();
+    expect(notifications()).toEqual([]);
+  });
+
+  it('gives up after the second attempt and tells the resident', async () => {
+    const setTimer = vi
+      .spyOn(window.FirebaseService, 'setTimer')
+      .mockRejectedValue(new Error('Machine is currently in use'));
+
+    const started = app.setTimer('washer_1', 29);
+    await vi.advanceTimersByTimeAsync(500);
+    await started;
+
+    expect(setTimer).toHaveBeenCalledTimes(2);
+    expect(notifications()).toHaveLength(1);
+    expect(document.getElementById('machine-washer_1').classList).not.toContain('loading');
+  });
+
+  it('does not retry other errors', async () => {
+    const setTimer = vi
+      .spyOn(window.FirebaseService, 'setTimer')
+      .mockRejectedValue(new Error('Invalid timer duration'));
+
+    await app.setTimer('washer_1', 29);
+
+    expect(setTimer).toHaveBeenCalledTimes(1);
+    expect(notifications()).toHaveLength(1);
+  });
+
+  it('ignores a second start while the first is still pending', async () => {
+    const setTimer = vi.spyOn(window.FirebaseService, 'setTimer');
+
+    await Promise.all([app.setTimer('washer_1', 29), app.setTimer('washer_1', 29)]);
+
+    expect(setTimer).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('LaundryApp.replayOfflineQueue', () => {
+  it('clears the pending mark even when every queued action fails', async () => {
+    await OfflineQueue.enqueue({ roomId: 'main', machineId: 'washer_1', action: 'pause' });
+    TimerManager.setPendingSync('washer_1', true);
+    vi.spyOn(app, 'replayOfflineAction').mockRejectedValue(new Error('Machine not found'));
+
+    await app.replayOfflineQueue();
+
+    expect(await OfflineQueue.getAll()).toEqual([]);
+    expect(TimerManager.pendingSync.has('washer_1')).toBe(false);
+    expect(notifications()).not.toContain('Offline changes synced');
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Stand-in for js/firebase-auth.js - every test runs as one signed-in resident, alice, who
+ * owns the timers from tests/fixtures.js
+ */
+const DEFAULT_UID = 'alice';
+
+let currentUid = DEFAULT_UID;
+
+const auth = {
+  get currentUser() {
+    return currentUid ? { uid: currentUid } : null;
+  },
+};
+
+function ensureSignedIn() {
+  return Promise.resolve(currentUid);
+}
+
+function getCurrentUid() {
+  return currentUid;
+}
+
+// Test helper - act as another resident (null for signed out)
+function setFakeUid(uid = DEFAULT_UID) {
+  currentUid = uid;
+}
+
+export { auth, ensureSignedIn, getCurrentUid, setFakeUid, DEFAULT_UID };
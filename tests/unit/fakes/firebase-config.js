@@ -0,0 +1,277 @@
+/**
+ * In-memory stand-in for js/firebase-config.js - same exports, backed by a plain object tree.
+ * Writes notify onValue listeners synchronously (as the SDK does for local writes), server
+ * timestamps resolve to Date.now() so fake timers apply, and writes can be made to fail.
+ */
+
+const SERVER_TIMESTAMP = { '.sv': 'timestamp' };
+
+const state = {
+  data: null,
+  listeners: new Set(), // { path, constraints, callback, last }
+  failures: [], // Errors thrown by the next writes, in order
+  pushCount: 0,
+};
+
+const app = { name: 'fake-app' };
+const database = { app };
+
+const splitPath = (path) =>
+  String(path || '')
+    .split('/')
+    .filter(Boolean);
+const clone = (value) => (value === null || value === undefined ? null : structuredClone(value));
+
+const isServerTimestamp = (value) =>
+  Boolean(value) && typeof value === 'object' && value['.sv'] === 'timestamp';
+
+// Stored form of a value: server values resolved, nulls and empty objects removed
+function normalize(value) {
+  if (value === null || value === undefined) return null;
+  if (isServerTimestamp(value)) return Date.now();
+  if (typeof value !== 'object') return value;
+
+  const entries = Object.entries(value)
+    .map(([key, child]) => [key, normalize(child)])
+    .filter(([, child]) => child !== null);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+function readPath(path) {
+  let node = state.data;
+  for (const key of splitPath(path)) {
+    if (!node || typeof node !== 'object') return null;
+    node = node[key];
+  }
+  return node ?? null;
+}
+
+function writeAt(node, keys, value) {
+  if (keys.length === 0) return normalize(value);
+
+  const next = { ...(node && typeof node === 'object' ? node : {}) };
+  const [key, ...rest] = keys;
+  const child = writeAt(next[key], rest, value);
+  if (child === null) {
+    delete next[key];
+  } else {
+    next[key] = child;
+  }
+  return Object.keys(next).length > 0 ? next : null;
+}
+
+function writePath(path, value) {
+  state.data = writeAt(state.data, splitPath(path), value);
+}
+
+function takeFailure() {
+  const error = state.failures.shift();
+  if (error) throw error;
+}
+
+// Children in query order: by key unless orderByChild/orderByValue, then startAt/endAt/limit
+function orderedChildren(value, constraints = []) {
+  if (!value || typeof value !== 'object') return [];
+
+  let entries = Object.entries(value).sort(([a], [b]) => a.localeCompare(b));
+  const order = constraints.find((constraint) => constraint.type.startsWith('orderBy'));
+  const sortValue = ([key, child]) => {
+    if (order?.type === 'orderByChild') return child?.[order.child] ?? null;
+    if (order?.type === 'orderByValue') return child;
+    return key;
+  };
+
+  if (order && order.type !== 'orderByKey') {
+    entries = entries.sort((a, b) => {
+      const [valueA, valueB] = [sortValue(a), sortValue(b)];
+      if (valueA === valueB) return a[0].localeCompare(b[0]);
+      if (valueA === null) return -1;
+      if (valueB === null) return 1;
+      return valueA < valueB ? -1 : 1;
+    });
+  }
+
+  constraints.forEach((constraint) => {
+    if (constraint.type === 'startAt') {
+      entries = entries.filter((entry) => sortValue(entry) >= constraint.value);
+    } else if (constraint.type === 'endAt') {
+      entries = entries.filter((entry) => sortValue(entry) <= constraint.value);
+    } else if (constraint.type === 'limitToLast') {
+      entries = entries.slice(-constraint.limit);
+    }
+  });
+  return entries;
+}
+
+function createSnapshot(key, value, constraints = []) {
+  const entries = constraints.length > 0 ? orderedChildren(value, constraints) : null;
+  const visible = entries ? (entries.length > 0 ? Object.fromEntries(entries) : null) : value;
+
+  return {
+    key,
+    val: () => clone(visible),
+    exists: () => visible !== null,
+    forEach(callback) {
+      for (const [childKey, child] of entries || orderedChildren(value)) {
+        if (callback(createSnapshot(childKey, child)) === true) return true;
+      }
+      return false;
+    },
+  };
+}
+
+const snapshotOf = (target) =>
+  createSnapshot(target.key, readPath(target.path), target.constraints || []);
+
+function notify() {
+  for (const listener of [...state.listeners]) {
+    if (!state.listeners.has(listener)) continue;
+    const snapshot = snapshotOf(listener);
+    const serialized = JSON.stringify(snapshot.val());
+    if (serialized === listener.last) continue;
+    listener.last = serialized;
+    listener.callback(snapshot);
+  }
+}
+
+function ref(db, path = '') {
+  const keys = splitPath(path);
+  return { path: keys.join('/'), key: keys.length > 0 ? keys[keys.length - 1] : null };
+}
+
+function query(target, ...constraints) {
+  return { ...target, constraints: [...(target.constraints || []), ...constraints] };
+}
+
+const orderByChild = (child) => ({ type: 'orderByChild', child });
+const orderByKey = () => ({ type: 'orderByKey' });
+const orderByValue = () => ({ type: 'orderByValue' });
+const startAt = (value) => ({ type: 'startAt', value });
+const endAt = (value) => ({ type: 'endAt', value });
+const limitToLast = (limit) => ({ type: 'limitToLast', limit });
+const serverTimestamp = () => ({ ...SERVER_TIMESTAMP });
+
+async function get(target) {
+  return snapshotOf(target);
+}
+
+async function set(target, value) {
+  takeFailure();
+  writePath(target.path, value);
+  notify();
+}
+
+async function update(target, updates) {
+  takeFailure();
+  Object.entries(updates).forEach(([path, value]) => {
+    writePath([target.path, path].filter(Boolean).join('/'), value);
+  });
+  notify();
+}
+
+async function remove(target) {
+  await set(target, null);
+}
+
+// Keys sort in creation order, like real push IDs
+function push(target) {
+  state.pushCount += 1;
+  return ref(database, `${target.path}/-fake${String(state.pushCount).padStart(8, '0')}`);
+}
+
+// Whether a listener keeps the path in the local cache
+const isCached = (path) =>
+  [...state.listeners].some(
+    (listener) => !listener.path || path === listener.path || path.startsWith(`${listener.path}/`)
+  );
+
+// Like the SDK: with nothing cached the first run sees null, and a guess made from that is run
+// again with what the server holds
+async function runTransaction(target, transactionUpdate) {
+  takeFailure();
+  const current = clone(readPath(target.path));
+  if (current !== null && !isCached(target.path)) {
+    if (transactionUpdate(null) === undefined) {
+      return { committed: false, snapshot: snapshotOf(target) };
+    }
+  }
+
+  const result = transactionUpdate(current);
+  if (result === undefined) {
+    return { committed: false, snapshot: snapshotOf(target) };
+  }
+
+  writePath(target.path, result);
+  notify();
+  return { committed: true, snapshot: snapshotOf(target) };
+}
+
+// First value arrives asynchronously, like the SDK's initial load
+function onValue(target, callback) {
+  const listener = { ...target, callback, last: undefined };
+  state.listeners.add(listener);
+
+  Promise.resolve().then(() => {
+    if (!state.listeners.has(listener)) return;
+    const snapshot = snapshotOf(listener);
+    listener.last = JSON.stringify(snapshot.val());
+    callback(snapshot);
+  });
+
+  return () => state.listeners.delete(listener);
+}
+
+// Detaches every listener on the path (the app passes the unsubscribe function, not the callback)
+function off(target) {
+  for (const listener of state.listeners) {
+    if (listener.path === target.path) state.listeners.delete(listener);
+  }
+}
+
+// Test helpers
+function resetFakeDatabase(data = null) {
+  state.data = normalize(data);
+  state.listeners.clear();
+  state.failures = [];
+  state.pushCount = 0;
+}
+
+function getFakeData(path = '') {
+  return clone(readPath(path));
+}
+
+// Another client's write - listeners hear about it
+function setFakeData(path, value) {
+  writePath(path, value);
+  notify();
+}
+
+function failNextWrite(error) {
+  state.failures.push(error);
+}
+
+export {
+  app,
+  database,
+  ref,
+  onValue,
+  off,
+  runTransaction,
+  get,
+  set,
+  update,
+  remove,
+  push,
+  query,
+  orderByChild,
+  orderByKey,
+  orderByValue,
+  startAt,
+  endAt,
+  limitToLast,
+  serverTimestamp,
+  resetFakeDatabase,
+  getFakeData,
+  setFakeData,
+  failNextWrite,
+};
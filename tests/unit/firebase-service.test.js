@@ -0,0 +1,492 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import FirebaseService from '../../js/firebase-service.js';
+import { getMachineIds } from '../../js/room-config.js';
+import { getFakeData, setFakeData } from './fakes/firebase-config.js';
+import { DEFAULT_UID } from './fakes/firebase-auth.js';
+import { MINUTE, NOW, activeTimer } from '../fixtures.js';
+
+const MACHINES_PATH = 'rooms/main/machines';
+
+let service;
+
+const byId = (machines) =>
+  Object.fromEntries(machines.map((machine) => [machine.machine_id, machine]));
+
+beforeEach(() => {
+  service = new FirebaseService('main');
+});
+
+afterEach(() => {
+  service.cleanup();
+});
+
+describe('processMachineData', () => {
+  it('lists every machine in layout order, free unless a record says otherwise', () => {
+    const machines = service.processMachineData({}, NOW);
+
+    expect(machines.map((machine) => machine.machine_id)).toEqual(getMachineIds('main'));
+    expect(machines.every((machine) => machine.status === 'available')).toBe(true);
+  });
+
+  it('reports running, paused, reserved and broken machines', () => {
+    const machines = byId(
+      service.processMachineData(
+        {
+          washer_1: activeTimer({ cycle_name: 'Heavy' }),
+          washer_2: activeTimer({
+            machine_id: 'washer_2',
+            status: 'paused',
+            paused_at: NOW - MINUTE,
+            paused_time_remaining_ms: 90 * 1000,
+          }),
+          dryer_1: {
+            machine_id: 'dryer_1',
+            status: 'reserved',
+            reserved_for: 'someone-else',
+            reserved_until: NOW + MINUTE,
+            queue_type: 'dryer',
+            updated_at: NOW,
+          },
+          dryer_2: {
+            machine_id: 'dryer_2',
+            status: 'out_of_order',
+            issue_category: 'no_heat',
+            reported_by: 'someone-else',
+            updated_at: NOW - MINUTE,
+          },
+        },
+        NOW
+      )
+    );
+
+    expect(machines.washer_1).toMatchObject({
+      status: 'active',
+      time_remaining_minutes: 29,
+      server_end_time: NOW + 29 * MINUTE,
+      cycle_name: 'Heavy',
+      owned_by_me: true,
+    });
+    expect(machines.washer_2).toMatchObject({
+      status: 'paused',
+      time_remaining_minutes: 2,
+      time_remaining_ms: 90 * 1000,
+    });
+    expect(machines.dryer_1).toMatchObject({
+      status: 'reserved',
+      reserved_until: NOW + MINUTE,
+      owned_by_me: false,
+    });
+    expect(machines.dryer_2).toMatchObject({
+      status: 'out_of_order',
+      issue_category: 'no_heat',
+      reported_at: NOW - MINUTE,
+      owned_by_me: false,
+    });
+  });
+
+  it('keeps timers running to their end time, then shows them and lapsed reservations as available', () => {
+    const machines = byId(
+      service.processMachineData(
+        {
+          washer_1: activeTimer({ end_time: NOW + 20 * 1000 }),
+          washer_2: activeTimer({ machine_id: 'washer_2', end_time: NOW }),
+          dryer_1: {
+            machine_id: 'dryer_1',
+            status: 'reserved',
+            reserved_for: 'someone-else',
+            reserved_until: NOW - 1,
+            updated_at: NOW - 3 * MINUTE,
+          },
+        },
+        NOW
+      )
+    );
+
+    expect(machines.washer_1).toMatchObject({ status: 'active', time_remaining_minutes: 1 });
+    expect(machines.washer_2).toMatchObject({ status: 'available', time_remaining_minutes: 0 });
+    expect(machines.dryer_1).toMatchObject({ status: 'available' });
+  });
+
+  it('lets others take over a finished load but not a running one', () => {
+    const machines = byId(
+      service.processMachineData(
+        {
+          washer_1: activeTimer({ owner_uid: 'someone-else' }),
+          washer_2: activeTimer({
+            machine_id: 'washer_2',
+            owner_uid: 'someone-else',
+            status: 'paused',
+            paused_time_remaining_ms: MINUTE,
+            updated_at: NOW - 31 * MINUTE,
+          }),
+        },
+        NOW
+      )
+    );
+
+    expect(machines.washer_1).toMatchObject({ owned_by_me: false, can_take_over: false });
+    expect(machines.washer_2).toMatchObject({ owned_by_me: false, can_take_over: true });
+  });
+});
+
+describe('identifyExpiredTimers', () => {
+  it('picks running timers whose end time has come', () => {
+    const expired = service.identifyExpiredTimers(
+      {
+        washer_1: activeTimer({ end_time: NOW - MINUTE }),
+        washer_2: activeTimer({ machine_id: 'washer_2', end_time: NOW }),
+        washer_5: activeTimer({ machine_id: 'washer_5', end_time: NOW + 25 * 1000 }),
+        washer_3: activeTimer({ machine_id: 'washer_3', end_time: NOW + MINUTE }),
+        washer_4: activeTimer({
+          machine_id: 'washer_4',
+          status: 'paused',
+          end_time: NOW - MINUTE,
+        }),
+      },
+      NOW
+    );
+
+    expect(expired).toEqual([
+      { machineId: 'washer_1', endTime: NOW - MINUTE },
+      { machineId: 'washer_2', endTime: NOW },
+    ]);
+  });
+});
+
+describe('setTimer', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ now: NOW });
+  });
+
+  it("leaves someone else's load alone in its last seconds, and takes it over once done", async () => {
+    const timer = activeTimer({ owner_uid: 'someone-else', end_time: NOW + 10 * 1000 });
+    setFakeData(`${MACHINES_PATH}/washer_1`, timer);
+
+    const { washer_1: shown } = byId(service.processMachineData({ washer_1: timer }, NOW));
+    expect(shown).toMatchObject({ status: 'active', owned_by_me: false, can_take_over: false });
+    await expect(service.setTimer('washer_1', 29)).rejects.toMatchObject({ code: 'not-owner' });
+
+    vi.setSystemTime(NOW + 10 * 1000);
+    await service.setTimer('washer_1', 29);
+
+    expect(getFakeData(`${MACHINES_PATH}/washer_1`)).toMatchObject({
+      status: 'active',
+      owner_uid: DEFAULT_UID,
+      end_time: NOW + 10 * 1000 + 29 * MINUTE,
+    });
+  });
+});
+
+describe('changes to a running timer', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ now: NOW });
+  });
+
+  it('add time to the record as it is when the transaction commits', async () => {
+    setFakeData(`${MACHINES_PATH}/washer_1`, activeTimer());
+
+    const result = await service.extendTimer('washer_1', 10);
+
+    expect(result.end_time).toBe(NOW + 39 * MINUTE);
+    expect(getFakeData(`${MACHINES_PATH}/washer_1`)).toMatchObject({
+      end_time: NOW + 39 * MINUTE,
+      duration_minutes: 39,
+    });
+    expect(getFakeData(`last_write/${DEFAULT_UID}`)).toBe(NOW);
+  });
+
+  it('wait for the server when nothing has the record cached yet', async () => {
+    // Nothing listens to the machine here, so the first run sees null (see the fake)
+    setFakeData(`${MACHINES_PATH}/washer_1`, activeTimer());
+
+    await service.controlTimer('washer_1', 'pause');
+
+    expect(getFakeData(`${MACHINES_PATH}/washer_1`)).toMatchObject({ status: 'paused' });
+  });
+
+  it('never bring back a machine freed in the meantime', async () => {
+    await expect(service.extendTimer('washer_1', 10)).rejects.toThrow(/not found/);
+    const paused = expect(service.controlTimer('washer_1', 'pause')).rejects.toThrow(/not found/);
+    await vi.advanceTimersByTimeAsync(1000); // Write cooldown
+    await paused;
+
+    expect(getFakeData(`${MACHINES_PATH}/washer_1`)).toBeNull();
+  });
+
+  it("refuse someone else's timer as not-owner", async () => {
+    setFakeData(`${MACHINES_PATH}/washer_1`, activeTimer({ owner_uid: 'someone-else' }));
+
+    await expect(service.controlTimer('washer_1', 'pause')).rejects.toMatchObject({
+      code: 'not-owner',
+      message: expect.stringMatching(/another device/),
+    });
+    expect(getFakeData(`${MACHINES_PATH}/washer_1`).status).toBe('active');
+  });
+});
+
+describe('holdForPipeline', () => {
+  const finishedWash = (overrides = {}) =>
+    activeTimer({ end_time: NOW - 1000, next_type: 'dryer', ...overrides });
+
+  beforeEach(() => {
+    vi.useFakeTimers({ now: NOW });
+  });
+
+  it('holds the machine and ends the finished load in the same update', async () => {
+    setFakeData(`${MACHINES_PATH}/washer_1`, finishedWash());
+
+    await service.holdForPipeline('dryer_1', 'washer_1');
+
+    expect(getFakeData(`${MACHINES_PATH}/dryer_1`)).toMatchObject({
+      status: 'reserved',
+      reserved_for: DEFAULT_UID,
+      pipeline_from: 'washer_1',
+    });
+    expect(getFakeData(`${MACHINES_PATH}/washer_1`)).toMatchObject({
+      status: 'available',
+      pipeline_to: 'dryer_1',
+    });
+    expect(Object.values(getFakeData('rooms/main/history'))).toEqual([
+      expect.objectContaining({ machine_id: 'washer_1', end_reason: 'expired' }),
+    ]);
+  });
+
+  it("refuses to continue someone else's load, or one already freed", async () => {
+    setFakeData(`${MACHINES_PATH}/washer_1`, finishedWash({ owner_uid: 'someone-else' }));
+    await expect(service.holdForPipeline('dryer_1', 'washer_1')).rejects.toMatchObject({
+      code: 'write-rejected',
+    });
+
+    setFakeData(`${MACHINES_PATH}/washer_1`, null);
+    await expect(service.holdForPipeline('dryer_1', 'washer_1')).rejects.toMatchObject({
+      code: 'write-rejected',
+    });
+    expect(getFakeData(`${MACHINES_PATH}/dryer_1`)).toBeNull();
+  });
+});
+
+describe('atomicExpireTimer', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ now: NOW });
+  });
+
+  it('removes the expired record and logs the cycle', async () => {
+    const timer = activeTimer({}, NOW - 29 * MINUTE - 1000); // Ran out a second ago
+    setFakeData(`${MACHINES_PATH}/washer_1`, timer);
+
+    const result = await service.atomicExpireTimer('washer_1', timer.end_time);
+
+    expect(result).toMatchObject({ success: true, reason: 'atomic_expiration' });
+    expect(getFakeData(`${MACHINES_PATH}/washer_1`)).toBeNull();
+    expect(Object.values(getFakeData('rooms/main/history'))).toEqual([
+      {
+        machine_id: 'washer_1',
+        started_at: timer.started_at,
+        ended_at: timer.end_time,
+        duration_minutes: 29,
+        end_reason: 'expired',
+        owner_uid: DEFAULT_UID,
+      },
+    ]);
+  });
+
+  it('aborts when the timer was restarted since it was seen', async () => {
+    setFakeData(`${MACHINES_PATH}/washer_1`, activeTimer());
+
+    const result = await service.atomicExpireTimer('washer_1', NOW - 1000);
+
+    expect(result).toMatchObject({ success: false, reason: 'timer_modified_or_expired' });
+    expect(getFakeData(`${MACHINES_PATH}/washer_1`)).not.toBeNull();
+    expect(getFakeData('rooms/main/history')).toBeNull();
+  });
+
+  it('aborts when time was added', async () => {
+    const endTime = NOW + 5 * MINUTE;
+    setFakeData(`${MACHINES_PATH}/washer_1`, activeTimer({ end_time: endTime }));
+
+    const result = await service.atomicExpireTimer('washer_1', endTime);
+
+    expect(result).toMatchObject({ success: false, reason: 'timer_modified_or_expired' });
+    expect(getFakeData(`${MACHINES_PATH}/washer_1`)).not.toBeNull();
+  });
+
+  it('holds the machine for the head of the queue instead', async () => {
+    const timer = activeTimer({ end_time: NOW - 1000 });
+    setFakeData(`${MACHINES_PATH}/washer_1`, timer);
+    setFakeData('rooms/main/queue/washer/entry_1', { uid: 'waiting', joined_at: NOW - MINUTE });
+
+    const result = await service.atomicExpireTimer('washer_1', timer.end_time);
+
+    expect(result).toMatchObject({ success: true, reason: 'reserved_for_queue' });
+    expect(getFakeData(`${MACHINES_PATH}/washer_1`)).toMatchObject({
+      status: 'reserved',
+      reserved_for: 'waiting',
+      queue_entry: 'entry_1',
+    });
+    expect(getFakeData('rooms/main/queue/washer/entry_1')).toMatchObject({
+      offered_at: NOW,
+      offered_machine: 'washer_1',
+    });
+  });
+});
+
+describe('listenToMachines', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ now: NOW });
+  });
+
+  const startListening = async () => {
+    const callback = vi.fn();
+    await service.listenToMachines(callback);
+    await vi.advanceTimersByTimeAsync(0); // First value arrives asynchronously
+    return callback;
+  };
+
+  const lastMachines = (callback) => byId(callback.mock.lastCall[0].machines);
+
+  it('delivers the first snapshot straight away', async () => {
+    setFakeData(`${MACHINES_PATH}/washer_1`, activeTimer());
+
+    const callback = await startListening();
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(lastMachines(callback).washer_1.status).toBe('active');
+  });
+
+  it('debounces bursts of updates to the latest snapshot', async () => {
+    const callback = await startListening();
+
+    setFakeData(`${MACHINES_PATH}/washer_1`, activeTimer());
+    setFakeData(`${MACHINES_PATH}/washer_2`, activeTimer({ machine_id: 'washer_2' }));
+    expect(callback).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(500);
+
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(lastMachines(callback).washer_1.status).toBe('active');
+    expect(lastMachines(callback).washer_2.status).toBe('active');
+  });
+
+  it('processes an update immediately once things have been quiet', async () => {
+    const callback = await startListening();
+    await vi.advanceTimersByTimeAsync(2000);
+
+    setFakeData(`${MACHINES_PATH}/washer_1`, activeTimer());
+
+    expect(callback).toHaveBeenCalledTimes(2);
+  });
+
+  it('frees expired timers in the background', async () => {
+    setFakeData(`${MACHINES_PATH}/washer_1`, activeTimer({ end_time: NOW - MINUTE }));
+
+    const callback = await startListening();
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(lastMachines(callback).washer_1.status).toBe('available');
+    expect(getFakeData(`${MACHINES_PATH}/washer_1`)).toBeNull();
+  });
+});
+
+describe('occupancy', () => {
+  const slotPath = (dateKey, hour, slot) => `rooms/main/occupancy/${dateKey}/${hour}/${slot}`;
+
+  it('stamps each sample with the start of its slot', async () => {
+    const now = new Date(2026, 2, 2, 18, 17, 30).getTime();
+    vi.useFakeTimers({ now });
+
+    service.sampleOccupancy([], now);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(getFakeData(slotPath('2026-03-02', 18, 3))).toEqual({
+      washers_free: 0,
+      dryers_free: 0,
+      slot_start: new Date(2026, 2, 2, 18, 15).getTime(),
+    });
+  });
+
+  it('keeps sampling every slot while no machine record changes', async () => {
+    const now = new Date(2026, 2, 2, 18, 17, 30).getTime();
+    vi.useFakeTimers({ now });
+    setFakeData(`${MACHINES_PATH}/washer_1`, activeTimer({ end_time: now + 60 * MINUTE }));
+
+    await service.listenToMachines(vi.fn());
+    await vi.advanceTimersByTimeAsync(0);
+    await vi.advanceTimersByTimeAsync(2.5 * MINUTE); // 18:20, the next slot starts
+
+    expect(getFakeData(slotPath('2026-03-02', 18, 3))).not.toBeNull();
+    expect(getFakeData(slotPath('2026-03-02', 18, 4))).toEqual({
+      washers_free: getFakeData(slotPath('2026-03-02', 18, 3)).washers_free,
+      dryers_free: getFakeData(slotPath('2026-03-02', 18, 3)).dryers_free,
+      slot_start: new Date(2026, 2, 2, 18, 20).getTime(),
+    });
+
+    await vi.advanceTimersByTimeAsync(5 * MINUTE);
+
+    expect(getFakeData(slotPath('2026-03-02', 18, 5))).not.toBeNull();
+  });
+
+  it('drops samples filed under another slot than the one they were taken in', async () => {
+    const sample = (slotStart) => ({ washers_free: 1, dryers_free: 1, slot_start: slotStart });
+    setFakeData(slotPath('2026-03-02', 18, 3), sample(new Date(2026, 2, 2, 18, 15).getTime()));
+    setFakeData(slotPath('2026-03-02', 19, 0), sample(new Date(2026, 2, 1, 9, 0).getTime()));
+    setFakeData(slotPath('2026-03-02', 20, 0), { washers_free: 1, dryers_free: 1 });
+
+    const occupancy = await service.getOccupancy(['2026-03-02']);
+
+    expect(occupancy['2026-03-02'][18][3]).toBeDefined();
+    expect(occupancy['2026-03-02'][19]).toEqual({});
+    expect(occupancy['2026-03-02'][20][0]).toBeDefined(); // Sampled before slots were checked
+  });
+});
+
+describe('webhooks', () => {
+  const WEBHOOKS_PATH = 'rooms/main/webhooks';
+
+  it('stores full https URLs in the room, stamped with who added them', async () => {
+    const webhookId = await service.addWebhook('https://chat.example.com/hooks/laundry');
+
+    expect(getFakeData(`${WEBHOOKS_PATH}/${webhookId}`)).toMatchObject({
+      url: 'https://chat.example.com/hooks/laundry',
+      created_by: DEFAULT_UID,
+    });
+  });
+
+  it('refuses anything else', async () => {
+    for (const url of ['', 'chat.example.com/hooks', 'ftp://example.com', 'javascript:alert(1)']) {
+      await expect(service.addWebhook(url)).rejects.toThrow(/https/);
+    }
+    await expect(service.addWebhook('http://chat.example.com/hooks')).rejects.toThrow(/https/);
+    expect(getFakeData(WEBHOOKS_PATH)).toBeNull();
+  });
+
+  it('refuses addresses inside the network', async () => {
+    const urls = [
+      'https://localhost:8080/hooks',
+      'https://127.0.0.1/hooks',
+      'https://2130706433/hooks', // 127.0.0.1 written as a number
+      'https://10.0.0.5/hooks',
+      'https://172.16.0.1/hooks',
+      'https://192.168.1.10/hooks',
+      'https://169.254.169.254/latest/meta-data',
+      'https://metadata.google.internal/',
+      'https://[::1]/hooks',
+      'https://[::ffff:127.0.0.1]/hooks',
+      'https://[fd12::1]/hooks',
+      'https://[fe80::1]/hooks',
+    ];
+    for (const url of urls) {
+      await expect(service.addWebhook(url)).rejects.toThrow(/public addresses/);
+    }
+    expect(getFakeData(WEBHOOKS_PATH)).toBeNull();
+  });
+
+  it('removes a webhook together with its failure log', async () => {
+    setFakeData(`${WEBHOOKS_PATH}/hook_1`, { url: 'https://example.com', created_at: NOW });
+    setFakeData('rooms/main/webhook_failures/hook_1/failure_1', { event: 'started' });
+
+    await service.removeWebhook('hook_1');
+
+    expect(getFakeData(WEBHOOKS_PATH)).toBeNull();
+    expect(getFakeData('rooms/main/webhook_failures')).toBeNull();
+  });
+});
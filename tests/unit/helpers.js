@@ -0,0 +1,28 @@
+// Bare machine cards with just the parts TimerManager updates
+export function renderMachineCards(machineIds) {
+  machineIds.forEach((machineId) => {
+    const card = document.createElement('div');
+    card.id = `machine-${machineId}`;
+    card.className = 'machine-card available';
+
+    const timerDisplay = document.createElement('div');
+    timerDisplay.className = 'timer-display';
+    card.appendChild(timerDisplay);
+
+    const runningStatus = document.createElement('div');
+    runningStatus.className = 'running-status';
+    card.appendChild(runningStatus);
+
+    const actionButtons = document.createElement('div');
+    actionButtons.className = 'action-buttons';
+    const startButton = document.createElement('button');
+    startButton.className = 'start-timer';
+    actionButtons.appendChild(startButton);
+    card.appendChild(actionButtons);
+
+    document.body.appendChild(card);
+  });
+}
+
+export const getDisplayText = (machineId) =>
+  document.querySelector(`#machine-${machineId} .timer-display`).textContent;
@@ -0,0 +1,146 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import FirebaseService from '../../js/firebase-service.js';
+import * as localDatabase from '../../js/local-config.js';
+import { getCurrentUid } from '../../js/local-auth.js';
+
+// Run the service on the local backend instead of the in-memory fake (setup.js still
+// resets the fake, so keep its helpers as no-ops)
+vi.mock('./fakes/firebase-config.js', async () => ({
+  ...(await vi.importActual('../../js/local-config.js')),
+  resetFakeDatabase: () => {},
+}));
+vi.mock('./fakes/firebase-auth.js', async () => ({
+  ...(await vi.importActual('../../js/local-auth.js')),
+  setFakeUid: () => {},
+}));
+
+const { database, get, onValue, push, ref, runTransaction, serverTimestamp, set, update } =
+  localDatabase;
+
+const STORAGE_KEY = 'laundry-local-db';
+const NOW = new Date('2026-03-02T10:00:00.000Z').getTime();
+
+const stored = () => JSON.parse(localStorage.getItem(STORAGE_KEY));
+
+describe('local storage backend', () => {
+  let unsubscribe = () => {};
+
+  afterEach(() => {
+    unsubscribe();
+  });
+
+  it('keeps the tree in localStorage with server timestamps filled in', async () => {
+    vi.useFakeTimers({ now: NOW });
+
+    await set(ref(database, 'rooms/main/machines/washer_1'), {
+      status: 'active',
+      updated_at: serverTimestamp(),
+      note: null,
+    });
+
+    expect(stored()).toEqual({
+      rooms: { main: { machines: { washer_1: { status: 'active', updated_at: NOW } } } },
+    });
+    expect((await get(ref(database, 'rooms/main/machines/washer_1/status'))).val()).toBe('active');
+  });
+
+  it('applies multi-path updates and drops emptied branches', async () => {
+    await set(ref(database, 'a/b'), 1);
+
+    await update(ref(database), { 'a/b': null, 'c/d': 2 });
+
+    expect(stored()).toEqual({ c: { d: 2 } });
+  });
+
+  it('tells listeners about changes only', async () => {
+    const callback = vi.fn();
+    unsubscribe = onValue(ref(database, 'rooms/main/machines'), callback);
+    await Promise.resolve(); // First value
+
+    await set(ref(database, 'rooms/main/machines/washer_1/status'), 'active');
+    await set(ref(database, 'rooms/main/machines/washer_1/status'), 'active');
+    await set(ref(database, 'rooms/main/queue/washer/entry'), { uid: 'someone' });
+
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(callback.mock.lastCall[0].val()).toEqual({ washer_1: { status: 'active' } });
+  });
+
+  it('picks up writes made in another tab', async () => {
+    const callback = vi.fn();
+    unsubscribe = onValue(ref(database, 'rooms/main/machines'), callback);
+    await Promise.resolve();
+
+    const otherTab = new BroadcastChannel(STORAGE_KEY);
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ rooms: { main: { machines: { dryer_1: { status: 'active' } } } } })
+    );
+    otherTab.postMessage({ type: 'changed' });
+    await vi.waitFor(() => expect(callback).toHaveBeenCalledTimes(2));
+    otherTab.close();
+
+    expect(callback.mock.lastCall[0].val()).toEqual({ dryer_1: { status: 'active' } });
+  });
+
+  it('commits or aborts transactions', async () => {
+    const counter = ref(database, 'counter');
+
+    expect((await runTransaction(counter, (value) => (value || 0) + 1)).committed).toBe(true);
+    expect((await runTransaction(counter, () => undefined)).committed).toBe(false);
+    expect(stored().counter).toBe(1);
+  });
+
+  it('hands out push keys in creation order', () => {
+    const keys = Array.from({ length: 50 }, () => push(ref(database, 'history')).key);
+
+    expect([...keys].sort()).toEqual(keys);
+    expect(new Set(keys).size).toBe(50);
+  });
+
+  it('is always connected', async () => {
+    expect((await get(ref(database, '.info/connected'))).val()).toBe(true);
+    expect((await get(ref(database, '.info/serverTimeOffset'))).val()).toBe(0);
+  });
+});
+
+describe('FirebaseService on the local backend', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new FirebaseService('main');
+  });
+
+  afterEach(() => {
+    service.cleanup();
+  });
+
+  it('starts, pauses and stops a timer owned by this browser', async () => {
+    await service.setTimer('washer_1', 29);
+    expect(stored().rooms.main.machines.washer_1).toMatchObject({
+      status: 'active',
+      owner_uid: getCurrentUid(),
+    });
+
+    await service.controlTimer('washer_1', 'pause');
+    expect(stored().rooms.main.machines.washer_1.status).toBe('paused');
+
+    await service.controlTimer('washer_1', 'stop');
+    expect(stored().rooms.main.machines.washer_1.status).toBe('available');
+    expect(Object.values(stored().rooms.main.history)).toEqual([
+      expect.objectContaining({ machine_id: 'washer_1', end_reason: 'stopped' }),
+    ]);
+  });
+
+  it('delivers processed machines to the board', async () => {
+    const callback = vi.fn();
+    await service.listenToMachines(callback);
+    await vi.waitFor(() => expect(callback).toHaveBeenCalled());
+
+    const machines = callback.mock.lastCall[0].machines;
+    expect(machines.every((machine) => machine.status === 'available')).toBe(true);
+  });
+
+  it('reports itself healthy', async () => {
+    expect(await service.performHealthCheck()).toMatchObject({ connected: true });
+  });
+});
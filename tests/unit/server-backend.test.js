@@ -0,0 +1,138 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import createLaundryServer from '../../server/index.js';
+import { ADMIN } from '../../server/store.js';
+
+// Run the service on the self-hosted server backend instead of the in-memory fake (setup.js
+// still resets the fake, so keep its helpers as no-ops)
+vi.mock('./fakes/firebase-config.js', async () => ({
+  ...(await vi.importActual('../../js/server-config.js')),
+  resetFakeDatabase: () => {},
+}));
+vi.mock('./fakes/firebase-auth.js', async () => ({
+  ...(await vi.importActual('../../js/server-auth.js')),
+  setFakeUid: () => {},
+}));
+
+const MACHINE_PATH = 'rooms/main/machines/washer_1';
+
+let server;
+let sockets;
+let store;
+let FirebaseService;
+let service;
+let database;
+let auth;
+
+beforeAll(async () => {
+  ({ server, sockets, store } = createLaundryServer({ dataFile: null }));
+  await new Promise((resolve) => server.listen(0, resolve));
+  vi.stubEnv('VITE_SERVER_URL', `ws://localhost:${server.address().port}/api/ws`);
+
+  // Imported once the server is up - server-config.js connects as it loads
+  database = await import('../../js/server-config.js');
+  auth = await import('../../js/server-auth.js');
+  ({ default: FirebaseService } = await import('../../js/firebase-service.js'));
+  service = new FirebaseService('main');
+  await auth.ensureSignedIn();
+});
+
+afterEach(() => {
+  service.cleanup();
+});
+
+afterAll(async () => {
+  vi.unstubAllEnvs();
+  sockets.clients.forEach((socket) => socket.terminate());
+  await new Promise((resolve) => server.close(resolve));
+});
+
+describe('FirebaseService on the self-hosted server', () => {
+  it('signs in anonymously and reports itself connected', async () => {
+    expect(auth.getCurrentUid()).toEqual(expect.any(String));
+    expect(await service.performHealthCheck()).toMatchObject({ connected: true });
+  });
+
+  it('starts, pauses and stops a timer through the rules', async () => {
+    await service.setTimer('washer_1', 29);
+    expect(store.read(MACHINE_PATH)).toMatchObject({
+      status: 'active',
+      owner_uid: auth.getCurrentUid(),
+    });
+
+    await service.controlTimer('washer_1', 'pause');
+    expect(store.read(MACHINE_PATH).status).toBe('paused');
+
+    await service.controlTimer('washer_1', 'stop');
+    expect(store.read(MACHINE_PATH).status).toBe('available');
+    expect(Object.values(store.read('rooms/main/history'))).toEqual([
+      expect.objectContaining({ machine_id: 'washer_1', end_reason: 'stopped' }),
+    ]);
+  });
+
+  it('logs an expired cycle once when two boards free it at the same moment', async () => {
+    store.write({ 'rooms/main/history': null }, ADMIN);
+    store.write(
+      {
+        [MACHINE_PATH]: {
+          machine_id: 'washer_1',
+          status: 'active',
+          started_at: Date.now() - 30 * 60 * 1000,
+          end_time: Date.now() - 1000,
+          updated_at: Date.now() - 30 * 60 * 1000,
+          duration_minutes: 29,
+          owner_uid: 'someone-else',
+        },
+      },
+      ADMIN
+    );
+    const endTime = store.read(`${MACHINE_PATH}/end_time`);
+
+    const results = await Promise.all([
+      service.atomicExpireTimer('washer_1', endTime),
+      new FirebaseService('main').atomicExpireTimer('washer_1', endTime),
+    ]);
+
+    expect(results.map((result) => result.success).sort()).toEqual([false, true]);
+    expect(store.read(MACHINE_PATH)).toBeNull();
+    expect(Object.values(store.read('rooms/main/history'))).toEqual([
+      expect.objectContaining({ end_reason: 'expired', owner_uid: auth.getCurrentUid() }),
+    ]);
+  });
+
+  it('delivers machine snapshots as other residents write', async () => {
+    const callback = vi.fn();
+    await service.listenToMachines(callback);
+    await vi.waitFor(() => expect(callback).toHaveBeenCalled());
+
+    store.write(
+      {
+        'rooms/main/machines/dryer_1': {
+          machine_id: 'dryer_1',
+          status: 'active',
+          end_time: Date.now() + 40 * 60 * 1000,
+          updated_at: Date.now(),
+          duration_minutes: 40,
+          owner_uid: 'someone-else',
+        },
+        'last_write/someone-else': { '.sv': 'timestamp' },
+      },
+      { uid: 'someone-else' }
+    );
+
+    await vi.waitFor(() => {
+      const machines = callback.mock.lastCall[0].machines;
+      expect(machines.find((machine) => machine.machine_id === 'dryer_1')).toMatchObject({
+        status: 'active',
+        owned_by_me: false,
+      });
+    });
+  });
+
+  it('surfaces refused writes as permission errors', async () => {
+    const { database: db, ref, update } = database;
+
+    await expect(
+      update(ref(db), { 'managers/me': true, [`last_write/${auth.getCurrentUid()}`]: 1 })
+    ).rejects.toMatchObject({ code: 'PERMISSION_DENIED' });
+  });
+});
@@ -0,0 +1,15 @@
+import { afterEach, beforeEach, vi } from 'vitest';
+import { resetFakeDatabase } from './fakes/firebase-config.js';
+import { setFakeUid } from './fakes/firebase-auth.js';
+
+beforeEach(() => {
+  resetFakeDatabase();
+  setFakeUid();
+  localStorage.clear();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  document.body.replaceChildren();
+});
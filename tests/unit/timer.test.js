@@ -0,0 +1,172 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import TimerManager from '../../js/timer.js';
+import ReminderManager from '../../js/reminder.js';
+import PipelineManager from '../../js/pipeline.js';
+import { getDisplayText, renderMachineCards } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+const FRAME = 50; // Ticks paint in the first animation frame after the second boundary
+
+// Move the clock on, including the frame the tick lands in
+const advance = (ms) => vi.advanceTimersByTime(ms + FRAME);
+
+const setHidden = (hidden) => {
+  Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+  document.dispatchEvent(new Event('visibilitychange'));
+};
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date('2026-03-02T10:00:00.000Z'));
+  renderMachineCards(['washer_1', 'washer_2']);
+
+  vi.spyOn(ReminderManager, 'checkTimer').mockImplementation(() => {});
+  vi.spyOn(ReminderManager, 'notifyFinished').mockImplementation(() => {});
+  vi.spyOn(PipelineManager, 'onMachineFinished').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  TimerManager.cleanupAllTimers();
+  setHidden(false);
+});
+
+describe('SimpleTimer', () => {
+  it('counts down in whole minutes', () => {
+    TimerManager.startTimer('washer_1', Date.now() + 10 * MINUTE);
+    expect(getDisplayText('washer_1')).toBe('10 min left');
+
+    advance(MINUTE);
+    expect(getDisplayText('washer_1')).toBe('9 min left');
+  });
+
+  it('shows minutes and seconds for the last five minutes', () => {
+    TimerManager.startTimer('washer_1', Date.now() + 4 * MINUTE + 5000);
+    expect(getDisplayText('washer_1')).toBe('4:05 left');
+
+    advance(1000);
+    expect(getDisplayText('washer_1')).toBe('4:04 left');
+  });
+
+  it('frees the machine and reminds the owner when it runs out', () => {
+    TimerManager.startTimer('washer_1', Date.now() + 3000);
+
+    advance(3000);
+
+    expect(getDisplayText('washer_1')).toBe('Available');
+    expect(TimerManager.timers.has('washer_1')).toBe(false);
+    expect(ReminderManager.notifyFinished).toHaveBeenCalledWith('washer_1');
+    expect(PipelineManager.onMachineFinished).toHaveBeenCalledWith('washer_1');
+  });
+
+  it('keeps the remaining time while paused', () => {
+    TimerManager.startTimer('washer_1', Date.now() + 10 * MINUTE);
+    advance(2 * MINUTE);
+
+    TimerManager.pauseTimer('washer_1');
+    advance(5 * MINUTE);
+    expect(getDisplayText('washer_1')).toBe('8 min left');
+    expect(document.getElementById('machine-washer_1').classList).toContain('paused');
+
+    TimerManager.resumeTimer('washer_1');
+    advance(90 * 1000);
+    expect(getDisplayText('washer_1')).toBe('7 min left');
+  });
+
+  it('ticks every timer together on the second boundary', () => {
+    const start = Date.now();
+    vi.setSystemTime(start + 400);
+    TimerManager.startTimer('washer_1', start + 4 * MINUTE);
+    TimerManager.startTimer('washer_2', start + 3 * MINUTE);
+
+    vi.advanceTimersByTime(599);
+    expect(getDisplayText('washer_1')).toBe('4:00 left');
+    expect(getDisplayText('washer_2')).toBe('3:00 left');
+
+    advance(1); // Past 10:00:01 and into the frame
+    expect(getDisplayText('washer_1')).toBe('3:59 left');
+    expect(getDisplayText('washer_2')).toBe('2:59 left');
+  });
+
+  it('patches the countdown without rebuilding the buttons', () => {
+    TimerManager.startTimer('washer_1', Date.now() + 10 * MINUTE);
+    const pauseButton = document.querySelector('#machine-washer_1 .pause-timer');
+    expect(pauseButton).not.toBeNull();
+
+    advance(90 * 1000);
+
+    expect(getDisplayText('washer_1')).toBe('9 min left');
+    expect(document.querySelector('#machine-washer_1 .pause-timer')).toBe(pauseButton);
+  });
+
+  it('stops ticking while the tab is hidden and catches up when shown', () => {
+    TimerManager.startTimer('washer_1', Date.now() + 4 * MINUTE);
+
+    setHidden(true);
+    advance(2 * MINUTE);
+    expect(getDisplayText('washer_1')).toBe('4:00 left');
+
+    setHidden(false);
+    expect(getDisplayText('washer_1')).toBe('2:00 left');
+  });
+
+  it('still wakes a hidden tab for the heads-up and the finished alert', () => {
+    window.BrowserCompatibilityManager = {
+      getInstance: () => ({ capabilities: { supportsLocalStorage: true } }),
+    };
+    ReminderManager.saveSettings({ enabled: true, leadMinutes: 5 });
+    ReminderManager.claimMachine('washer_1', 20);
+    ReminderManager.checkTimer.mockRestore();
+    const alert = vi.spyOn(ReminderManager, 'alert').mockImplementation(() => {});
+    TimerManager.startTimer('washer_1', Date.now() + 20 * MINUTE);
+
+    setHidden(true);
+    advance(15 * MINUTE - 1000);
+    expect(alert).not.toHaveBeenCalled();
+    expect(getDisplayText('washer_1')).toBe('20 min left'); // Asleep in between
+
+    advance(1000);
+    expect(alert).toHaveBeenCalledWith('Washer 1 almost done', expect.any(String), 'washer_1');
+    expect(ReminderManager.notifyFinished).not.toHaveBeenCalled();
+
+    advance(5 * MINUTE);
+    expect(ReminderManager.notifyFinished).toHaveBeenCalledWith('washer_1');
+    expect(PipelineManager.onMachineFinished).toHaveBeenCalledWith('washer_1');
+
+    delete window.BrowserCompatibilityManager;
+  });
+});
+
+describe('machines that finish while this tab is closed', () => {
+  const available = { machine_id: 'washer_1', status: 'available', time_remaining_minutes: 0 };
+
+  beforeEach(() => {
+    window.BrowserCompatibilityManager = {
+      getInstance: () => ({ capabilities: { supportsLocalStorage: true } }),
+    };
+    ReminderManager.claimMachine('washer_1', 29);
+  });
+
+  afterEach(() => {
+    delete window.BrowserCompatibilityManager;
+  });
+
+  it('remind the owner once the server end time has passed', () => {
+    TimerManager.updateAllMachines([
+      { machine_id: 'washer_1', status: 'active', server_end_time: Date.now() + MINUTE },
+    ]);
+    vi.setSystemTime(Date.now() + 2 * MINUTE);
+
+    TimerManager.updateAllMachines([available]);
+
+    expect(ReminderManager.notifyFinished).toHaveBeenCalledWith('washer_1');
+  });
+
+  it('are forgotten quietly when stopped early elsewhere', () => {
+    vi.setSystemTime(Date.now() + 2 * MINUTE);
+
+    TimerManager.updateAllMachines([available]);
+
+    expect(ReminderManager.notifyFinished).not.toHaveBeenCalled();
+    expect(ReminderManager.isMine('washer_1')).toBe(false);
+  });
+});
@@ -1,27 +1,106 @@
-export default {
-  server: {
-    port: 5173,
-    proxy: {
-      '/api': {
-        target: 'http://localhost:3000',
-        changeOrigin: true,
-        secure: false,
-        ws: true,
-        configure: (proxy, _options) => {
-          proxy.on('error', (err, _req, _res) => {
-            console.log('proxy error', err);
-          });
-          proxy.on('proxyReq', (proxyReq, req, _res) => {
-            console.log('Sending Request to the Target:', req.method, req.url);
-          });
-          proxy.on('proxyRes', (proxyRes, req, _res) => {
-            console.log('Received Response from the Target:', proxyRes.statusCode, req.url);
-          });
+import { createHash } from 'crypto';
+import { readdirSync, readFileSync, statSync } from 'fs';
+import { join, relative } from 'path';
+import { loadEnv } from 'vite';
+
+// Where machine state lives: 'firebase' (default), 'local' (localStorage, one browser) or
+// 'server' (the self-hosted server in server/, over the /api proxy below).
+// A backend is a pair of modules with the same exports as js/firebase-config.js and
+// js/firebase-auth.js; the alias below swaps them in, so firebase-service.js runs unchanged
+const BACKENDS = {
+  firebase: [],
+  local: [{ find: /^\.\/firebase-(config|auth)\.js$/, replacement: './local-$1.js' }],
+  server: [{ find: /^\.\/firebase-(config|auth)\.js$/, replacement: './server-$1.js' }]
+};
+
+// Lists every file under a directory as a site-root URL (/assets/icon-192.png)
+const listPublicUrls = (dir, root = dir) =>
+  readdirSync(dir).flatMap((name) => {
+    const fullPath = join(dir, name);
+    if (statSync(fullPath).isDirectory()) return listPublicUrls(fullPath, root);
+    return [`/${relative(root, fullPath).split('\\').join('/')}`];
+  });
+
+// Emits dist/sw.js with this build's file list, so the app shell can be precached.
+// Runs post so index.html is already in the bundle
+const serviceWorkerPlugin = ({ backend }) => ({
+  name: 'laundry-service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_options, bundle) {
+    const bundleUrls = Object.keys(bundle)
+      .filter((fileName) => !fileName.endsWith('.map'))
+      .map((fileName) => `/${fileName}`);
+    const urls = [...new Set(['/index.html', ...bundleUrls, ...listPublicUrls('public')])].sort();
+
+    // Any content change (including index.html) must change sw.js, or browsers keep the old shell
+    const hash = createHash('sha256').update(urls.join('\n'));
+    Object.values(bundle).forEach((output) => hash.update(output.code ?? output.source));
+    const buildHash = hash.digest('hex').slice(0, 12);
+
+    const source = readFileSync('js/service-worker.js', 'utf8')
+      .replace("'dev'; // __BUILD_HASH__", `'${buildHash}';`)
+      .replace('[/* __PRECACHE_URLS__ */]', JSON.stringify(urls))
+      .replace("true; // __USES_FIREBASE__", `${backend === 'firebase'};`);
+
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+  }
+});
+
+// Serves the manager console at /admin in dev, like the hosting rewrite in firebase.json
+const adminRoutePlugin = () => ({
+  name: 'laundry-admin-route',
+  configureServer(server) {
+    server.middlewares.use((req, _res, next) => {
+      if (req.url === '/admin' || req.url.startsWith('/admin?')) {
+        req.url = req.url.replace('/admin', '/admin.html');
+      }
+      next();
+    });
+  }
+});
+
+export default ({ mode }) => {
+  const backend = loadEnv(mode, process.cwd()).VITE_BACKEND || 'firebase';
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown VITE_BACKEND "${backend}" - expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  return {
+    plugins: [serviceWorkerPlugin({ backend }), adminRoutePlugin()],
+    resolve: {
+      alias: BACKENDS[backend]
+    },
+    server: {
+      port: 5173,
+      proxy: {
+        '/api': {
+          target: 'http://localhost:3000',
+          changeOrigin: true,
+          secure: false,
+          ws: true,
+          configure: (proxy, _options) => {
+            proxy.on('error', (err, _req, _res) => {
+              console.log('proxy error', err);
+            });
+            proxy.on('proxyReq', (proxyReq, req, _res) => {
+              console.log('Sending Request to the Target:', req.method, req.url);
+            });
+            proxy.on('proxyRes', (proxyRes, req, _res) => {
+              console.log('Received Response from the Target:', proxyRes.statusCode, req.url);
+            });
+          }
+        }
+      }
+    },
+    build: {
+      outDir: 'dist',
+      rollupOptions: {
+        input: {
+          main: 'index.html',
+          admin: 'admin.html'
         }
       }
     }
-  },
-  build: {
-    outDir: 'dist'
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,51 @@
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vitest/config';
+
+const fakesDir = fileURLToPath(new URL('./tests/unit/fakes/', import.meta.url));
+
+export default defineConfig({
+  test: {
+    projects: [
+      {
+        // Browser modules in jsdom, with the Firebase SDK swapped for an in-memory fake
+        resolve: {
+          alias: [{ find: /^\.\/(firebase-(config|auth)\.js)$/, replacement: `${fakesDir}$1` }],
+        },
+        test: {
+          name: 'unit',
+          environment: 'jsdom',
+          include: ['tests/unit/**/*.test.js'],
+          setupFiles: ['tests/unit/setup.js'],
+          // The tick scheduler paints in animation frames, so those run on fake time too
+          fakeTimers: {
+            toFake: [
+              'setTimeout',
+              'clearTimeout',
+              'setInterval',
+              'clearInterval',
+              'Date',
+              'requestAnimationFrame',
+              'cancelAnimationFrame',
+            ],
+          },
+        },
+      },
+      {
+        // The self-hosted server in server/, in-process
+        test: {
+          name: 'server',
+          environment: 'node',
+          include: ['tests/server/**/*.test.js'],
+        },
+      },
+      {
+        // Need the Firebase emulator - run through npm run test:rules / test:functions
+        test: {
+          name: 'emulator',
+          environment: 'node',
+          include: ['tests/rules/**/*.test.js', 'tests/functions/**/*.test.js'],
+        },
+      },
+    ],
+  },
+});